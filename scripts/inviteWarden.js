@@ -0,0 +1,74 @@
+/**
+ * Bootstrap script to invite a warden from the command line
+ * (e.g. the first chief warden, or when no warden can log in)
+ * Run with: node scripts/inviteWarden.js [--role=chief_warden] <email> [name]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+const envPath = resolve(__dirname, '../.env');
+dotenv.config({ path: envPath });
+
+import User from '../src/models/User.model.js';
+import {
+  issueWardenInvite,
+  buildWardenInviteUrl,
+  getWardenInviteExpireHours,
+} from '../src/utils/wardenInvites.js';
+import { sendWardenInviteEmail } from '../src/utils/emailService.js';
+import { ROLE_LABELS, STAFF_ROLES } from '../src/config/permissions.js';
+
+async function inviteWarden() {
+  const args = process.argv.slice(2);
+  const roleArg = args.find((arg) => arg.startsWith('--role='));
+  const role = roleArg ? roleArg.slice('--role='.length) : 'warden';
+  const [email, ...nameParts] = args.filter((arg) => arg !== roleArg);
+  const name = nameParts.join(' ').trim();
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    console.error('Usage: node scripts/inviteWarden.js [--role=chief_warden] <email> [name]');
+    process.exit(1);
+  }
+
+  if (!STAFF_ROLES.includes(role)) {
+    console.error(`❌ Invalid role '${role}'. Must be one of: ${STAFF_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔧 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      console.error(`❌ User with email ${normalizedEmail} already exists (role: ${existingUser.role})`);
+      process.exit(1);
+    }
+
+    const { invite, token } = await issueWardenInvite({ email: normalizedEmail, name, role });
+    const inviteUrl = buildWardenInviteUrl(token);
+    const expiresInHours = getWardenInviteExpireHours();
+
+    await sendWardenInviteEmail(normalizedEmail, invite.name, inviteUrl, expiresInHours, null, ROLE_LABELS[role]);
+
+    console.log(`\n✅ ${ROLE_LABELS[role]} invite created for ${normalizedEmail}`);
+    console.log(`   Expires: ${invite.expiresAt.toISOString()}`);
+    console.log(`   Link: ${inviteUrl}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating warden invite:', error);
+    process.exit(1);
+  }
+}
+
+inviteWarden();
@@ -0,0 +1,42 @@
+/**
+ * Migration script: allow one parent login to be linked to several children
+ * Replaces the old unique index on Parent.userId with a unique (userId, studentId) index.
+ * Run with: node scripts/migrateParentLinks.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+const envPath = resolve(__dirname, '../.env');
+dotenv.config({ path: envPath });
+
+import Parent from '../src/models/Parent.model.js';
+
+async function migrateParentLinks() {
+  try {
+    console.log('🔧 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Drops indexes no longer in the schema (userId_1) and builds the new ones
+    const dropped = await Parent.syncIndexes();
+    if (dropped.length) {
+      console.log(`🗑️  Dropped indexes: ${dropped.join(', ')}`);
+    }
+
+    console.log('✅ Parent links can now span several children');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    process.exit(1);
+  }
+}
+
+migrateParentLinks();
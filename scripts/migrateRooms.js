@@ -0,0 +1,128 @@
+/**
+ * Migration script: move the legacy free-text `room` of students onto Room/Bed allocations
+ * Rooms are looked up by number in the student's hostel (or --hostel for students not yet
+ * placed) and created with --capacity beds when missing. Allocated students lose the text field;
+ * students that cannot be placed keep it and are listed.
+ * Run with: node scripts/migrateRooms.js [--hostel=CODE] [--capacity=2] [--dry-run]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+const envPath = resolve(__dirname, '../.env');
+dotenv.config({ path: envPath });
+
+import Student from '../src/models/Student.model.js';
+import Hostel from '../src/models/Hostel.model.js';
+import Room from '../src/models/Room.model.js';
+import { createBeds, findFreeBed, allocateBed } from '../src/utils/roomAllocation.js';
+
+const ROOM_TYPES = { 1: 'Single', 2: 'Double', 3: 'Triple' };
+
+const getArg = (args, name) => {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+async function migrateRooms() {
+  const args = process.argv.slice(2);
+  const hostelCode = getArg(args, 'hostel');
+  const capacity = parseInt(getArg(args, 'capacity') || '2', 10);
+  const dryRun = args.includes('--dry-run');
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    console.error('Usage: node scripts/migrateRooms.js [--hostel=CODE] [--capacity=2] [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔧 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let defaultHostel = null;
+    if (hostelCode) {
+      defaultHostel = await Hostel.findOne({ code: hostelCode.toUpperCase() });
+      if (!defaultHostel) {
+        console.error(`❌ Hostel with code ${hostelCode} not found`);
+        process.exit(1);
+      }
+    }
+
+    const students = await Student.find({
+      room: { $nin: [null, ''] },
+      bedId: null,
+    }).populate('userId', 'name');
+    console.log(`\n📊 Found ${students.length} students with a legacy room${dryRun ? ' (dry run)' : ''}`);
+
+    let allocated = 0;
+    let roomsCreated = 0;
+    const skipped = [];
+
+    for (const student of students) {
+      const label = `${student.userId?.name || student.rollNumber} (room ${student.room})`;
+      const hostelId = student.hostelId || defaultHostel?._id;
+      if (!hostelId) {
+        skipped.push(`${label}: no hostel (use --hostel=CODE)`);
+        continue;
+      }
+
+      const number = student.room.trim();
+      let room = await Room.findOne({ hostelId, number });
+      if (!room) {
+        if (dryRun) {
+          console.log(`   ➕ would create room ${number} and allocate ${label}`);
+          allocated += 1;
+          continue;
+        }
+        room = await Room.create({
+          hostelId,
+          blockId: student.blockId || undefined,
+          number,
+          capacity,
+          type: ROOM_TYPES[capacity] || 'Dormitory',
+        });
+        await createBeds(room);
+        roomsCreated += 1;
+      }
+
+      const bed = await findFreeBed(room._id);
+      if (!bed) {
+        skipped.push(`${label}: room is full`);
+        continue;
+      }
+      if (dryRun) {
+        console.log(`   ✅ would allocate ${label} to bed ${bed.label}`);
+        allocated += 1;
+        continue;
+      }
+
+      const result = await allocateBed(student, bed, null);
+      if (result.error) {
+        skipped.push(`${label}: ${result.error}`);
+        continue;
+      }
+      allocated += 1;
+      console.log(`   ✅ ${label} → bed ${bed.label}`);
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would allocate' : 'Allocated'} ${allocated} students, created ${roomsCreated} rooms`);
+    if (skipped.length) {
+      console.log(`⚠️  ${skipped.length} students kept their legacy room:`);
+      skipped.forEach((line) => console.log(`   - ${line}`));
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    process.exit(1);
+  }
+}
+
+migrateRooms();
@@ -0,0 +1,67 @@
+/**
+ * Migration script: move accounts still on a mailed temporary password to activation links
+ * Their temporary password is replaced with an unusable random one and a fresh
+ * activation link is emailed, so the old password in their inbox stops working.
+ * Run with: node scripts/migrateTempPasswords.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+const envPath = resolve(__dirname, '../.env');
+dotenv.config({ path: envPath });
+
+import User from '../src/models/User.model.js';
+import Parent from '../src/models/Parent.model.js';
+import { sendActivationInvite } from '../src/utils/accountActivation.js';
+
+async function migrateTempPasswords() {
+  try {
+    console.log('🔧 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const users = await User.find({
+      isTempPassword: true,
+      role: { $in: ['student', 'parent'] },
+    }).select('+password');
+    console.log(`\n📊 Found ${users.length} accounts on temporary passwords`);
+
+    let migrated = 0;
+    for (const user of users) {
+      user.password = crypto.randomBytes(32).toString('hex');
+      user.isTempPassword = false;
+      user.accountStatus = 'PendingActivation';
+      await user.save();
+
+      let studentName;
+      if (user.role === 'parent') {
+        const parent = await Parent.findOne({ userId: user._id }).populate({
+          path: 'studentId',
+          populate: { path: 'userId', select: 'name' },
+        });
+        studentName = parent?.studentId?.userId?.name;
+      }
+
+      await sendActivationInvite(user, studentName);
+      migrated += 1;
+      console.log(`   ✅ ${user.email} (${user.role})`);
+    }
+
+    console.log(`\n✅ Migrated ${migrated} accounts to activation links`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    process.exit(1);
+  }
+}
+
+migrateTempPasswords();
@@ -14,6 +14,12 @@ import parentRoutes from './routes/parent.routes.js';
 import locationRoutes from './routes/location.routes.js';
 import chatRoutes from './routes/chat.routes.js';
 import wardenRoutes from './routes/warden.routes.js';
+import hostelRoutes from './routes/hostel.routes.js';
+import roomRoutes from './routes/room.routes.js';
+import roomChangeRoutes from './routes/roomChange.routes.js';
+import profileChangeRoutes from './routes/profileChange.routes.js';
+import academicYearRoutes from './routes/academicYear.routes.js';
+import documentRoutes from './routes/document.routes.js';
 
 // Import error middleware
 import { errorHandler, notFound } from './middleware/error.middleware.js';
@@ -56,7 +62,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Key'],
 };
 
 app.use(cors(corsOptions));
@@ -94,6 +100,12 @@ app.use('/api/parent', parentRoutes);
 app.use('/api/location', locationRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/warden', wardenRoutes);
+app.use('/api/hostels', hostelRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/room-changes', roomChangeRoutes);
+app.use('/api/profile-changes', profileChangeRoutes);
+app.use('/api/academic-years', academicYearRoutes);
+app.use('/api/documents', documentRoutes);
 
 // Error handling middleware (must be last)
 app.use(notFound);
@@ -0,0 +1,141 @@
+/**
+ * Role → permission map
+ * Permissions are `resource:action` strings checked per route by requirePermission().
+ * Student and parent routes stay role-based (they only ever see their own data);
+ * the `:own` permissions below cover routes shared between staff, students and parents.
+ */
+
+export const STAFF_ROLES = [
+  'chief_warden',
+  'warden',
+  'security_guard',
+  'accountant',
+  'maintenance_staff',
+  'medical_staff',
+  'auditor',
+];
+
+export const ROLES = ['student', 'parent', ...STAFF_ROLES];
+
+export const ROLE_LABELS = {
+  student: 'Student',
+  parent: 'Parent',
+  chief_warden: 'Chief Warden',
+  warden: 'Warden',
+  security_guard: 'Security Guard',
+  accountant: 'Accountant',
+  maintenance_staff: 'Maintenance Staff',
+  medical_staff: 'Medical Staff',
+  auditor: 'Auditor',
+};
+
+// Everything a warden could do before fine-grained roles existed
+const WARDEN_PERMISSIONS = [
+  'students:read',
+  'students:write',
+  'students:delete',
+  'students:purge',
+  'parents:manage',
+  'accounts:manage',
+  'location:read',
+  'location:tracking',
+  'fees:read',
+  'fees:write',
+  'payments:read',
+  'entryExit:read',
+  'entryExit:mark',
+  'leaves:read',
+  'leaves:approve',
+  'leaves:policy',
+  'reports:export',
+  'complaints:read',
+  'complaints:manage',
+  'chat:read',
+  'chat:write',
+  'staff:manage',
+  'audit:read',
+  'rooms:read',
+  'rooms:manage',
+  'documents:read',
+  'documents:write',
+  'documents:verify',
+];
+
+// Emergency contacts and health information: wardens and medical staff only,
+// so they are kept out of WARDEN_PERMISSIONS (auditors get every warden ':read' permission)
+const MEDICAL_PERMISSIONS = ['medical:read', 'medical:write'];
+
+// Campus-wide permissions: not part of a warden's set, since wardens are scoped to their hostels
+//   hostels:all    - see every hostel's records
+//   hostels:manage - create hostels/blocks
+//   academic:manage - academic years and the yearly rollover (promotions, graduation)
+//   devices:manage  - gate kiosk devices (they serve every hostel)
+
+export const ROLE_PERMISSIONS = {
+  student: ['documents:read:own', 'documents:write:own'],
+  parent: ['location:read:own', 'documents:read:own'],
+  chief_warden: ['*'],
+  warden: [...WARDEN_PERMISSIONS, ...MEDICAL_PERMISSIONS],
+  security_guard: [
+    'students:read',
+    'entryExit:read',
+    'entryExit:mark',
+    'leaves:read',
+  ],
+  accountant: [
+    'students:read',
+    'fees:read',
+    'fees:write',
+    'payments:read',
+    'reports:export',
+  ],
+  maintenance_staff: [
+    'complaints:read',
+    'complaints:manage',
+  ],
+  medical_staff: [
+    'students:read',
+    ...MEDICAL_PERMISSIONS,
+  ],
+  auditor: [
+    ...WARDEN_PERMISSIONS.filter((p) => p.endsWith(':read')),
+    'reports:export',
+    'hostels:all',
+  ],
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission such as 'fees:write'
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Whether the role belongs to hostel staff (anyone who is not a student or parent)
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+export const isStaffRole = (role) => STAFF_ROLES.includes(role);
+
+/**
+ * A user may only grant a staff role whose permissions they hold themselves
+ * (so a warden cannot create a chief warden)
+ * @param {string} actorRole - Role of the user assigning
+ * @param {string} targetRole - Role being assigned
+ * @returns {boolean}
+ */
+export const canAssignRole = (actorRole, targetRole) => {
+  if (!isStaffRole(targetRole)) {
+    return false;
+  }
+  const target = ROLE_PERMISSIONS[targetRole];
+  if (target.includes('*')) {
+    return (ROLE_PERMISSIONS[actorRole] || []).includes('*');
+  }
+  return target.every((permission) => hasPermission(actorRole, permission));
+};
@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import AcademicYear from '../models/AcademicYear.model.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { planRollover, runRollover } from '../utils/academicYear.js';
+
+/**
+ * @desc    List academic years (newest first)
+ * @route   GET /api/academic-years
+ * @access  Private (Staff)
+ */
+export const getAcademicYears = async (req, res) => {
+  try {
+    const years = await AcademicYear.find().sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: years.length,
+      data: years,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Create an academic year. The very first year may be created as current;
+ *          later years become current through a rollover.
+ * @route   POST /api/academic-years
+ * @access  Private (academic:manage)
+ */
+export const createAcademicYear = async (req, res) => {
+  try {
+    const { name, startDate, endDate, isCurrent } = req.body;
+
+    if (!name || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name, startDate and endDate',
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be a valid date before the end date',
+      });
+    }
+
+    if (isCurrent === true && await AcademicYear.exists({ isCurrent: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is already a current academic year. Use a rollover to switch years',
+      });
+    }
+
+    const year = await AcademicYear.create({
+      name,
+      startDate: start,
+      endDate: end,
+      isCurrent: isCurrent === true,
+      activatedAt: isCurrent === true ? new Date() : null,
+      activatedBy: isCurrent === true ? req.user._id : undefined,
+    });
+
+    await recordAudit(req, {
+      action: 'academicYear.create',
+      targetType: 'AcademicYear',
+      targetId: year._id,
+      after: year,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Academic year created successfully',
+      data: year,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An academic year with this name already exists',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+const findYear = (id) => (mongoose.Types.ObjectId.isValid(id) ? AcademicYear.findById(id) : null);
+
+/**
+ * @desc    Dry run of a rollover: students per promoted, graduating and untouched class
+ * @route   POST /api/academic-years/:id/rollover/preview
+ * @access  Private (academic:manage)
+ */
+export const previewRollover = async (req, res) => {
+  try {
+    const year = await findYear(req.params.id);
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic year not found',
+      });
+    }
+
+    const plan = await planRollover(req.body);
+    if (plan.error) {
+      return res.status(400).json({
+        success: false,
+        message: plan.error,
+      });
+    }
+
+    const current = year.rolloverFromYearId
+      ? await AcademicYear.findById(year.rolloverFromYearId).select('name')
+      : await AcademicYear.findOne({ isCurrent: true }).select('name');
+    if (!current) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no current academic year to roll over from',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: current.name,
+        to: year.name,
+        alreadyActivated: Boolean(year.activatedAt),
+        // An earlier attempt failed part-way; running again resumes it with its original plan
+        resumesFailedRollover: Boolean(year.rolloverPlan && !year.activatedAt),
+        savedPlan: year.activatedAt ? undefined : year.rolloverPlan,
+        ...plan,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Roll over into this academic year: promote classes, graduate final-year students
+ *          to alumni (archived, rooms vacated, records read-only) and make the year current.
+ *          Running it again after a failure resumes the first attempt with its original plan.
+ * @route   POST /api/academic-years/:id/rollover
+ * @access  Private (academic:manage)
+ */
+export const rolloverAcademicYear = async (req, res) => {
+  try {
+    const year = await findYear(req.params.id);
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic year not found',
+      });
+    }
+
+    const plan = await planRollover(req.body);
+    if (plan.error) {
+      return res.status(400).json({
+        success: false,
+        message: plan.error,
+      });
+    }
+
+    const result = await runRollover(year, req.body, req.user);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'academicYear.rollover',
+      targetType: 'AcademicYear',
+      targetId: year._id,
+      after: result.summary,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Rolled over to ${year.name}: ${result.summary.graduated} students graduated`,
+      data: result.summary,
+    });
+  } catch (error) {
+    console.error('❌ Academic year rollover error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import LoginThrottle from '../models/LoginThrottle.model.js';
+import { unlockWithToken } from '../utils/loginThrottle.js';
+
+/**
+ * @desc    Unlock own account using the link from the lockout email
+ * @route   POST /api/auth/unlock
+ * @access  Public (requires unlock token)
+ */
+export const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide unlock token',
+      });
+    }
+
+    const unlocked = await unlockWithToken(token);
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock link is invalid or the account is no longer locked',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can log in again.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List currently locked accounts and IPs
+ * @route   GET /api/warden/locked-accounts
+ * @access  Private (accounts:manage)
+ */
+export const getLockedAccounts = async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const query = { lockedUntil: { $gt: new Date() } };
+    if (type) query.type = type;
+
+    const records = await LoginThrottle.find(query)
+      .populate('userId', 'name email role')
+      .sort({ lockedUntil: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records.map((r) => ({
+        id: r._id,
+        type: r.type,
+        identifier: r.identifier,
+        user: r.userId
+          ? { id: r.userId._id, name: r.userId.name, email: r.userId.email, role: r.userId.role }
+          : null,
+        lockedUntil: r.lockedUntil,
+        lockCount: r.lockCount,
+        lastFailedAt: r.lastFailedAt,
+        lastIp: r.lastIp,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Clear a lock (account or IP) and reset its failure counters
+ * @route   DELETE /api/warden/locked-accounts/:id
+ * @access  Private (accounts:manage)
+ */
+export const clearAccountLock = async (req, res) => {
+  try {
+    const record = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await LoginThrottle.findByIdAndUpdate(
+        req.params.id,
+        {
+          $set: { failedCount: 0, lockCount: 0 },
+          $unset: { lockedUntil: 1, unlockTokenHash: 1, firstFailedAt: 1 },
+        },
+        { new: true }
+      )
+      : null;
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lock record not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${record.type === 'account' ? 'Account' : 'IP'} ${record.identifier} unlocked successfully`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
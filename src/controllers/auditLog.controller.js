@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import XLSX from 'xlsx';
+import AuditLog from '../models/AuditLog.model.js';
+import { verifyAuditChain } from '../utils/auditLog.js';
+import { getHostelScope } from '../utils/tenancy.js';
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build an AuditLog query from request filters
+ * (actorId, actorRole, action, targetType, targetId, from, to).
+ * Staff limited to some hostels only see entries about those hostels.
+ */
+const buildAuditQuery = (filters, user) => {
+  const { actorId, actorRole, action, targetType, targetId, from, to } = filters;
+  const query = {};
+
+  const scope = getHostelScope(user);
+  if (scope) query.hostelIds = { $in: scope };
+
+  if (actorId && mongoose.Types.ObjectId.isValid(actorId)) query.actorId = actorId;
+  if (actorRole) query.actorRole = String(actorRole);
+  if (action) query.action = String(action);
+  if (targetType) query.targetType = String(targetType);
+  if (targetId) query.targetId = String(targetId);
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate || toDate) {
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  return query;
+};
+
+const formatExportDate = (value) => {
+  if (!value) return '';
+  return new Date(value).toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+};
+
+/**
+ * @desc    Query audit log with filters (newest first, paginated)
+ * @route   GET /api/warden/audit-logs
+ * @access  Private (audit:read)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const query = buildAuditQuery(req.query, req.user);
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(query),
+      AuditLog.find(query)
+        .sort({ seq: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-prevHash'),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Export filtered audit log as Excel
+ * @route   GET /api/warden/audit-logs/export
+ * @access  Private (audit:read)
+ */
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const entries = await AuditLog.find(buildAuditQuery(req.query, req.user))
+      .sort({ seq: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const rows = entries.map((entry) => ({
+      'Seq': entry.seq,
+      'Time': formatExportDate(entry.createdAt),
+      'Actor': entry.actorName || 'N/A',
+      'Actor Role': entry.actorRole || 'N/A',
+      'Action': entry.action,
+      'Target Type': entry.targetType,
+      'Target ID': entry.targetId || '',
+      'Before': entry.before ? JSON.stringify(entry.before) : '',
+      'After': entry.after ? JSON.stringify(entry.after) : '',
+      'IP': entry.ip || '',
+      'Hash': entry.hash,
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Audit Log');
+
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.xlsx`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.status(200).send(buffer);
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while exporting audit log',
+    });
+  }
+};
+
+/**
+ * @desc    Verify the audit log hash chain (detects edited or deleted entries)
+ * @route   GET /api/warden/audit-logs/verify
+ * @access  Private (audit:read)
+ */
+export const verifyAuditLogs = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    res.status(200).json({
+      success: true,
+      message: result.valid
+        ? `Audit log intact (${result.checked} entries checked)`
+        : `Audit log tampering detected at entry #${result.brokenAtSeq}: ${result.reason}`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
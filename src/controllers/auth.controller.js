@@ -1,24 +1,23 @@
+import mongoose from 'mongoose';
 import User from '../models/User.model.js';
-import jwt from 'jsonwebtoken';
+import Session from '../models/Session.model.js';
+import Parent from '../models/Parent.model.js';
+import Student from '../models/Student.model.js';
+import { findUserByActivationToken, sendActivationInvite, sendPasswordResetLink } from '../utils/accountActivation.js';
+import { checkLoginAllowed, recordFailedLogin, clearFailedLogins } from '../utils/loginThrottle.js';
+import { isTwoFactorRequired, createTwoFactorChallenge } from '../utils/twoFactor.js';
+import { isStaffRole } from '../config/permissions.js';
+import { canAccessStudent } from '../utils/tenancy.js';
+import {
+  hashToken,
+  createSession,
+  generateAccessToken,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+} from '../utils/authTokens.js';
 // Note: dotenv is loaded in server.js, process.env is available globally
 
-/**
- * Generate JWT Token
- * @param {string} userId - User ID
- * @param {string} role - User role
- * @param {string} name - User name
- * @returns {string} JWT token
- */
-const generateToken = (userId, role, name, isTempPassword = false) => {
-  return jwt.sign(
-    { userId, role, name, isTempPassword },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: process.env.JWT_EXPIRE || '7d',
-    }
-  );
-};
-
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -30,12 +29,19 @@ const isValidEmail = (email) => {
 };
 
 /**
- * @desc    Register warden (warden only)
+ * @desc    Register warden (initial setup only - wardens are otherwise invite-only)
  * @route   POST /api/auth/warden-signup
- * @access  Public
+ * @access  Public (only when WARDEN_SIGNUP_ENABLED=true)
  */
 export const wardenSignup = async (req, res) => {
   try {
+    if (process.env.WARDEN_SIGNUP_ENABLED !== 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Warden signup is disabled. Ask an existing warden for an invitation.',
+      });
+    }
+
     const { name, email, password } = req.body;
 
     // Validate required fields
@@ -87,13 +93,14 @@ export const wardenSignup = async (req, res) => {
       role: 'warden',
     });
 
-    // Generate token
-    const token = generateToken(user._id, user.role, user.name);
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'Warden account created successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -127,7 +134,7 @@ export const wardenSignup = async (req, res) => {
 };
 
 /**
- * @desc    Login user (student or warden)
+ * @desc    Login user (student, parent or staff)
  * @route   POST /api/auth/login
  * @access  Public
  */
@@ -151,33 +158,89 @@ export const login = async (req, res) => {
       });
     }
 
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Brute-force protection: progressive delay and lockout per account and per IP
+    const throttle = await checkLoginAllowed(normalizedEmail, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({
+        success: false,
+        message: throttle.message,
+        retryAfter: throttle.retryAfter,
+      });
+    }
+
     // Check if user exists and get password
-    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+    const user = await User.findOne({ email: normalizedEmail }).select('+password');
 
     if (!user) {
+      await recordFailedLogin(normalizedEmail, req.ip, null);
       return res.status(404).json({
         success: false,
         message: 'User not found',
       });
     }
 
+    // Accounts created by the warden cannot log in until the activation link is used
+    if (user.accountStatus === 'PendingActivation') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account not activated. Please use the activation link sent to your email.',
+        requiresActivation: true,
+      });
+    }
+
     // Check password
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      const { accountLocked, lockMinutes } = await recordFailedLogin(normalizedEmail, req.ip, user);
+      if (accountLocked) {
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed login attempts. Account locked for ${lockMinutes} minutes. An unlock link has been sent to your email.`,
+          retryAfter: lockMinutes * 60,
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
+    // Archived or deactivated accounts keep their data but cannot sign in until restored
+    if (user.archivedAt || user.deactivatedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deactivated. Please contact the hostel office.',
+        accountArchived: true,
+      });
+    }
+
+    // Staff with 2FA must complete a second step before any session is issued.
+    // Failure counters are only cleared once the code is verified too.
+    if (isStaffRole(user.role) && user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        requiresTwoFactor: true,
+        challengeToken: createTwoFactorChallenge(user),
+        message: 'Enter the code from your authenticator app',
+      });
+    }
+
+    await clearFailedLogins(normalizedEmail);
+
+    // Start a session for this device (access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req);
+
     // Check if user is using temporary password
     if (user.isTempPassword) {
       // Return token but flag that password change is required
-      const token = generateToken(user._id, user.role, user.name, true);
       return res.status(200).json({
         success: true,
         token,
+        refreshToken,
         requiresPasswordChange: true,
         forcePasswordChange: true, // Explicit flag for mandatory change
         message: 'Please change your temporary password',
@@ -190,13 +253,13 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token with userId, role, and name (isTempPassword = false)
-    const token = generateToken(user._id, user.role, user.name, false);
-
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       requiresPasswordChange: false,
+      // Deployment requires 2FA but this staff member has not enrolled yet
+      requiresTwoFactorSetup: isStaffRole(user.role) && isTwoFactorRequired() && !user.twoFactorEnabled,
       user: {
         id: user._id,
         name: user.name,
@@ -271,8 +334,11 @@ export const changePassword = async (req, res) => {
     user.isTempPassword = false;
     await user.save();
 
+    // Sign out every other device; the current session stays valid
+    await revokeAllSessions(user._id, 'Password changed', req.sessionId);
+
     // Generate new token without isTempPassword flag
-    const newToken = generateToken(user._id, user.role, user.name, false);
+    const newToken = generateAccessToken(user, req.sessionId);
 
     res.status(200).json({
       success: true,
@@ -286,3 +352,394 @@ export const changePassword = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Exchange a refresh token for a new access + refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refresh token',
+      });
+    }
+
+    const rotated = await rotateSession(presentedToken, (userId) => User.findById(userId));
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please log in again.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      requiresPasswordChange: !!rotated.user.isTempPassword,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+    });
+  }
+};
+
+/**
+ * @desc    Logout current device (revokes the session of the given refresh token)
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refresh token',
+      });
+    }
+
+    // Always succeed so clients can clear local state even if the session is already gone
+    await revokeSessionByRefreshToken(presentedToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+    });
+  }
+};
+
+/**
+ * @desc    Logout from all devices (revokes every session of the current user)
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user._id, 'Logged out from all devices');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: count },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+    });
+  }
+};
+
+/**
+ * @desc    List active sessions (devices) of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent || null,
+        ip: s.ip || null,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: s._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions (e.g. a lost phone)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const revokeMySession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const result = await Session.updateOne(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'Revoked by user' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Request a password reset link by email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res) => {
+  // Same response whether or not the email exists, so accounts cannot be enumerated
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.',
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Fire and forget - response time must not depend on email delivery
+    sendPasswordResetLink(user)
+      .catch((err) => console.error('❌ Password reset email error:', err.message || err));
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('❌ forgotPassword error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset',
+    });
+  }
+};
+
+/**
+ * @desc    Reset password using a one-time emailed token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (typeof token !== 'string' || typeof newPassword !== 'string' || !token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide reset token and new password',
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters long',
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    }).select('+password +passwordResetTokenHash +passwordResetExpires +activationNonce');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired',
+      });
+    }
+
+    // Consume the token so the link cannot be used twice
+    // Proving ownership of the email also activates a pending account
+    user.password = newPassword;
+    user.isTempPassword = false;
+    user.accountStatus = 'Active';
+    user.activationNonce = undefined;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user._id, 'Password reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('❌ resetPassword error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+    });
+  }
+};
+
+/**
+ * @desc    Activate account by setting a password via the emailed activation link
+ * @route   POST /api/auth/activate
+ * @access  Public (requires activation token)
+ */
+export const activateAccount = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide activation token and password',
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long',
+      });
+    }
+
+    const user = await findUserByActivationToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activation link is invalid, already used or has expired',
+      });
+    }
+
+    // Clearing the nonce makes the link single-use
+    user.password = password;
+    user.isTempPassword = false;
+    user.accountStatus = 'Active';
+    user.activationNonce = undefined;
+    await user.save();
+
+    const { token: accessToken, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account activated successfully',
+      token: accessToken,
+      refreshToken,
+      requiresPasswordChange: false,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('❌ activateAccount error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during account activation',
+    });
+  }
+};
+
+/**
+ * @desc    Resend activation invite to a pending student/parent account
+ * @route   POST /api/warden/users/:userId/resend-invite
+ * @access  Private (accounts:manage)
+ */
+export const resendActivationInvite = async (req, res) => {
+  try {
+    const notFound = () => res.status(404).json({
+      success: false,
+      message: 'Student or parent account not found',
+    });
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findById(req.params.userId)
+      : null;
+    if (!user || !['student', 'parent'].includes(user.role)) {
+      return notFound();
+    }
+
+    // Accounts of students outside the caller's hostels are treated as not found;
+    // parents need at least one linked child the caller can access (unless not linked yet)
+    let studentName;
+    if (user.role === 'student') {
+      const student = await Student.findOne({ userId: user._id }).select('hostelId');
+      if (!student || !canAccessStudent(req.user, student)) {
+        return notFound();
+      }
+    } else {
+      const links = await Parent.find({ userId: user._id }).populate({
+        path: 'studentId',
+        select: 'userId hostelId',
+        populate: { path: 'userId', select: 'name' },
+      });
+      const visible = links.filter((link) => link.studentId && canAccessStudent(req.user, link.studentId));
+      if (links.length > 0 && visible.length === 0) {
+        return notFound();
+      }
+      // Parents get the parent template, which names their children
+      studentName = visible.map((link) => link.studentId.userId?.name).filter(Boolean).join(' and ') || undefined;
+    }
+
+    if (user.accountStatus !== 'PendingActivation') {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already activated',
+      });
+    }
+
+    // Issues a new link; earlier links stop working
+    await sendActivationInvite(user, studentName);
+
+    res.status(200).json({
+      success: true,
+      message: 'Activation link has been resent',
+    });
+  } catch (error) {
+    console.error('❌ resendActivationInvite error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
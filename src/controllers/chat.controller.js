@@ -1,16 +1,18 @@
 import Chat from '../models/Chat.model.js';
-import Parent from '../models/Parent.model.js';
 import Student from '../models/Student.model.js';
-import User from '../models/User.model.js';
+import { findResponsibleWarden } from '../utils/tenancy.js';
+import { getRoomLabel } from '../utils/roomAllocation.js';
+import { resolveParentChild } from '../utils/parentLinks.js';
 
 /**
- * Get or create chat between parent and warden for a student
+ * Get or create chat between parent and warden for a student.
+ * An existing chat follows the student to their current hostel's warden.
  */
 const getOrCreateChat = async (parentUserId, wardenUserId, studentId) => {
   let chat = await Chat.findOne({
     parentId: parentUserId,
     studentId,
-  }).populate('wardenId', 'name');
+  });
 
   if (!chat) {
     chat = await Chat.create({
@@ -18,29 +20,32 @@ const getOrCreateChat = async (parentUserId, wardenUserId, studentId) => {
       wardenId: wardenUserId,
       studentId,
     });
-    await chat.populate('wardenId', 'name');
+  } else if (chat.wardenId?.toString() !== wardenUserId.toString()) {
+    chat.wardenId = wardenUserId;
+    await chat.save();
   }
+
+  await chat.populate('wardenId', 'name');
   return chat;
 };
 
 /**
- * @desc    Parent: Get or create chat with warden for their child
- * @route   GET /api/chat
+ * @desc    Parent: Get or create chat with warden for their child (one chat per child)
+ * @route   GET /api/chat?studentId=
  * @access  Private (Parent only)
  */
 export const getMyChat = async (req, res) => {
   try {
-    const parent = await Parent.findOne({ userId: req.user._id });
-    if (!parent) {
-      return res.status(404).json({
+    const { studentId, error, status } = await resolveParentChild(req.user, req.query.studentId);
+    if (error) {
+      return res.status(status).json({
         success: false,
-        message: 'Parent profile not found',
+        message: error,
       });
     }
 
-    // Get any warden - for simplicity, we use the first one
-    // In production, you might have multiple wardens; we'll get the chat that exists or create with a default
-    const student = await Student.findById(parent.studentId);
+    // Chat goes to the warden of the child's hostel
+    const student = await Student.findById(studentId);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -48,7 +53,7 @@ export const getMyChat = async (req, res) => {
       });
     }
 
-    const warden = await User.findOne({ role: 'warden' });
+    const warden = await findResponsibleWarden(student);
     if (!warden) {
       return res.status(404).json({
         success: false,
@@ -56,7 +61,7 @@ export const getMyChat = async (req, res) => {
       });
     }
 
-    const chat = await getOrCreateChat(req.user._id, warden._id, parent.studentId);
+    const chat = await getOrCreateChat(req.user._id, warden._id, studentId);
     await chat.populate('messages.senderId', 'name role');
 
     res.status(200).json({
@@ -85,7 +90,7 @@ export const getMyChat = async (req, res) => {
 };
 
 /**
- * @desc    Parent: Send message to warden
+ * @desc    Parent: Send message to warden (body studentId selects the child's chat)
  * @route   POST /api/chat/message
  * @access  Private (Parent only)
  */
@@ -100,15 +105,23 @@ export const sendMessage = async (req, res) => {
       });
     }
 
-    const parent = await Parent.findOne({ userId: req.user._id });
-    if (!parent) {
+    const { studentId, error, status } = await resolveParentChild(req.user, req.body.studentId);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const student = await Student.findById(studentId);
+    if (!student) {
       return res.status(404).json({
         success: false,
-        message: 'Parent profile not found',
+        message: 'Student not found',
       });
     }
 
-    const warden = await User.findOne({ role: 'warden' });
+    const warden = await findResponsibleWarden(student);
     if (!warden) {
       return res.status(404).json({
         success: false,
@@ -116,7 +129,7 @@ export const sendMessage = async (req, res) => {
       });
     }
 
-    const chat = await getOrCreateChat(req.user._id, warden._id, parent.studentId);
+    const chat = await getOrCreateChat(req.user._id, warden._id, studentId);
     chat.messages = chat.messages || [];
     chat.messages.push({
       senderId: req.user._id,
@@ -159,6 +172,7 @@ export const getWardenChats = async (req, res) => {
       .populate('parentId', 'name email')
       .populate('studentId')
       .populate('studentId.userId', 'name')
+      .populate('studentId.roomId', 'number')
       .sort({ updatedAt: -1 });
 
     const result = chats.map((c) => ({
@@ -168,7 +182,7 @@ export const getWardenChats = async (req, res) => {
         ? {
             id: c.studentId._id,
             name: c.studentId.userId?.name,
-            room: c.studentId.room,
+            room: getRoomLabel(c.studentId),
           }
         : null,
       lastMessage: c.messages?.length
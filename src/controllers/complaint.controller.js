@@ -1,5 +1,10 @@
 import Complaint from '../models/Complaint.model.js';
 import Student from '../models/Student.model.js';
+import { recordAudit, diffSnapshots, getStudentHostelIds } from '../utils/auditLog.js';
+import { getScopedStudentFilter } from '../utils/tenancy.js';
+import { getRoomLabel } from '../utils/roomAllocation.js';
+import { getAcademicYearFilter } from '../utils/academicYear.js';
+import { isGraduated, GRADUATED_READ_ONLY_MESSAGE } from '../utils/studentArchive.js';
 
 /**
  * @desc    Create a new complaint
@@ -38,7 +43,8 @@ export const createComplaint = async (req, res) => {
     });
 
     // Populate student details
-    await complaint.populate('studentId', 'userId room');
+    await complaint.populate('studentId', 'userId room roomId');
+    await complaint.populate('studentId.roomId', 'number');
     await complaint.populate('studentId.userId', 'name');
 
     res.status(201).json({
@@ -54,7 +60,7 @@ export const createComplaint = async (req, res) => {
         createdAt: complaint.createdAt,
         student: {
           name: complaint.studentId.userId.name,
-          room: complaint.studentId.room,
+          room: getRoomLabel(complaint.studentId),
         },
       },
     });
@@ -74,8 +80,12 @@ export const createComplaint = async (req, res) => {
  */
 export const getAllComplaints = async (req, res) => {
   try {
-    const complaints = await Complaint.find()
-      .populate('studentId', 'userId room')
+    const complaints = await Complaint.find({
+      ...(await getScopedStudentFilter(req.user)),
+      ...(await getAcademicYearFilter(req.query.academicYearId)),
+    })
+      .populate('studentId', 'userId room roomId')
+      .populate('studentId.roomId', 'number')
       .populate('studentId.userId', 'name')
       .populate('assignedTo', 'name')
       .sort({ createdAt: -1 });
@@ -92,7 +102,7 @@ export const getAllComplaints = async (req, res) => {
       resolution: complaint.resolution,
       student: {
         name: complaint.studentId.userId.name,
-        room: complaint.studentId.room,
+        room: getRoomLabel(complaint.studentId),
       },
       assignedTo: complaint.assignedTo ? complaint.assignedTo.name : null,
     }));
@@ -183,11 +193,23 @@ export const updateComplaintStatus = async (req, res) => {
       updateData.resolution = resolution;
     }
 
-    const complaint = await Complaint.findByIdAndUpdate(
-      id,
+    // Complaints of students outside the user's hostels are treated as not found
+    const scopeFilter = await getScopedStudentFilter(req.user);
+    const previous = await Complaint.findOne({ _id: id, ...scopeFilter })
+      .select('studentId status assignedTo resolvedAt resolution');
+    if (previous && await isGraduated(previous.studentId)) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
+
+    const complaint = await Complaint.findOneAndUpdate(
+      { _id: id, ...scopeFilter },
       updateData,
       { new: true }
-    ).populate('studentId', 'userId room')
+    ).populate('studentId', 'userId room roomId')
+     .populate('studentId.roomId', 'number')
      .populate('studentId.userId', 'name')
      .populate('assignedTo', 'name');
 
@@ -198,6 +220,18 @@ export const updateComplaintStatus = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'complaint.status',
+      targetType: 'Complaint',
+      targetId: complaint._id,
+      hostelIds: await getStudentHostelIds(complaint.studentId),
+      ...diffSnapshots(
+        previous,
+        { ...complaint.toObject(), assignedTo: complaint.assignedTo?._id },
+        ['status', 'assignedTo', 'resolvedAt', 'resolution']
+      ),
+    });
+
     res.status(200).json({
       success: true,
       message: `Complaint ${status.toLowerCase()} successfully`,
@@ -213,7 +247,7 @@ export const updateComplaintStatus = async (req, res) => {
         resolution: complaint.resolution,
         student: {
           name: complaint.studentId.userId.name,
-          room: complaint.studentId.room,
+          room: getRoomLabel(complaint.studentId),
         },
         assignedTo: complaint.assignedTo.name,
       },
@@ -0,0 +1,383 @@
+import mongoose from 'mongoose';
+import Student from '../models/Student.model.js';
+import StudentDocument, { DOCUMENT_TYPES } from '../models/StudentDocument.model.js';
+import { recordAudit, getStudentHostelIds } from '../utils/auditLog.js';
+import { canAccessStudent, getScopedStudentFilter } from '../utils/tenancy.js';
+import { parseMultipart } from '../utils/multipart.js';
+import { getLinkedStudentIds } from '../utils/parentLinks.js';
+import {
+  getStorageBackend,
+  buildStorageKey,
+  getBaseUrl,
+  signResource,
+  verifyResourceSignature,
+} from '../utils/documentStorage.js';
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Filter on studentId for the documents a user may see:
+ * students their own, parents their children's, staff the students in their hostels
+ */
+const getDocumentAccessFilter = async (user) => {
+  if (user.role === 'student') {
+    const student = await Student.findOne({ userId: user._id }).select('_id');
+    return { studentId: student ? student._id : null };
+  }
+  if (user.role === 'parent') {
+    return { studentId: { $in: await getLinkedStudentIds(user._id) } };
+  }
+  return getScopedStudentFilter(user);
+};
+
+const formatDocument = (document) => ({
+  id: document._id,
+  studentId: document.studentId?._id || document.studentId,
+  studentName: document.studentId?.userId?.name,
+  type: document.type,
+  title: document.title,
+  fileName: document.fileName,
+  mimeType: document.mimeType,
+  size: document.size,
+  expiresAt: document.expiresAt,
+  isExpired: Boolean(document.expiresAt && document.expiresAt < new Date()),
+  status: document.status,
+  verifiedBy: document.verifiedBy?.name || null,
+  verifiedAt: document.verifiedAt,
+  rejectionReason: document.rejectionReason,
+  uploadedAt: document.createdAt,
+});
+
+const populateDocument = (query) => query
+  .populate({ path: 'studentId', select: 'userId', populate: { path: 'userId', select: 'name' } })
+  .populate('verifiedBy', 'name');
+
+/**
+ * @desc    Upload a document (multipart/form-data: file, type, title, expiresAt;
+ *          staff also send studentId). Students upload for themselves.
+ * @route   POST /api/documents
+ * @access  Private (documents:write, students: own)
+ */
+export const uploadDocument = async (req, res) => {
+  try {
+    const form = parseMultipart(req.body, req.get('content-type'));
+    const file = form?.files.find((f) => f.fieldName === 'file');
+    if (!file || file.data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the document as multipart/form-data in a "file" field',
+      });
+    }
+
+    if (!ALLOWED_MIME_TYPES.includes(file.mimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only PDF, JPEG, PNG and WebP files are accepted',
+      });
+    }
+
+    const { type, title, expiresAt, studentId } = form.fields;
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid document type. Must be one of: ${DOCUMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const expiryDate = expiresAt ? new Date(expiresAt) : null;
+    if (expiryDate && Number.isNaN(expiryDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expiry date',
+      });
+    }
+
+    let student;
+    if (req.user.role === 'student') {
+      student = await Student.findOne({ userId: req.user._id });
+    } else {
+      student = mongoose.Types.ObjectId.isValid(studentId) ? await Student.findById(studentId) : null;
+      if (student && !canAccessStudent(req.user, student)) {
+        student = null;
+      }
+    }
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+    if (student.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Documents cannot be added to an archived student',
+      });
+    }
+
+    const { name: storage, backend } = getStorageBackend();
+    const storageKey = buildStorageKey(student._id, file.fileName);
+    await backend.save(storageKey, file.data, { mimeType: file.mimeType });
+
+    let document;
+    try {
+      document = await StudentDocument.create({
+        studentId: student._id,
+        type,
+        title: title?.trim() || undefined,
+        fileName: file.fileName || 'document',
+        mimeType: file.mimeType,
+        size: file.data.length,
+        storage,
+        storageKey,
+        expiresAt: expiryDate,
+        uploadedBy: req.user._id,
+      });
+    } catch (error) {
+      await backend.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'document.upload',
+      targetType: 'StudentDocument',
+      targetId: document._id,
+      hostelIds: [student.hostelId],
+      after: { studentId: student._id, type, fileName: document.fileName, expiresAt: document.expiresAt },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded and waiting for verification',
+      data: formatDocument(await populateDocument(StudentDocument.findById(document._id))),
+    });
+  } catch (error) {
+    console.error('Upload document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading document',
+    });
+  }
+};
+
+/**
+ * @desc    List documents (filters: studentId, type, status, expired=true, expiringWithinDays)
+ * @route   GET /api/documents
+ * @access  Private (documents:read, students and parents: own/child only)
+ */
+export const getDocuments = async (req, res) => {
+  try {
+    const filter = await getDocumentAccessFilter(req.user);
+    const conditions = [filter];
+
+    if (req.query.studentId) {
+      conditions.push({
+        studentId: mongoose.Types.ObjectId.isValid(req.query.studentId) ? req.query.studentId : null,
+      });
+    }
+    if (req.query.type) conditions.push({ type: req.query.type });
+    if (req.query.status) conditions.push({ status: req.query.status });
+
+    const now = new Date();
+    if (req.query.expired === 'true') {
+      conditions.push({ expiresAt: { $ne: null, $lt: now } });
+    }
+    const days = parseInt(req.query.expiringWithinDays, 10);
+    if (days > 0) {
+      conditions.push({ expiresAt: { $gte: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) } });
+    }
+
+    const documents = await populateDocument(
+      StudentDocument.find({ $and: conditions }).sort({ createdAt: -1 })
+    );
+
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      data: documents.map(formatDocument),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+const findAccessibleDocument = async (user, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return StudentDocument.findOne({ $and: [{ _id: id }, await getDocumentAccessFilter(user)] });
+};
+
+/**
+ * @desc    Get a short-lived signed download URL for a document
+ * @route   GET /api/documents/:id/url
+ * @access  Private (documents:read, students and parents: own/child only)
+ */
+export const getDocumentUrl = async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req.user, req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const { query, expiresAt } = signResource(`document:${document._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: `${getBaseUrl(req)}/api/documents/${document._id}/download?${query}`,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Download a document through a signed URL (no login; the signature is the credential)
+ * @route   GET /api/documents/:id/download?expires=&signature=
+ * @access  Public (signed URL)
+ */
+export const downloadDocument = async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    if (!verifyResourceSignature(`document:${req.params.id}`, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This download link is invalid or has expired',
+      });
+    }
+
+    const document = await StudentDocument.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const { backend } = getStorageBackend(document.storage);
+    const stream = backend.createReadStream(document.storageKey);
+    stream.on('error', (error) => {
+      console.error('Document read error:', error.message || error);
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Document file not found',
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.setHeader('Content-Type', document.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${document.fileName.replace(/["\\\r\n]/g, '_')}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Verify or reject a document
+ * @route   PUT /api/documents/:id/status
+ * @access  Private (documents:verify)
+ */
+export const updateDocumentStatus = async (req, res) => {
+  try {
+    const { status, rejectionReason } = req.body;
+    if (!['Verified', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be Verified or Rejected',
+      });
+    }
+
+    const document = await findAccessibleDocument(req.user, req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const before = { status: document.status, rejectionReason: document.rejectionReason };
+    document.status = status;
+    document.verifiedBy = req.user._id;
+    document.verifiedAt = new Date();
+    document.rejectionReason = status === 'Rejected' ? rejectionReason?.trim() || undefined : undefined;
+    await document.save();
+
+    await recordAudit(req, {
+      action: 'document.status',
+      targetType: 'StudentDocument',
+      targetId: document._id,
+      hostelIds: await getStudentHostelIds(document.studentId),
+      before,
+      after: { status: document.status, rejectionReason: document.rejectionReason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Document ${status.toLowerCase()}`,
+      data: formatDocument(await populateDocument(StudentDocument.findById(document._id))),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Delete a document and its file
+ * @route   DELETE /api/documents/:id
+ * @access  Private (documents:write)
+ */
+export const deleteDocument = async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req.user, req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    await StudentDocument.deleteOne({ _id: document._id });
+    await getStorageBackend(document.storage).backend.remove(document.storageKey)
+      .catch((err) => console.error('❌ Failed to remove document file:', err.message || err));
+
+    await recordAudit(req, {
+      action: 'document.delete',
+      targetType: 'StudentDocument',
+      targetId: document._id,
+      hostelIds: await getStudentHostelIds(document.studentId),
+      before: document,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -1,19 +1,54 @@
 import EntryExit from '../models/EntryExit.model.js';
 import Student from '../models/Student.model.js';
 import mongoose from 'mongoose';
+import { hasPermission } from '../config/permissions.js';
+import { getStudentScopeFilter, getScopedStudentFilter, canAccessStudent } from '../utils/tenancy.js';
+import { getAcademicYearFilter } from '../utils/academicYear.js';
+import { GRADUATED_READ_ONLY_MESSAGE } from '../utils/studentArchive.js';
+import { getBaseUrl } from '../utils/documentStorage.js';
+import { getPhotoUrls } from '../utils/studentPhotos.js';
+import { claimLeaveForExit, closeLeaveOnEntry, getExitWithoutLeavePolicy } from '../utils/leaveGate.js';
+import { getIO, getHostelStaffRoom, ALL_HOSTELS_STAFF_ROOM } from '../utils/socket.js';
+
+/**
+ * Gate response: the log with the student's photo, so the guard can check the person
+ */
+const withStudentPhoto = (log, req) => {
+  const data = log.toObject();
+  if (data.studentId) {
+    data.studentId.photo = getPhotoUrls(log.studentId, getBaseUrl(req));
+  }
+  return data;
+};
+
+/**
+ * Real-time alert for the student's hostel staff: a student left (or tried to) without a valid approved leave
+ */
+const notifyUnauthorizedExit = (studentId, hostelId, logId, blocked) => {
+  const io = getIO();
+  if (io) {
+    io.to(getHostelStaffRoom(hostelId))
+      .to(ALL_HOSTELS_STAFF_ROOM)
+      .emit('gate:unauthorizedExit', { studentId, hostelId, logId, blocked, at: new Date() });
+  }
+};
+
+const LEAVE_SUMMARY_FIELDS = 'type outDate inDate outTime inTime status';
 
 /**
  * @desc    Mark entry
  * @route   POST /api/entry-exit/entry
- * @access  Private
+ * @access  Private (Student for self, entryExit:mark, or gate device key)
  */
 export const markEntry = async (req, res) => {
   try {
-    const { studentId, method = 'Manual' } = req.body;
+    const { studentId } = req.body;
+    // Devices always record their own scan method
+    const method = req.device ? req.device.type : (req.body.method || 'Manual');
 
     // If student, use their own studentId
     let targetStudentId;
-    if (req.user.role === 'student') {
+    if (req.user?.role === 'student') {
       const student = await Student.findOne({ userId: req.user._id });
       if (!student) {
         return res.status(404).json({
@@ -23,7 +58,14 @@ export const markEntry = async (req, res) => {
       }
       targetStudentId = student._id;
     } else {
-      // Warden can mark entry for any student
+      // Gate staff and registered gate devices can mark entry for any student
+      if (!req.device && !hasPermission(req.user.role, 'entryExit:mark')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to mark entry for students',
+        });
+      }
+
       if (!studentId) {
         return res.status(400).json({
           success: false,
@@ -37,12 +79,19 @@ export const markEntry = async (req, res) => {
         ? await Student.findById(studentId)
         : await Student.findOne({ rollNumber: String(studentId).trim() });
 
-      if (!student) {
+      // Staff can only mark students of their own hostels (devices are campus-wide)
+      if (!student || (req.user && !canAccessStudent(req.user, student))) {
         return res.status(404).json({
           success: false,
           message: 'Student not found',
         });
       }
+      if (student.graduatedAt) {
+        return res.status(409).json({
+          success: false,
+          message: GRADUATED_READ_ONLY_MESSAGE,
+        });
+      }
       targetStudentId = student._id;
     }
 
@@ -58,24 +107,36 @@ export const markEntry = async (req, res) => {
     }
 
     // Create entry log
+    const entryTime = new Date();
     const entryLog = await EntryExit.create({
       studentId: targetStudentId,
-      inTime: new Date(),
+      inTime: entryTime,
       status: 'IN',
       method,
+      entryDevice: req.device?._id,
     });
 
+    // Returning from an approved leave completes it (only once the entry is on record)
+    const returned = await closeLeaveOnEntry(targetStudentId, entryTime);
+    if (returned) {
+      entryLog.entryLeaveId = returned.leave._id;
+      entryLog.lateReturn = returned.late;
+      await entryLog.save();
+    }
+
     const populatedLog = await EntryExit.findById(entryLog._id)
       .populate({
         path: 'studentId',
-        select: 'rollNumber class section',
+        select: 'rollNumber class section photo',
         populate: { path: 'userId', select: 'name email' },
-      });
+      })
+      .populate('entryDevice exitDevice', 'name gate')
+      .populate('entryLeaveId', LEAVE_SUMMARY_FIELDS);
 
     res.status(201).json({
       success: true,
-      message: 'Entry marked successfully',
-      data: populatedLog,
+      message: returned?.late ? 'Entry marked (returned after the approved leave ended)' : 'Entry marked successfully',
+      data: withStudentPhoto(populatedLog, req),
     });
   } catch (error) {
     res.status(500).json({
@@ -88,15 +149,18 @@ export const markEntry = async (req, res) => {
 /**
  * @desc    Mark exit
  * @route   POST /api/entry-exit/exit
- * @access  Private
+ * @access  Private (Student for self, entryExit:mark, or gate device key)
  */
 export const markExit = async (req, res) => {
   try {
-    const { studentId, method = 'Manual' } = req.body;
+    const { studentId } = req.body;
+    // Devices always record their own scan method
+    const method = req.device ? req.device.type : (req.body.method || 'Manual');
 
     // If student, use their own studentId
     let targetStudentId;
-    if (req.user.role === 'student') {
+    let targetHostelId;
+    if (req.user?.role === 'student') {
       const student = await Student.findOne({ userId: req.user._id });
       if (!student) {
         return res.status(404).json({
@@ -105,8 +169,16 @@ export const markExit = async (req, res) => {
         });
       }
       targetStudentId = student._id;
+      targetHostelId = student.hostelId;
     } else {
-      // Warden can mark exit for any student
+      // Gate staff and registered gate devices can mark exit for any student
+      if (!req.device && !hasPermission(req.user.role, 'entryExit:mark')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to mark exit for students',
+        });
+      }
+
       if (!studentId) {
         return res.status(400).json({
           success: false,
@@ -120,13 +192,21 @@ export const markExit = async (req, res) => {
         ? await Student.findById(studentId)
         : await Student.findOne({ rollNumber: String(studentId).trim() });
 
-      if (!student) {
+      // Staff can only mark students of their own hostels (devices are campus-wide)
+      if (!student || (req.user && !canAccessStudent(req.user, student))) {
         return res.status(404).json({
           success: false,
           message: 'Student not found',
         });
       }
+      if (student.graduatedAt) {
+        return res.status(409).json({
+          success: false,
+          message: GRADUATED_READ_ONLY_MESSAGE,
+        });
+      }
       targetStudentId = student._id;
+      targetHostelId = student.hostelId;
     }
 
     // Check if student is already OUT or never entered
@@ -140,23 +220,43 @@ export const markExit = async (req, res) => {
       });
     }
 
+    // Match the exit to the student's currently valid approved leave
+    const exitTime = new Date();
+    const leave = await claimLeaveForExit(targetStudentId, exitTime);
+    if (!leave && getExitWithoutLeavePolicy() === 'block') {
+      notifyUnauthorizedExit(targetStudentId, targetHostelId, lastLog._id, true);
+      return res.status(403).json({
+        success: false,
+        message: 'Student has no approved leave valid right now. Exit refused',
+      });
+    }
+
     // Update the last entry log with exit time
-    lastLog.outTime = new Date();
+    lastLog.outTime = exitTime;
     lastLog.status = 'OUT';
     lastLog.method = method;
+    lastLog.exitDevice = req.device?._id;
+    lastLog.exitLeaveId = leave?._id || null;
+    lastLog.unauthorizedExit = !leave;
     await lastLog.save();
 
+    if (!leave) {
+      notifyUnauthorizedExit(targetStudentId, targetHostelId, lastLog._id, false);
+    }
+
     const populatedLog = await EntryExit.findById(lastLog._id)
       .populate({
         path: 'studentId',
-        select: 'rollNumber class section',
+        select: 'rollNumber class section photo',
         populate: { path: 'userId', select: 'name email' },
-      });
+      })
+      .populate('entryDevice exitDevice', 'name gate')
+      .populate('exitLeaveId', LEAVE_SUMMARY_FIELDS);
 
     res.status(200).json({
       success: true,
-      message: 'Exit marked successfully',
-      data: populatedLog,
+      message: leave ? 'Exit marked successfully' : 'Exit marked without an approved leave; wardens have been notified',
+      data: withStudentPhoto(populatedLog, req),
     });
   } catch (error) {
     res.status(500).json({
@@ -167,18 +267,21 @@ export const markExit = async (req, res) => {
 };
 
 /**
- * @desc    Get all entry-exit logs
+ * @desc    Get all entry-exit logs (unauthorizedExit=true / lateReturn=true list the flagged ones)
  * @route   GET /api/entry-exit/logs
  * @access  Private (Warden only)
  */
 export const getAllLogs = async (req, res) => {
   try {
-    const { studentId, startDate, endDate, status, method } = req.query;
+    const { studentId, startDate, endDate, status, method, deviceId, academicYearId, unauthorizedExit, lateReturn } = req.query;
 
     // Build query
-    const query = {};
+    const query = {
+      ...(await getScopedStudentFilter(req.user)),
+      ...(await getAcademicYearFilter(academicYearId)),
+    };
     if (studentId) {
-      const student = await Student.findOne({ rollNumber: studentId });
+      const student = await Student.findOne({ rollNumber: studentId, ...getStudentScopeFilter(req.user) });
       if (student) {
         query.studentId = student._id;
       } else {
@@ -191,6 +294,9 @@ export const getAllLogs = async (req, res) => {
     }
     if (status) query.status = status;
     if (method) query.method = method;
+    if (unauthorizedExit === 'true') query.unauthorizedExit = true;
+    if (lateReturn === 'true') query.lateReturn = true;
+    if (deviceId && mongoose.Types.ObjectId.isValid(deviceId)) query.$or = [{ entryDevice: deviceId }, { exitDevice: deviceId }];
     if (startDate || endDate) {
       query.createdAt = {};
       if (startDate) query.createdAt.$gte = new Date(startDate);
@@ -203,6 +309,8 @@ export const getAllLogs = async (req, res) => {
         select: 'rollNumber class section',
         populate: { path: 'userId', select: 'name email' },
       })
+      .populate('entryDevice exitDevice', 'name gate')
+      .populate('exitLeaveId entryLeaveId', LEAVE_SUMMARY_FIELDS)
       .sort({ createdAt: -1 });
 
     res.status(200).json({
@@ -1,19 +1,27 @@
 import Fee from '../models/Fee.model.js';
 import Student from '../models/Student.model.js';
+import { hasPermission } from '../config/permissions.js';
+import { recordAudit, diffSnapshots, getStudentHostelIds } from '../utils/auditLog.js';
+import { getStudentScopeFilter, getScopedStudentFilter, canAccessStudent } from '../utils/tenancy.js';
+import { getAcademicYearFilter } from '../utils/academicYear.js';
+import { isGraduated, GRADUATED_READ_ONLY_MESSAGE } from '../utils/studentArchive.js';
 
 /**
- * @desc    Get all fees (warden) or own fees (student)
+ * @desc    Get all fees (fees:read) or own fees (student)
  * @route   GET /api/fees
  * @access  Private
  */
 export const getFees = async (req, res) => {
   try {
-    if (req.user.role === 'warden') {
-      // Warden can see all fees
-      const { studentId, status, term } = req.query;
-      const query = {};
+    if (hasPermission(req.user.role, 'fees:read')) {
+      // Fee staff can see all fees
+      const { studentId, status, term, academicYearId } = req.query;
+      const query = {
+        ...(await getScopedStudentFilter(req.user)),
+        ...(await getAcademicYearFilter(academicYearId)),
+      };
       if (studentId) {
-        const student = await Student.findOne({ rollNumber: studentId });
+        const student = await Student.findOne({ rollNumber: studentId, ...getStudentScopeFilter(req.user) });
         if (student) {
           query.studentId = student._id;
         } else {
@@ -77,20 +85,22 @@ export const getFeeById = async (req, res) => {
     const fee = await Fee.findById(req.params.id)
       .populate({
         path: 'studentId',
-        select: 'rollNumber class section',
+        select: 'rollNumber class section hostelId',
         populate: { path: 'userId', select: 'name email' },
       });
 
-    if (!fee) {
+    if (!fee || (hasPermission(req.user.role, 'fees:read') && !canAccessStudent(req.user, fee.studentId || {}))) {
       return res.status(404).json({
         success: false,
         message: 'Fee record not found',
       });
     }
 
-    // Check if student is accessing their own fee or if user is warden
-    if (req.user.role === 'student') {
-      const student = await Student.findOne({ userId: req.user._id });
+    // Check if student is accessing their own fee or if user can read all fees
+    if (!hasPermission(req.user.role, 'fees:read')) {
+      const student = req.user.role === 'student'
+        ? await Student.findOne({ userId: req.user._id })
+        : null;
       if (!student || fee.studentId._id.toString() !== student._id.toString()) {
         return res.status(403).json({
           success: false,
@@ -114,7 +124,7 @@ export const getFeeById = async (req, res) => {
 /**
  * @desc    Create fee record
  * @route   POST /api/fees
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
 export const createFee = async (req, res) => {
   try {
@@ -128,12 +138,18 @@ export const createFee = async (req, res) => {
     }
 
     const student = await Student.findById(studentId);
-    if (!student) {
+    if (!student || !canAccessStudent(req.user, student)) {
       return res.status(404).json({
         success: false,
         message: 'Student not found',
       });
     }
+    if (student.graduatedAt) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
 
     const fee = await Fee.create({
       studentId,
@@ -142,6 +158,14 @@ export const createFee = async (req, res) => {
       status,
     });
 
+    await recordAudit(req, {
+      action: 'fee.create',
+      targetType: 'Fee',
+      targetId: fee._id,
+      hostelIds: [student.hostelId],
+      after: fee,
+    });
+
     const populatedFee = await Fee.findById(fee._id)
       .populate({
         path: 'studentId',
@@ -165,13 +189,13 @@ export const createFee = async (req, res) => {
 /**
  * @desc    Update fee record
  * @route   PUT /api/fees/:id
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
 export const updateFee = async (req, res) => {
   try {
     const { amount, status, term, receiptNumber } = req.body;
 
-    const fee = await Fee.findById(req.params.id);
+    const fee = await Fee.findOne({ _id: req.params.id, ...(await getScopedStudentFilter(req.user)) });
     if (!fee) {
       return res.status(404).json({
         success: false,
@@ -179,6 +203,15 @@ export const updateFee = async (req, res) => {
       });
     }
 
+    if (await isGraduated(fee.studentId)) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
+
+    const before = fee.toObject();
+
     if (amount !== undefined) fee.amount = amount;
     if (status !== undefined) {
       fee.status = status;
@@ -191,6 +224,14 @@ export const updateFee = async (req, res) => {
 
     await fee.save();
 
+    await recordAudit(req, {
+      action: 'fee.update',
+      targetType: 'Fee',
+      targetId: fee._id,
+      hostelIds: await getStudentHostelIds(fee.studentId),
+      ...diffSnapshots(before, fee, ['amount', 'status', 'term', 'receiptNumber', 'paidAt']),
+    });
+
     const populatedFee = await Fee.findById(fee._id)
       .populate({
         path: 'studentId',
@@ -214,13 +255,13 @@ export const updateFee = async (req, res) => {
 /**
  * @desc    Mark fee as paid
  * @route   PUT /api/fees/:id/mark-paid
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
 export const markFeePaid = async (req, res) => {
   try {
     const { receiptNumber } = req.body;
 
-    const fee = await Fee.findById(req.params.id);
+    const fee = await Fee.findOne({ _id: req.params.id, ...(await getScopedStudentFilter(req.user)) });
     if (!fee) {
       return res.status(404).json({
         success: false,
@@ -228,6 +269,15 @@ export const markFeePaid = async (req, res) => {
       });
     }
 
+    if (await isGraduated(fee.studentId)) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
+
+    const before = fee.toObject();
+
     fee.status = 'Paid';
     fee.paidAt = new Date();
     fee.paidBy = 'warden';
@@ -238,6 +288,14 @@ export const markFeePaid = async (req, res) => {
 
     await fee.save();
 
+    await recordAudit(req, {
+      action: 'fee.markPaid',
+      targetType: 'Fee',
+      targetId: fee._id,
+      hostelIds: await getStudentHostelIds(fee.studentId),
+      ...diffSnapshots(before, fee, ['status', 'paidAt', 'paidBy', 'paidByUserId', 'receiptNumber']),
+    });
+
     const populatedFee = await Fee.findById(fee._id)
       .populate({
         path: 'studentId',
@@ -261,11 +319,11 @@ export const markFeePaid = async (req, res) => {
 /**
  * @desc    Delete fee record
  * @route   DELETE /api/fees/:id
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
 export const deleteFee = async (req, res) => {
   try {
-    const fee = await Fee.findById(req.params.id);
+    const fee = await Fee.findOne({ _id: req.params.id, ...(await getScopedStudentFilter(req.user)) });
     if (!fee) {
       return res.status(404).json({
         success: false,
@@ -273,7 +331,22 @@ export const deleteFee = async (req, res) => {
       });
     }
 
-    await Fee.findByIdAndDelete(req.params.id);
+    if (await isGraduated(fee.studentId)) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
+
+    await Fee.findByIdAndDelete(fee._id);
+
+    await recordAudit(req, {
+      action: 'fee.delete',
+      targetType: 'Fee',
+      targetId: fee._id,
+      hostelIds: await getStudentHostelIds(fee.studentId),
+      before: fee,
+    });
 
     res.status(200).json({
       success: true,
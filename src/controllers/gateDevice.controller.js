@@ -0,0 +1,247 @@
+import GateDevice, { DEVICE_ACTIONS } from '../models/GateDevice.model.js';
+import { generateDeviceKey } from '../utils/deviceKeys.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+const formatDevice = (device) => ({
+  id: device._id,
+  name: device.name,
+  gate: device.gate,
+  type: device.type,
+  allowedActions: device.allowedActions,
+  keyPrefix: device.keyPrefix,
+  keyRotatedAt: device.keyRotatedAt,
+  lastSeenAt: device.lastSeenAt,
+  lastSeenIp: device.lastSeenIp,
+  status: device.revokedAt ? 'Revoked' : 'Active',
+  revokedAt: device.revokedAt,
+  createdAt: device.createdAt,
+});
+
+const validateActions = (allowedActions) => {
+  return Array.isArray(allowedActions)
+    && allowedActions.length > 0
+    && allowedActions.every((action) => DEVICE_ACTIONS.includes(action));
+};
+
+/**
+ * @desc    Register a gate device (the API key is returned only once)
+ * @route   POST /api/warden/devices
+ * @access  Private (devices:manage)
+ */
+export const registerDevice = async (req, res) => {
+  try {
+    const { name, gate, type = 'QR', allowedActions = DEVICE_ACTIONS } = req.body;
+
+    if (!name || !gate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide device name and gate',
+      });
+    }
+
+    if (!validateActions(allowedActions)) {
+      return res.status(400).json({
+        success: false,
+        message: `allowedActions must be a non-empty list of: ${DEVICE_ACTIONS.join(', ')}`,
+      });
+    }
+
+    const { key, keyHash, keyPrefix } = generateDeviceKey();
+    const device = await GateDevice.create({
+      name,
+      gate,
+      type,
+      allowedActions,
+      keyHash,
+      keyPrefix,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'device.register',
+      targetType: 'GateDevice',
+      targetId: device._id,
+      after: { name: device.name, gate: device.gate, type: device.type, allowedActions: device.allowedActions },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered. Copy the API key now - it will not be shown again.',
+      data: {
+        ...formatDevice(device),
+        apiKey: key,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+    console.error('❌ registerDevice error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List gate devices
+ * @route   GET /api/warden/devices
+ * @access  Private (devices:manage)
+ */
+export const getDevices = async (req, res) => {
+  try {
+    const devices = await GateDevice.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices.map(formatDevice),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update a device's name, gate or allowed actions
+ * @route   PUT /api/warden/devices/:id
+ * @access  Private (devices:manage)
+ */
+export const updateDevice = async (req, res) => {
+  try {
+    const { name, gate, allowedActions } = req.body;
+
+    const device = await GateDevice.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    if (allowedActions !== undefined && !validateActions(allowedActions)) {
+      return res.status(400).json({
+        success: false,
+        message: `allowedActions must be a non-empty list of: ${DEVICE_ACTIONS.join(', ')}`,
+      });
+    }
+
+    const before = { name: device.name, gate: device.gate, allowedActions: [...device.allowedActions] };
+
+    if (name !== undefined && name.trim()) device.name = name.trim();
+    if (gate !== undefined && gate.trim()) device.gate = gate.trim();
+    if (allowedActions !== undefined) device.allowedActions = allowedActions;
+    await device.save();
+
+    await recordAudit(req, {
+      action: 'device.update',
+      targetType: 'GateDevice',
+      targetId: device._id,
+      before,
+      after: { name: device.name, gate: device.gate, allowedActions: device.allowedActions },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device updated successfully',
+      data: formatDevice(device),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Issue a new API key for a device (the old key stops working immediately)
+ * @route   POST /api/warden/devices/:id/rotate-key
+ * @access  Private (devices:manage)
+ */
+export const rotateDeviceKey = async (req, res) => {
+  try {
+    const { key, keyHash, keyPrefix } = generateDeviceKey();
+
+    const device = await GateDevice.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { keyHash, keyPrefix, keyRotatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active device not found',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'device.rotateKey',
+      targetType: 'GateDevice',
+      targetId: device._id,
+      after: { keyPrefix: device.keyPrefix },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'New API key issued. Update the device now - the old key no longer works.',
+      data: {
+        ...formatDevice(device),
+        apiKey: key,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a device (its key stops working; logs keep referring to it)
+ * @route   DELETE /api/warden/devices/:id
+ * @access  Private (devices:manage)
+ */
+export const revokeDevice = async (req, res) => {
+  try {
+    const device = await GateDevice.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active device not found',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'device.revoke',
+      targetType: 'GateDevice',
+      targetId: device._id,
+      after: { revokedAt: device.revokedAt },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device revoked successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
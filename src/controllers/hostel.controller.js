@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import Hostel from '../models/Hostel.model.js';
+import Block from '../models/Block.model.js';
+import Student from '../models/Student.model.js';
+import { getHostelScope, canAccessHostel } from '../utils/tenancy.js';
+import { recordAudit, diffSnapshots } from '../utils/auditLog.js';
+
+/**
+ * @desc    Create a hostel
+ * @route   POST /api/hostels
+ * @access  Private (hostels:manage)
+ */
+export const createHostel = async (req, res) => {
+  try {
+    const { name, code, address } = req.body;
+
+    if (!name || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide hostel name and code',
+      });
+    }
+
+    const hostel = await Hostel.create({ name, code, address });
+
+    await recordAudit(req, {
+      action: 'hostel.create',
+      targetType: 'Hostel',
+      targetId: hostel._id,
+      hostelIds: [hostel._id],
+      after: hostel,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Hostel created successfully',
+      data: hostel,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A hostel with this name or code already exists',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List hostels visible to the user, with blocks and student counts
+ * @route   GET /api/hostels
+ * @access  Private (Staff)
+ */
+export const getHostels = async (req, res) => {
+  try {
+    const scope = getHostelScope(req.user);
+    const query = scope ? { _id: { $in: scope } } : {};
+
+    const hostels = await Hostel.find(query).sort({ name: 1 });
+    const hostelIds = hostels.map((h) => h._id);
+
+    const [blocks, counts] = await Promise.all([
+      Block.find({ hostelId: { $in: hostelIds } }).sort({ name: 1 }),
+      Student.aggregate([
+        { $match: { hostelId: { $in: hostelIds }, archivedAt: null } },
+        { $group: { _id: '$hostelId', count: { $sum: 1 } } },
+      ]),
+    ]);
+    const countMap = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: hostels.length,
+      data: hostels.map((hostel) => ({
+        ...hostel.toObject(),
+        blocks: blocks.filter((b) => b.hostelId.toString() === hostel._id.toString()),
+        studentCount: countMap.get(hostel._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update hostel details
+ * @route   PUT /api/hostels/:id
+ * @access  Private (hostels:manage)
+ */
+export const updateHostel = async (req, res) => {
+  try {
+    const { name, code, address, isActive } = req.body;
+
+    const hostel = await Hostel.findById(req.params.id);
+    if (!hostel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hostel not found',
+      });
+    }
+
+    const before = hostel.toObject();
+
+    if (name !== undefined && name.trim()) hostel.name = name.trim();
+    if (code !== undefined && code.trim()) hostel.code = code.trim();
+    if (address !== undefined) hostel.address = address.trim() || undefined;
+    if (typeof isActive === 'boolean') hostel.isActive = isActive;
+    await hostel.save();
+
+    await recordAudit(req, {
+      action: 'hostel.update',
+      targetType: 'Hostel',
+      targetId: hostel._id,
+      hostelIds: [hostel._id],
+      ...diffSnapshots(before, hostel, ['name', 'code', 'address', 'isActive']),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Hostel updated successfully',
+      data: hostel,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A hostel with this name or code already exists',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Add a block to a hostel
+ * @route   POST /api/hostels/:id/blocks
+ * @access  Private (hostels:manage)
+ */
+export const createBlock = async (req, res) => {
+  try {
+    const { name, floors } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide block name',
+      });
+    }
+
+    const hostel = await Hostel.findById(req.params.id);
+    if (!hostel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hostel not found',
+      });
+    }
+
+    const block = await Block.create({ hostelId: hostel._id, name, floors });
+
+    await recordAudit(req, {
+      action: 'block.create',
+      targetType: 'Block',
+      targetId: block._id,
+      hostelIds: [hostel._id],
+      after: block,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Block created successfully',
+      data: block,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A block with this name already exists in the hostel',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List blocks of a hostel
+ * @route   GET /api/hostels/:id/blocks
+ * @access  Private (Staff of that hostel)
+ */
+export const getBlocks = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !canAccessHostel(req.user, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hostel not found',
+      });
+    }
+
+    const blocks = await Block.find({ hostelId: req.params.id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
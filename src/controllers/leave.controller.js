@@ -1,16 +1,27 @@
-import Leave from '../models/Leave.model.js';
+import Leave, { LEAVE_TYPES } from '../models/Leave.model.js';
 import Student from '../models/Student.model.js';
-import Parent from '../models/Parent.model.js';
 import XLSX from 'xlsx';
+import { recordAudit, getStudentHostelIds } from '../utils/auditLog.js';
+import { getScopedStudentFilter } from '../utils/tenancy.js';
+import { getLinkedStudentIds } from '../utils/parentLinks.js';
+import { getRoomLabel } from '../utils/roomAllocation.js';
+import { getAcademicYearFilter } from '../utils/academicYear.js';
+import { isGraduated, GRADUATED_READ_ONLY_MESSAGE } from '../utils/studentArchive.js';
+import { evaluateLeaveRequest, isValidTime } from '../utils/leavePolicy.js';
+
+// Statuses a warden decides on: parent-approved, or not needing parent approval
+const WARDEN_REVIEW_STATUSES = ['ApprovedByParent', 'PendingWarden'];
 
 /**
- * @desc    Create a new leave request
+ * @desc    Create a new leave request. It is checked against the leave policy; a request that
+ *          breaks it is refused unless submitted with requestOverride and an overrideReason,
+ *          in which case only a warden overriding the policy can approve it.
  * @route   POST /api/leaves
  * @access  Private (Student only)
  */
 export const createLeaveRequest = async (req, res) => {
   try {
-    const { reason, type, outDate, inDate, outTime, inTime } = req.body;
+    const { reason, type, outDate, inDate, outTime, inTime, requestOverride, overrideReason } = req.body;
 
     // Validate required fields
     if (!reason || !type || !outDate || !inDate) {
@@ -20,6 +31,22 @@ export const createLeaveRequest = async (req, res) => {
       });
     }
 
+    if (!LEAVE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid leave type. Must be one of: ${LEAVE_TYPES.join(', ')}`,
+      });
+    }
+
+    const invalidTime = [['outTime', outTime], ['inTime', inTime]]
+      .find(([, time]) => time !== undefined && time !== null && time !== '' && !isValidTime(time));
+    if (invalidTime) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidTime[0]}. Use the HH:mm format, e.g. 09:30`,
+      });
+    }
+
     // Validate dates
     const outDateObj = new Date(outDate);
     const inDateObj = new Date(inDate);
@@ -40,7 +67,31 @@ export const createLeaveRequest = async (req, res) => {
       });
     }
 
-    // Create leave request - 3-step: Student -> Parent -> Warden
+    const { violations, requiresParentApproval } = await evaluateLeaveRequest(student, {
+      type,
+      outDate: outDateObj,
+      inDate: inDateObj,
+      outTime,
+      inTime,
+    });
+
+    if (violations.length > 0 && requestOverride !== true) {
+      return res.status(400).json({
+        success: false,
+        message: `This request breaks the leave policy: ${violations.map((v) => v.message).join('; ')}`,
+        violations,
+      });
+    }
+    if (violations.length > 0 && !overrideReason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please explain why the leave policy should be overridden',
+        violations,
+      });
+    }
+
+    // 3-step: Student -> Parent -> Warden, or straight to the warden when the policy allows it
+    const initialStatus = requiresParentApproval ? 'PendingParent' : 'PendingWarden';
     const leave = await Leave.create({
       studentId: student._id,
       reason: reason.trim(),
@@ -49,22 +100,27 @@ export const createLeaveRequest = async (req, res) => {
       inDate: inDateObj,
       outTime,
       inTime,
-      status: 'PendingParent',
-      parentApprovalStatus: 'Pending',
+      status: initialStatus,
+      parentApprovalStatus: requiresParentApproval ? 'Pending' : undefined,
+      policyViolations: violations,
+      overrideReason: violations.length > 0 ? overrideReason.trim() : undefined,
       statusHistory: [{
-        status: 'PendingParent',
+        status: initialStatus,
         role: 'student',
         timestamp: new Date(),
       }],
     });
 
     // Populate student details
-    await leave.populate('studentId', 'userId room');
+    await leave.populate('studentId', 'userId room roomId');
+    await leave.populate('studentId.roomId', 'number');
     await leave.populate('studentId.userId', 'name');
 
     res.status(201).json({
       success: true,
-      message: 'Leave request submitted successfully',
+      message: violations.length > 0
+        ? 'Leave request submitted; a warden has to override the leave policy to approve it'
+        : 'Leave request submitted successfully',
       leave: {
         id: leave._id,
         reason: leave.reason,
@@ -74,10 +130,12 @@ export const createLeaveRequest = async (req, res) => {
         outTime: leave.outTime,
         inTime: leave.inTime,
         status: leave.status,
+        policyViolations: leave.policyViolations,
+        overrideReason: leave.overrideReason,
         createdAt: leave.createdAt,
         student: {
           name: leave.studentId.userId.name,
-          room: leave.studentId.room,
+          room: getRoomLabel(leave.studentId),
         },
       },
     });
@@ -97,17 +155,21 @@ export const createLeaveRequest = async (req, res) => {
  */
 export const getAllLeaveRequests = async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, academicYearId } = req.query;
 
-    const filter = {};
+    const filter = {
+      ...(await getScopedStudentFilter(req.user)),
+      ...(await getAcademicYearFilter(academicYearId)),
+    };
     if (status) {
       filter.status = status;
     }
-    // Warden sees: PendingParent (info only), ApprovedByParent (to approve), Approved, Rejected, RejectedByParent, Cancelled
-    // By default show all; frontend can filter for "ApprovedByParent" for pending warden approval
+    // Warden sees: PendingParent (info only), ApprovedByParent and PendingWarden (to approve), Approved, Rejected, RejectedByParent, Cancelled
+    // By default show all; frontend can filter for "ApprovedByParent" / "PendingWarden" for pending warden approval
 
     const leaves = await Leave.find(filter)
-      .populate('studentId', 'userId room')
+      .populate('studentId', 'userId room roomId')
+      .populate('studentId.roomId', 'number')
       .populate('studentId.userId', 'name')
       .populate('approvedBy', 'name')
       .sort({ createdAt: -1 });
@@ -121,12 +183,16 @@ export const getAllLeaveRequests = async (req, res) => {
       outTime: leave.outTime,
       inTime: leave.inTime,
       status: leave.status,
+      policyViolations: leave.policyViolations,
+      overrideReason: leave.overrideReason,
+      actualOutTime: leave.actualOutTime,
+      actualInTime: leave.actualInTime,
       createdAt: leave.createdAt,
       approvedAt: leave.approvedAt,
       rejectionReason: leave.rejectionReason,
       student: {
         name: leave.studentId.userId.name,
-        room: leave.studentId.room,
+        room: getRoomLabel(leave.studentId),
       },
       approvedBy: leave.approvedBy ? leave.approvedBy.name : null,
     }));
@@ -173,6 +239,7 @@ export const getMyLeaveRequests = async (req, res) => {
       outTime: leave.outTime,
       inTime: leave.inTime,
       status: leave.status,
+      policyViolations: leave.policyViolations,
       createdAt: leave.createdAt,
       approvedAt: leave.approvedAt,
       rejectionReason: leave.rejectionReason,
@@ -209,8 +276,9 @@ export const parentApproveOrReject = async (req, res) => {
       });
     }
 
-    const parent = await Parent.findOne({ userId: req.user._id });
-    if (!parent) {
+    // A parent may decide on the outings of any of their children
+    const childIds = await getLinkedStudentIds(req.user._id);
+    if (childIds.length === 0) {
       return res.status(403).json({
         success: false,
         message: 'Parent profile not found',
@@ -235,7 +303,7 @@ export const parentApproveOrReject = async (req, res) => {
     };
 
     const updated = await Leave.findOneAndUpdate(
-      { _id: id, studentId: parent.studentId, status: 'PendingParent' },
+      { _id: id, studentId: { $in: childIds }, status: 'PendingParent' },
       {
         $set: {
           status: updateData.status,
@@ -260,7 +328,7 @@ export const parentApproveOrReject = async (req, res) => {
           message: 'Leave request not found',
         });
       }
-      if (existing.studentId?._id?.toString() !== parent.studentId.toString()) {
+      if (!childIds.some((childId) => childId.toString() === existing.studentId?._id?.toString())) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to approve this leave request',
@@ -296,14 +364,15 @@ export const parentApproveOrReject = async (req, res) => {
 };
 
 /**
- * @desc    Update leave request status (for warden) - only for parent-approved requests
+ * @desc    Update leave request status (for warden) - only for parent-approved requests or those
+ *          not needing parent approval. Approving a request that breaks the leave policy needs override: true
  * @route   PUT /api/leaves/:id/status
  * @access  Private (Warden only)
  */
 export const updateLeaveStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, rejectionReason } = req.body;
+    const { status, rejectionReason, override } = req.body;
 
     if (!['Approved', 'Rejected'].includes(status)) {
       return res.status(400).json({
@@ -312,15 +381,35 @@ export const updateLeaveStatus = async (req, res) => {
       });
     }
 
+    // Leaves of students outside the warden's hostels are treated as not found
+    const scopeFilter = await getScopedStudentFilter(req.user);
+    const target = await Leave.findOne({ _id: id, ...scopeFilter }).select('studentId status policyViolations');
+    if (target && await isGraduated(target.studentId)) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
+
+    const overridesPolicy = status === 'Approved' && target?.policyViolations?.length > 0;
+    if (overridesPolicy && override !== true) {
+      return res.status(409).json({
+        success: false,
+        message: `This request breaks the leave policy: ${target.policyViolations.map((v) => v.message).join('; ')}. Approve with override to allow it anyway`,
+        violations: target.policyViolations,
+      });
+    }
+
     const decisionTime = new Date();
     const updated = await Leave.findOneAndUpdate(
-      { _id: id, status: 'ApprovedByParent' },
+      { _id: id, status: { $in: WARDEN_REVIEW_STATUSES }, ...scopeFilter },
       {
         $set: {
           status,
           approvedBy: req.user._id,
           approvedAt: status === 'Approved' ? decisionTime : undefined,
           rejectionReason: status === 'Rejected' ? rejectionReason : undefined,
+          policyOverriddenBy: overridesPolicy ? req.user._id : undefined,
         },
         $push: {
           statusHistory: {
@@ -334,12 +423,13 @@ export const updateLeaveStatus = async (req, res) => {
       },
       { new: true }
     )
-      .populate('studentId', 'userId room')
+      .populate('studentId', 'userId room roomId')
+      .populate('studentId.roomId', 'number')
       .populate('studentId.userId', 'name')
       .populate('approvedBy', 'name');
 
     if (!updated) {
-      const existing = await Leave.findById(id);
+      const existing = await Leave.findOne({ _id: id, ...scopeFilter });
       if (!existing) {
         return res.status(404).json({
           success: false,
@@ -352,6 +442,19 @@ export const updateLeaveStatus = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'leave.status',
+      targetType: 'Leave',
+      targetId: updated._id,
+      hostelIds: await getStudentHostelIds(updated.studentId),
+      before: { status: target.status },
+      after: {
+        status,
+        rejectionReason: updated.rejectionReason,
+        ...(overridesPolicy ? { policyOverride: updated.policyViolations.map((v) => v.rule) } : {}),
+      },
+    });
+
     res.status(200).json({
       success: true,
       message: `Leave request ${status.toLowerCase()} successfully`,
@@ -369,7 +472,7 @@ export const updateLeaveStatus = async (req, res) => {
         rejectionReason: updated.rejectionReason,
         student: {
           name: updated.studentId.userId.name,
-          room: updated.studentId.room,
+          room: getRoomLabel(updated.studentId),
         },
         approvedBy: updated.approvedBy?.name,
       },
@@ -408,12 +511,17 @@ const getWardenDecisionTimestamp = (leave) => {
 export const exportOutingReport = async (req, res) => {
   try {
     const leaves = await Leave.find({
-      status: { $in: ['Approved', 'Rejected', 'RejectedByParent'] },
+      status: { $in: ['Approved', 'Completed', 'Rejected', 'RejectedByParent'] },
+      ...(await getScopedStudentFilter(req.user)),
+      ...(await getAcademicYearFilter(req.query.academicYearId)),
     })
       .populate({
         path: 'studentId',
-        select: 'userId room rollNumber',
-        populate: { path: 'userId', select: 'name' },
+        select: 'userId room roomId rollNumber',
+        populate: [
+          { path: 'userId', select: 'name' },
+          { path: 'roomId', select: 'number' },
+        ],
       })
       .populate('parentApprovedBy', 'name')
       .populate('approvedBy', 'name')
@@ -422,7 +530,7 @@ export const exportOutingReport = async (req, res) => {
     const rows = leaves.map((leave) => {
       const student = leave.studentId || {};
       const studentUser = student.userId || {};
-      const wardenDecision = leave.status === 'Approved'
+      const wardenDecision = ['Approved', 'Completed'].includes(leave.status)
         ? 'Approved'
         : leave.status === 'Rejected'
           ? 'Rejected'
@@ -432,14 +540,16 @@ export const exportOutingReport = async (req, res) => {
       return {
         'Student Name': studentUser.name || 'N/A',
         'Roll Number': student.rollNumber || 'N/A',
-        'Room': student.room || 'N/A',
+        'Room': getRoomLabel(student) || 'N/A',
         'Outing Reason': leave.reason || '',
         'From Date': formatExportDate(leave.outDate),
         'To Date': formatExportDate(leave.inDate),
-        'Parent Decision': leave.parentApprovalStatus || 'Pending',
+        'Parent Decision': leave.parentApprovalStatus || 'Not required',
         'Parent Decision Time': formatExportDate(leave.parentApprovedAt),
         'Warden Decision': wardenDecision,
         'Warden Decision Time': formatExportDate(wardenDecisionAt),
+        'Actual Out': formatExportDate(leave.actualOutTime),
+        'Actual In': formatExportDate(leave.actualInTime),
       };
     });
 
@@ -497,7 +607,7 @@ export const cancelMyLeaveRequest = async (req, res) => {
       });
     }
 
-    if (!['Pending', 'PendingParent'].includes(leave.status)) {
+    if (!['Pending', 'PendingParent', 'PendingWarden'].includes(leave.status)) {
       return res.status(400).json({
         success: false,
         message: 'Only pending requests (before parent/warden approval) can be cancelled',
@@ -0,0 +1,258 @@
+import mongoose from 'mongoose';
+import LeavePolicy from '../models/LeavePolicy.model.js';
+import Student from '../models/Student.model.js';
+import Hostel from '../models/Hostel.model.js';
+import { LEAVE_TYPES } from '../models/Leave.model.js';
+import { recordAudit, diffSnapshots } from '../utils/auditLog.js';
+import { resolveLeavePolicy } from '../utils/leavePolicy.js';
+import { getHostelScope, canAccessHostel, canAccessStudent } from '../utils/tenancy.js';
+
+// Fields staff may set on a policy
+const POLICY_FIELDS = [
+  'leaveType',
+  'class',
+  'maxDurationHours',
+  'monthlyQuota',
+  'minNoticeHours',
+  'blackoutPeriods',
+  'outTimeWindow',
+  'inTimeWindow',
+  'requiresParentApproval',
+  'isActive',
+];
+
+const pickPolicyFields = (body = {}) => Object.fromEntries(
+  POLICY_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field] === '' ? null : body[field]])
+);
+
+// Campus-wide policies (no hostel) are managed by staff who see every hostel
+const canManagePolicy = (user, hostelId) => (hostelId ? canAccessHostel(user, hostelId) : !getHostelScope(user));
+
+// Policies outside the user's hostels are treated as not found
+const findManageablePolicy = async (user, id) => {
+  const policy = mongoose.Types.ObjectId.isValid(id) ? await LeavePolicy.findById(id) : null;
+  return policy && canManagePolicy(user, policy.hostelId) ? policy : null;
+};
+
+const handlePolicySaveError = (error, res) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A policy for this hostel, leave type and class already exists',
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    const messages = error.errors
+      ? Object.values(error.errors).map((err) => err.message)
+      : [error.message];
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', '),
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: error.message || 'Server error',
+  });
+};
+
+/**
+ * @desc    List leave policies: campus-wide ones and those of the user's hostels
+ *          (catch-all first, then by leave type and class)
+ * @route   GET /api/leaves/policies
+ * @access  Private (leaves:read)
+ */
+export const getLeavePolicies = async (req, res) => {
+  try {
+    const scope = getHostelScope(req.user);
+    const policies = await LeavePolicy.find(scope ? { hostelId: { $in: [...scope, null] } } : {})
+      .populate('hostelId', 'name code')
+      .populate('updatedBy', 'name')
+      .sort({ hostelId: 1, leaveType: 1, class: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      leaveTypes: LEAVE_TYPES,
+      data: policies,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Effective rules for a leave type, for a class and hostel or a student (what a submission is checked against)
+ * @route   GET /api/leaves/policies/effective?type=&class=&hostelId=&studentId=
+ * @access  Private (leaves:read)
+ */
+export const getEffectiveLeavePolicy = async (req, res) => {
+  try {
+    const { type, studentId } = req.query;
+    if (!LEAVE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a leave type: ${LEAVE_TYPES.join(', ')}`,
+      });
+    }
+
+    let studentClass = req.query.class ? String(req.query.class) : null;
+    let hostelId = req.query.hostelId ? String(req.query.hostelId) : null;
+    if (studentId) {
+      const student = mongoose.Types.ObjectId.isValid(studentId)
+        ? await Student.findById(studentId).select('class hostelId')
+        : null;
+      if (!student || !canAccessStudent(req.user, student)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found',
+        });
+      }
+      studentClass = student.class;
+      hostelId = student.hostelId;
+    } else if (hostelId && (!mongoose.Types.ObjectId.isValid(hostelId) || !canAccessHostel(req.user, hostelId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hostel not found',
+      });
+    }
+
+    const rules = await resolveLeavePolicy(type, studentClass, hostelId);
+
+    res.status(200).json({
+      success: true,
+      data: { leaveType: type, class: studentClass, hostelId, ...rules },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Create a leave policy (hostelId / leaveType / class left empty apply to all;
+ *          staff limited to some hostels can only create policies for those hostels)
+ * @route   POST /api/leaves/policies
+ * @access  Private (leaves:policy)
+ */
+export const createLeavePolicy = async (req, res) => {
+  try {
+    const hostelId = req.body.hostelId || null;
+    if (hostelId && (!mongoose.Types.ObjectId.isValid(hostelId) || !(await Hostel.exists({ _id: hostelId })))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hostel not found',
+      });
+    }
+    if (!canManagePolicy(req.user, hostelId)) {
+      return res.status(403).json({
+        success: false,
+        message: hostelId
+          ? 'You can only manage leave policies of hostels you manage'
+          : 'Please choose the hostel this policy applies to',
+      });
+    }
+
+    const policy = await LeavePolicy.create({
+      ...pickPolicyFields(req.body),
+      hostelId,
+      updatedBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'leavePolicy.create',
+      targetType: 'LeavePolicy',
+      targetId: policy._id,
+      hostelIds: [policy.hostelId],
+      after: policy,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave policy created successfully',
+      data: policy,
+    });
+  } catch (error) {
+    handlePolicySaveError(error, res);
+  }
+};
+
+/**
+ * @desc    Update a leave policy (only the fields sent are changed; null clears a rule; the hostel cannot be changed)
+ * @route   PUT /api/leaves/policies/:id
+ * @access  Private (leaves:policy)
+ */
+export const updateLeavePolicy = async (req, res) => {
+  try {
+    const policy = await findManageablePolicy(req.user, req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave policy not found',
+      });
+    }
+
+    const before = policy.toObject();
+    policy.set(pickPolicyFields(req.body));
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    await recordAudit(req, {
+      action: 'leavePolicy.update',
+      targetType: 'LeavePolicy',
+      targetId: policy._id,
+      hostelIds: [policy.hostelId],
+      ...diffSnapshots(before, policy, POLICY_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave policy updated successfully',
+      data: policy,
+    });
+  } catch (error) {
+    handlePolicySaveError(error, res);
+  }
+};
+
+/**
+ * @desc    Delete a leave policy
+ * @route   DELETE /api/leaves/policies/:id
+ * @access  Private (leaves:policy)
+ */
+export const deleteLeavePolicy = async (req, res) => {
+  try {
+    const policy = await findManageablePolicy(req.user, req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave policy not found',
+      });
+    }
+
+    await policy.deleteOne();
+
+    await recordAudit(req, {
+      action: 'leavePolicy.delete',
+      targetType: 'LeavePolicy',
+      targetId: policy._id,
+      hostelIds: [policy.hostelId],
+      before: policy,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave policy deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
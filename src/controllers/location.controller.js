@@ -1,7 +1,9 @@
 import StudentLocation from '../models/StudentLocation.model.js';
 import StudentLocationHistory from '../models/StudentLocationHistory.model.js';
 import Student from '../models/Student.model.js';
-import Parent from '../models/Parent.model.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { canAccessStudent } from '../utils/tenancy.js';
+import { isLinkedToStudent } from '../utils/parentLinks.js';
 
 /**
  * @desc    Student: Toggle location sharing on/off
@@ -38,13 +40,23 @@ export const setTrackingForStudent = async (req, res) => {
     }
 
     const student = await Student.findById(studentId);
-    if (!student) {
+    if (!student || !canAccessStudent(req.user, student)) {
       return res.status(404).json({ success: false, message: 'Student not found' });
     }
 
+    const wasEnabled = !!student.locationTrackingEnabled;
     student.locationTrackingEnabled = enabled;
     await student.save();
 
+    await recordAudit(req, {
+      action: 'location.tracking',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      before: { locationTrackingEnabled: wasEnabled },
+      after: { locationTrackingEnabled: enabled },
+    });
+
     // If disabling, clear any existing location record
     if (!enabled) {
       const loc = await StudentLocation.findOne({ studentId: student._id });
@@ -205,15 +217,22 @@ export const getStudentLocation = async (req, res) => {
     const { studentId } = req.params;
 
     if (req.user.role === 'parent') {
-      const parent = await Parent.findOne({ userId: req.user._id });
-      if (!parent || parent.studentId.toString() !== studentId) {
+      if (!(await isLinkedToStudent(req.user._id, studentId))) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to view this student location',
         });
       }
+    } else {
+      // Staff can view students of their own hostels
+      const student = await Student.findById(studentId).select('hostelId');
+      if (!student || !canAccessStudent(req.user, student)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found',
+        });
+      }
     }
-    // Warden can view any student
 
     const loc = await StudentLocation.findOne({ studentId });
     if (!loc || !loc.isSharingEnabled) {
@@ -266,10 +285,15 @@ export const getStudentLocationHistory = async (req, res) => {
     const { studentId } = req.params;
 
     if (req.user.role === 'parent') {
-      const parent = await Parent.findOne({ userId: req.user._id });
-      if (!parent || parent.studentId.toString() !== studentId) {
+      if (!(await isLinkedToStudent(req.user._id, studentId))) {
         return res.status(403).json({ success: false, message: 'Not authorized to view this student location history' });
       }
+    } else {
+      // Staff can view students of their own hostels
+      const student = await Student.findById(studentId).select('hostelId');
+      if (!student || !canAccessStudent(req.user, student)) {
+        return res.status(404).json({ success: false, message: 'Student not found' });
+      }
     }
 
     // default: last 30 days unless `since` query provided
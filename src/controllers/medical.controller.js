@@ -0,0 +1,301 @@
+import mongoose from 'mongoose';
+import Student from '../models/Student.model.js';
+import Parent from '../models/Parent.model.js';
+import EntryExit from '../models/EntryExit.model.js';
+import Leave from '../models/Leave.model.js';
+import MedicalRecord from '../models/MedicalRecord.model.js';
+import { recordAudit, diffSnapshots } from '../utils/auditLog.js';
+import { canAccessStudent } from '../utils/tenancy.js';
+import { getRoomLabel } from '../utils/roomAllocation.js';
+import { getBaseUrl } from '../utils/documentStorage.js';
+import { getPhotoUrls } from '../utils/studentPhotos.js';
+
+const MEDICAL_FIELDS = [
+  'emergencyContacts',
+  'bloodGroup',
+  'allergies',
+  'chronicConditions',
+  'medications',
+  'doctor',
+  'notes',
+];
+
+const LIST_FIELDS = ['allergies', 'chronicConditions', 'medications'];
+
+// Sections of the emergency sheet besides the medical record (what the read audit lists)
+const EMERGENCY_SHEET_SECTIONS = ['student', 'residence', 'whereabouts', 'guardian', 'parents'];
+
+// Lists may be sent as arrays or comma-separated text
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+// Contacts without a priority are called in the order they were given
+const normalizeContacts = (contacts) => {
+  if (!Array.isArray(contacts)) {
+    return null;
+  }
+  return contacts
+    .map((contact, index) => ({
+      name: contact?.name,
+      relationship: contact?.relationship,
+      phone: contact?.phone,
+      altPhone: contact?.altPhone,
+      email: contact?.email,
+      priority: parseInt(contact?.priority, 10) || index + 1,
+    }))
+    .sort((a, b) => a.priority - b.priority);
+};
+
+const findAccessibleStudent = async (user, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  const student = await Student.findById(id).select('_id hostelId');
+  return student && canAccessStudent(user, student) ? student : null;
+};
+
+const formatMedicalRecord = (record) => ({
+  emergencyContacts: record?.emergencyContacts || [],
+  bloodGroup: record?.bloodGroup || null,
+  allergies: record?.allergies || [],
+  chronicConditions: record?.chronicConditions || [],
+  medications: record?.medications || [],
+  doctor: record?.doctor || {},
+  notes: record?.notes || null,
+  updatedAt: record?.updatedAt || null,
+});
+
+/**
+ * @desc    Get a student's emergency contacts and medical information
+ * @route   GET /api/students/:id/medical
+ * @access  Private (medical:read)
+ */
+export const getMedicalRecord = async (req, res) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const record = await MedicalRecord.findOne({ studentId: student._id });
+
+    // Health data is sensitive: every read is on record (which fields, never their values)
+    await recordAudit(req, {
+      action: 'student.medical.read',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      after: { fields: MEDICAL_FIELDS },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatMedicalRecord(record),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update a student's emergency contacts and medical information
+ *          (only the sections sent are replaced)
+ * @route   PUT /api/students/:id/medical
+ * @access  Private (medical:write)
+ */
+export const updateMedicalRecord = async (req, res) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const updates = {};
+    MEDICAL_FIELDS
+      .filter((field) => req.body[field] !== undefined)
+      .forEach((field) => {
+        if (field === 'emergencyContacts') {
+          updates[field] = normalizeContacts(req.body[field]);
+        } else if (LIST_FIELDS.includes(field)) {
+          updates[field] = toList(req.body[field]);
+        } else if (field === 'bloodGroup') {
+          updates[field] = req.body[field] ? String(req.body[field]).trim().toUpperCase() : null;
+        } else {
+          updates[field] = req.body[field];
+        }
+      });
+
+    if (updates.emergencyContacts === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'emergencyContacts must be a list of contacts',
+      });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${MEDICAL_FIELDS.join(', ')}`,
+      });
+    }
+
+    let record = await MedicalRecord.findOne({ studentId: student._id });
+    const before = record ? record.toObject() : {};
+    if (!record) {
+      record = new MedicalRecord({ studentId: student._id });
+    }
+    record.set(updates);
+    record.updatedBy = req.user._id;
+    await record.save();
+
+    // Health data stays out of the audit trail: only which sections changed is recorded
+    const { after: changed } = diffSnapshots(before, record, MEDICAL_FIELDS);
+    await recordAudit(req, {
+      action: 'student.medical',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      after: { changedFields: Object.keys(changed || {}) },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Medical information updated successfully',
+      data: formatMedicalRecord(record),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Everything needed during an incident in one call: identity and photo, room,
+ *          whereabouts (last gate log, current leave), guardians, emergency contacts and medical information
+ * @route   GET /api/students/:id/emergency-sheet
+ * @access  Private (medical:read)
+ */
+export const getEmergencySheet = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const student = await Student.findById(req.params.id)
+      .select('+photo')
+      .populate('userId', 'name email')
+      .populate('hostelId', 'name code')
+      .populate('blockId', 'name')
+      .populate('roomId', 'number floor')
+      .populate('bedId', 'label');
+    if (!student || !canAccessStudent(req.user, { hostelId: student.hostelId?._id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const now = new Date();
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const [record, parents, lastLog, currentLeave] = await Promise.all([
+      MedicalRecord.findOne({ studentId: student._id }),
+      Parent.find({ studentId: student._id }).populate('userId', 'name email'),
+      EntryExit.findOne({ studentId: student._id }).sort({ createdAt: -1 }),
+      Leave.findOne({
+        studentId: student._id,
+        status: 'Approved',
+        outDate: { $lte: now },
+        inDate: { $gte: startOfToday },
+      }).sort({ outDate: -1 }),
+    ]);
+
+    await recordAudit(req, {
+      action: 'student.emergencySheet',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId?._id],
+      after: { fields: [...EMERGENCY_SHEET_SECTIONS, ...MEDICAL_FIELDS] },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        generatedAt: now,
+        student: {
+          id: student._id,
+          name: student.userId?.name,
+          email: student.userId?.email,
+          phone: student.phone || null,
+          rollNumber: student.rollNumber,
+          class: student.class,
+          section: student.section,
+          photo: getPhotoUrls(student, getBaseUrl(req)),
+          isArchived: Boolean(student.archivedAt),
+        },
+        residence: {
+          hostel: student.hostelId?.name || null,
+          block: student.blockId?.name || null,
+          room: getRoomLabel(student),
+          floor: student.roomId?.floor ?? null,
+          bed: student.bedId?.label || null,
+        },
+        whereabouts: {
+          status: lastLog?.status || null,
+          lastInTime: lastLog?.inTime || null,
+          lastOutTime: lastLog?.outTime || null,
+          currentLeave: currentLeave
+            ? {
+                id: currentLeave._id,
+                type: currentLeave.type,
+                outDate: currentLeave.outDate,
+                inDate: currentLeave.inDate,
+                reason: currentLeave.reason,
+              }
+            : null,
+        },
+        guardian: {
+          name: student.guardianName || null,
+          email: student.guardianEmail || null,
+          phone: student.guardianPhone || null,
+        },
+        parents: parents
+          .filter((parent) => parent.userId)
+          .map((parent) => ({
+            name: parent.userId.name,
+            email: parent.userId.email,
+            relationship: parent.relationship,
+          })),
+        ...formatMedicalRecord(record),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import User from '../models/User.model.js';
 import Student from '../models/Student.model.js';
 import Parent from '../models/Parent.model.js';
@@ -5,19 +6,26 @@ import Leave from '../models/Leave.model.js';
 import Fee from '../models/Fee.model.js';
 import EntryExit from '../models/EntryExit.model.js';
 import StudentLocation from '../models/StudentLocation.model.js';
-import { generateTempPassword } from '../utils/generateTempPassword.js';
-import { sendParentTempPasswordEmail } from '../utils/emailService.js';
+import Complaint from '../models/Complaint.model.js';
+import { createPendingUser, sendActivationInvite } from '../utils/accountActivation.js';
+import { getRoomLabel } from '../utils/roomAllocation.js';
+import { resolveParentChild } from '../utils/parentLinks.js';
+import { canAccessStudent } from '../utils/tenancy.js';
+import { getBaseUrl } from '../utils/documentStorage.js';
+import { getPhotoUrls } from '../utils/studentPhotos.js';
 
 /**
- * Get the student ID that this parent is linked to.
- * Throws if parent has no linked student.
+ * Child the request is about: `?studentId=` selects one of the parent's children
+ * (optional for parents with a single child). Sends the error response and
+ * returns null when no child can be selected.
  */
-const getParentStudentId = async (userId) => {
-  const parent = await Parent.findOne({ userId }).populate('studentId');
-  if (!parent || !parent.studentId) {
+const getSelectedChildId = async (req, res) => {
+  const { studentId, error, status } = await resolveParentChild(req.user, req.query.studentId);
+  if (error) {
+    res.status(status).json({ success: false, message: error });
     return null;
   }
-  return parent.studentId._id;
+  return studentId;
 };
 
 /**
@@ -44,8 +52,11 @@ export const registerParent = async (req, res) => {
       });
     }
 
-    const student = await Student.findById(studentId).populate('userId', 'name');
-    if (!student) {
+    // Students outside the user's hostels are treated as not found
+    const student = mongoose.Types.ObjectId.isValid(studentId)
+      ? await Student.findOne({ _id: studentId, archivedAt: null }).populate('userId', 'name')
+      : null;
+    if (!student || !canAccessStudent(req.user, student)) {
       return res.status(404).json({
         success: false,
         message: 'Student not found',
@@ -54,36 +65,29 @@ export const registerParent = async (req, res) => {
 
     const normalizedEmail = email.toLowerCase().trim();
 
-    const existingUser = await User.findOne({ email: normalizedEmail });
-    if (existingUser) {
-      const existingParent = await Parent.findOne({ userId: existingUser._id });
-      if (existingParent) {
-        if (existingParent.studentId.toString() === studentId) {
-          return res.status(400).json({
-            success: false,
-            message: 'This parent is already linked to this student',
-          });
-        }
-        return res.status(400).json({
-          success: false,
-          message: 'This email is already registered as a parent for another student',
-        });
-      }
+    // An existing parent login (a sibling's parent) is linked to this child as well
+    let user = await User.findOne({ email: normalizedEmail });
+    if (user && user.role !== 'parent') {
       return res.status(400).json({
         success: false,
         message: 'User with this email already exists',
       });
     }
+    if (user && await Parent.exists({ userId: user._id, studentId: student._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parent is already linked to this student',
+      });
+    }
 
-    const tempPassword = generateTempPassword();
-
-    const user = await User.create({
-      name: name.trim(),
-      email: normalizedEmail,
-      password: tempPassword,
-      isTempPassword: true,
-      role: 'parent',
-    });
+    const isNewUser = !user;
+    if (isNewUser) {
+      user = await createPendingUser({
+        name: name.trim(),
+        email: normalizedEmail,
+        role: 'parent',
+      });
+    }
 
     const parentRecord = await Parent.create({
       userId: user._id,
@@ -92,18 +96,16 @@ export const registerParent = async (req, res) => {
     });
     await parentRecord.populate('studentId');
 
-    sendParentTempPasswordEmail(
-      normalizedEmail,
-      name.trim(),
-      tempPassword,
-      student.userId?.name || 'Your child'
-    )
-      .then(() => console.log(`✅ Parent temp password email sent to ${normalizedEmail}`))
-      .catch((err) => console.error('❌ Parent email error:', err.message));
+    if (isNewUser) {
+      sendActivationInvite(user, student.userId?.name)
+        .catch((err) => console.error('❌ Parent email error:', err.message));
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Parent registered successfully. Temporary password has been sent to their email.',
+      message: isNewUser
+        ? 'Parent registered successfully. An activation link has been sent to their email.'
+        : 'Existing parent account linked to this student.',
       data: {
         parent: {
           id: parentRecord._id,
@@ -114,6 +116,8 @@ export const registerParent = async (req, res) => {
           studentId: student._id,
           studentName: student.userId?.name,
         },
+        // An existing parent login (e.g. a sibling's parent) was linked instead of creating one
+        linkedExistingAccount: !isNewUser,
       },
     });
   } catch (error) {
@@ -121,7 +125,7 @@ export const registerParent = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'This parent is already linked to a student',
+        message: 'This parent is already linked to this student',
       });
     }
     res.status(500).json({
@@ -131,25 +135,68 @@ export const registerParent = async (req, res) => {
   }
 };
 
+/**
+ * @desc    List the children linked to this parent (for the child selector)
+ * @route   GET /api/parent/children
+ * @access  Private (Parent only)
+ */
+export const getMyChildren = async (req, res) => {
+  try {
+    const links = await Parent.find({ userId: req.user._id })
+      .populate({
+        path: 'studentId',
+        populate: [
+          { path: 'userId', select: 'name' },
+          { path: 'roomId', select: 'number' },
+        ],
+      })
+      .sort({ createdAt: 1 });
+
+    const children = links
+      .filter((link) => link.studentId && !link.studentId.archivedAt)
+      .map((link) => ({
+        id: link.studentId._id,
+        name: link.studentId.userId?.name,
+        class: link.studentId.class,
+        section: link.studentId.section,
+        rollNumber: link.studentId.rollNumber,
+        room: getRoomLabel(link.studentId),
+        relationship: link.relationship,
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: children.length,
+      data: children,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
 /**
  * @desc    Get parent's linked child (student) info
- * @route   GET /api/parent/child
+ * @route   GET /api/parent/child?studentId=
  * @access  Private (Parent only)
  */
 export const getMyChild = async (req, res) => {
   try {
-    const parent = await Parent.findOne({ userId: req.user._id })
-      .populate('studentId')
-      .populate('studentId.userId', 'name email');
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
 
-    if (!parent || !parent.studentId) {
+    const student = await Student.findById(studentId)
+      .populate('userId', 'name email')
+      .populate('roomId', 'number');
+    if (!student) {
       return res.status(404).json({
         success: false,
         message: 'No child linked to your account',
       });
     }
 
-    const student = parent.studentId;
     res.status(200).json({
       success: true,
       data: {
@@ -159,7 +206,7 @@ export const getMyChild = async (req, res) => {
         class: student.class,
         section: student.section,
         rollNumber: student.rollNumber,
-        room: student.room,
+        room: getRoomLabel(student),
         phone: student.phone,
       },
     });
@@ -173,17 +220,19 @@ export const getMyChild = async (req, res) => {
 
 /**
  * @desc    Get child's room details
- * @route   GET /api/parent/child/room
+ * @route   GET /api/parent/child/room?studentId=
  * @access  Private (Parent only)
  */
 export const getChildRoom = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
-
-    const student = await Student.findById(studentId).populate('userId', 'name');
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
+
+    const student = await Student.findById(studentId)
+      .populate('userId', 'name')
+      .populate('roomId', 'number floor type capacity')
+      .populate('blockId', 'name')
+      .populate('bedId', 'label');
     if (!student) {
       return res.status(404).json({ success: false, message: 'Student not found' });
     }
@@ -191,7 +240,12 @@ export const getChildRoom = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        room: student.room || 'N/A',
+        room: getRoomLabel(student) || 'N/A',
+        block: student.blockId?.name || null,
+        floor: student.roomId?.floor ?? null,
+        bed: student.bedId?.label || null,
+        roomType: student.roomId?.type || null,
+        capacity: student.roomId?.capacity ?? null,
         class: student.class,
         section: student.section || 'N/A',
         rollNumber: student.rollNumber,
@@ -204,15 +258,13 @@ export const getChildRoom = async (req, res) => {
 
 /**
  * @desc    Get child's fee and payment history
- * @route   GET /api/parent/child/fees
+ * @route   GET /api/parent/child/fees?studentId=
  * @access  Private (Parent only)
  */
 export const getChildFees = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
 
     const fees = await Fee.find({ studentId }).sort({ createdAt: -1 });
 
@@ -228,15 +280,13 @@ export const getChildFees = async (req, res) => {
 
 /**
  * @desc    Get child's entry/exit logs (last 30 days, with monthly filter)
- * @route   GET /api/parent/child/entry-exit
+ * @route   GET /api/parent/child/entry-exit?studentId=
  * @access  Private (Parent only)
  */
 export const getChildEntryExit = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
 
     const { month, year } = req.query;
     const query = { studentId };
@@ -265,15 +315,13 @@ export const getChildEntryExit = async (req, res) => {
 
 /**
  * @desc    Get child's outing requests
- * @route   GET /api/parent/child/leaves
+ * @route   GET /api/parent/child/leaves?studentId=
  * @access  Private (Parent only)
  */
 export const getChildLeaves = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
 
     const leaves = await Leave.find({ studentId })
       .populate('approvedBy', 'name')
@@ -304,15 +352,13 @@ export const getChildLeaves = async (req, res) => {
 
 /**
  * @desc    Get child's location (if sharing enabled)
- * @route   GET /api/parent/child/location
+ * @route   GET /api/parent/child/location?studentId=
  * @access  Private (Parent only)
  */
 export const getChildLocation = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
 
     const loc = await StudentLocation.findOne({ studentId });
     if (!loc || !loc.isSharingEnabled) {
@@ -341,15 +387,13 @@ export const getChildLocation = async (req, res) => {
 
 /**
  * @desc    Get child's current status (in/out)
- * @route   GET /api/parent/child/status
+ * @route   GET /api/parent/child/status?studentId=
  * @access  Private (Parent only)
  */
 export const getChildStatus = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
 
     const lastLog = await EntryExit.findOne({ studentId }).sort({ createdAt: -1 });
     const status = lastLog ? lastLog.status : 'OUT';
@@ -366,3 +410,95 @@ export const getChildStatus = async (req, res) => {
     res.status(500).json({ success: false, message: error.message || 'Server error' });
   }
 };
+
+const DASHBOARD_RECENT_LOGS = 10;
+
+/**
+ * @desc    Everything the parent app home screen needs in one call: child profile,
+ *          IN/OUT status, outings waiting for the parent's decision, outstanding dues,
+ *          recent entry/exit events, open complaints and latest shared location
+ * @route   GET /api/parent/child/dashboard?studentId=
+ * @access  Private (Parent only)
+ */
+export const getChildDashboard = async (req, res) => {
+  try {
+    const studentId = await getSelectedChildId(req, res);
+    if (!studentId) return;
+
+    const [student, recentLogs, pendingLeaves, pendingFees, openComplaints, location] = await Promise.all([
+      Student.findById(studentId)
+        .select('+photo')
+        .populate('userId', 'name email')
+        .populate('hostelId', 'name')
+        .populate('blockId', 'name')
+        .populate('roomId', 'number floor type')
+        .populate('bedId', 'label'),
+      EntryExit.find({ studentId }).sort({ createdAt: -1 }).limit(DASHBOARD_RECENT_LOGS),
+      Leave.find({ studentId, status: 'PendingParent' }).sort({ createdAt: 1 }),
+      Fee.find({ studentId, status: 'Pending' }).sort({ createdAt: 1 }),
+      Complaint.find({ studentId, status: { $in: ['Pending', 'In Progress'] } })
+        .select('title category status priority createdAt')
+        .sort({ createdAt: -1 }),
+      StudentLocation.findOne({ studentId }),
+    ]);
+
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const lastLog = recentLogs[0];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        child: {
+          id: student._id,
+          name: student.userId?.name,
+          email: student.userId?.email,
+          class: student.class,
+          section: student.section,
+          rollNumber: student.rollNumber,
+          phone: student.phone,
+          photo: getPhotoUrls(student, getBaseUrl(req)),
+          hostel: student.hostelId?.name || null,
+          block: student.blockId?.name || null,
+          room: getRoomLabel(student),
+          floor: student.roomId?.floor ?? null,
+          bed: student.bedId?.label || null,
+          roomType: student.roomId?.type || null,
+        },
+        status: {
+          status: lastLog ? lastLog.status : 'OUT',
+          lastUpdated: lastLog?.inTime || lastLog?.outTime || lastLog?.createdAt || null,
+        },
+        pendingApprovals: pendingLeaves.map((l) => ({
+          id: l._id,
+          reason: l.reason,
+          type: l.type,
+          outDate: l.outDate,
+          inDate: l.inDate,
+          outTime: l.outTime,
+          inTime: l.inTime,
+          createdAt: l.createdAt,
+        })),
+        dues: {
+          total: pendingFees.reduce((sum, fee) => sum + (fee.amount || 0), 0),
+          count: pendingFees.length,
+          fees: pendingFees,
+        },
+        recentEntryExit: recentLogs,
+        openComplaints,
+        location: location?.isSharingEnabled
+          ? {
+              isSharingEnabled: true,
+              lat: location.lat || null,
+              lng: location.lng || null,
+              lastUpdated: location.lastUpdated || null,
+            }
+          : { isSharingEnabled: false },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+};
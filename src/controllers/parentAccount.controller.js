@@ -0,0 +1,507 @@
+import mongoose from 'mongoose';
+import User from '../models/User.model.js';
+import Student from '../models/Student.model.js';
+import Parent from '../models/Parent.model.js';
+import { recordAudit, getStudentHostelIds } from '../utils/auditLog.js';
+import { revokeAllSessions } from '../utils/authTokens.js';
+import { sendActivationInvite, sendPasswordResetLink } from '../utils/accountActivation.js';
+import { getScopedStudentFilter, canAccessStudent } from '../utils/tenancy.js';
+import { findStudentsLeftWithoutGuardian } from '../utils/parentLinks.js';
+import { escapeRegex } from '../utils/studentDirectory.js';
+
+const MAX_PAGE_SIZE = 200;
+
+const populateLinks = (query) => query.populate({
+  path: 'studentId',
+  select: 'userId rollNumber class section hostelId archivedAt',
+  populate: { path: 'userId', select: 'name' },
+});
+
+const formatParent = (user, links) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  accountStatus: user.accountStatus,
+  deactivatedAt: user.deactivatedAt || null,
+  archivedAt: user.archivedAt || null,
+  createdAt: user.createdAt,
+  children: links
+    .filter((link) => link.studentId)
+    .map((link) => ({
+      studentId: link.studentId._id,
+      name: link.studentId.userId?.name,
+      rollNumber: link.studentId.rollNumber,
+      class: link.studentId.class,
+      section: link.studentId.section,
+      relationship: link.relationship,
+      isArchived: Boolean(link.studentId.archivedAt),
+    })),
+});
+
+/**
+ * Parent login the staff user may manage: linked to a student in their hostels,
+ * or linked to nobody (so it can be linked again). Out-of-scope children are left out.
+ * @returns {Promise<{user: Object, links: Array<Object>}|null>}
+ */
+const findScopedParent = async (staff, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return null;
+  }
+  const user = await User.findOne({ _id: userId, role: 'parent' });
+  if (!user) {
+    return null;
+  }
+
+  const links = await populateLinks(Parent.find({ userId: user._id }).sort({ createdAt: 1 }));
+  const visible = links.filter((link) => link.studentId && canAccessStudent(staff, link.studentId));
+  if (links.length > 0 && visible.length === 0) {
+    return null;
+  }
+  return { user, links: visible };
+};
+
+const sendWithoutGuardian = (res, students) => {
+  const names = students.map((s) => s.userId?.name || s.rollNumber).join(', ');
+  return res.status(409).json({
+    success: false,
+    message: `${names} would have no guardian left to approve outings. Link another guardian first`,
+    data: students.map((s) => ({ studentId: s._id, name: s.userId?.name, rollNumber: s.rollNumber })),
+  });
+};
+
+const sendParentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Parent not found',
+});
+
+/**
+ * @desc    List/search parent accounts with their linked children
+ *          (?search name/email, studentId, status=active|pending|deactivated, page, limit)
+ * @route   GET /api/parent/accounts
+ * @access  Private (parents:manage)
+ */
+export const getParentAccounts = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const { search, studentId, status } = req.query;
+
+    const query = { role: 'parent' };
+    if (search?.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (status === 'active') {
+      Object.assign(query, { accountStatus: 'Active', deactivatedAt: null, archivedAt: null });
+    } else if (status === 'pending') {
+      Object.assign(query, { accountStatus: 'PendingActivation', deactivatedAt: null });
+    } else if (status === 'deactivated') {
+      query.deactivatedAt = { $ne: null };
+    }
+
+    // Limited staff see parents of their hostels' students, plus parents linked to nobody
+    const scopeFilter = await getScopedStudentFilter(req.user);
+    if (studentId) {
+      query._id = { $in: await Parent.distinct('userId', {
+        $and: [scopeFilter, { studentId: mongoose.Types.ObjectId.isValid(studentId) ? studentId : null }],
+      }) };
+    } else if (scopeFilter.studentId) {
+      const [inScope, linked] = await Promise.all([
+        Parent.distinct('userId', scopeFilter),
+        Parent.distinct('userId'),
+      ]);
+      query.$and = [{ $or: [{ _id: { $in: inScope } }, { _id: { $nin: linked } }] }];
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(query),
+      User.find(query)
+        .select('name email accountStatus deactivatedAt archivedAt createdAt')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    const links = await populateLinks(Parent.find({ userId: { $in: users.map((u) => u._id) } }).sort({ createdAt: 1 }));
+    const data = users.map((user) => formatParent(
+      user,
+      links.filter((link) => link.userId.toString() === user._id.toString()
+        && link.studentId && canAccessStudent(req.user, link.studentId))
+    ));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get a parent account and the students it is linked to
+ * @route   GET /api/parent/accounts/:userId
+ * @access  Private (parents:manage)
+ */
+export const getParentAccount = async (req, res) => {
+  try {
+    const found = await findScopedParent(req.user, req.params.userId);
+    if (!found) {
+      return sendParentNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatParent(found.user, found.links),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * Student a parent may be linked to by this staff user
+ * @returns {Promise<{student?: Object, error?: string, status?: number}>}
+ */
+const findLinkableStudent = async (staff, parentUserId, studentId) => {
+  const student = mongoose.Types.ObjectId.isValid(studentId)
+    ? await Student.findById(studentId).select('hostelId archivedAt')
+    : null;
+  if (!student || !canAccessStudent(staff, student)) {
+    return { error: 'Student not found', status: 404 };
+  }
+  if (student.archivedAt) {
+    return { error: 'Parents cannot be linked to an archived student', status: 409 };
+  }
+  if (await Parent.exists({ userId: parentUserId, studentId: student._id })) {
+    return { error: 'This parent is already linked to this student', status: 400 };
+  }
+  return { student };
+};
+
+/**
+ * @desc    Link a parent account to another student (e.g. a sibling)
+ * @route   POST /api/parent/accounts/:userId/links
+ * @access  Private (parents:manage)
+ */
+export const linkParentAccount = async (req, res) => {
+  try {
+    const { studentId, relationship } = req.body;
+
+    const found = await findScopedParent(req.user, req.params.userId);
+    if (!found) {
+      return sendParentNotFound(res);
+    }
+
+    const { student, error, status } = await findLinkableStudent(req.user, found.user._id, studentId);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const link = await Parent.create({
+      userId: found.user._id,
+      studentId: student._id,
+      relationship: relationship?.trim() || 'Guardian',
+    });
+
+    await recordAudit(req, {
+      action: 'parent.link',
+      targetType: 'Parent',
+      targetId: link._id,
+      hostelIds: [student.hostelId],
+      after: { userId: found.user._id, studentId: student._id, relationship: link.relationship },
+    });
+
+    const refreshed = await findScopedParent(req.user, found.user._id);
+    res.status(201).json({
+      success: true,
+      message: 'Parent linked to student',
+      data: formatParent(refreshed.user, refreshed.links),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parent is already linked to this student',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Change the relationship of a link and/or move it to another student (relink)
+ * @route   PUT /api/parent/accounts/:userId/links/:studentId
+ * @access  Private (parents:manage)
+ */
+export const updateParentLink = async (req, res) => {
+  try {
+    const { relationship, studentId: newStudentId } = req.body;
+
+    const found = await findScopedParent(req.user, req.params.userId);
+    const link = found?.links.find((l) => l.studentId._id.toString() === req.params.studentId);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent link not found',
+      });
+    }
+
+    const before = { studentId: link.studentId._id, relationship: link.relationship };
+    const moving = newStudentId && newStudentId !== req.params.studentId;
+
+    if (moving) {
+      const { student, error, status } = await findLinkableStudent(req.user, found.user._id, newStudentId);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error,
+        });
+      }
+      const orphaned = await findStudentsLeftWithoutGuardian([link.studentId._id], found.user._id);
+      if (orphaned.length > 0) {
+        return sendWithoutGuardian(res, orphaned);
+      }
+      link.studentId = student._id;
+    }
+    if (relationship !== undefined) {
+      link.relationship = relationship.trim() || 'Guardian';
+    }
+    await link.save();
+
+    await recordAudit(req, {
+      action: 'parent.link.update',
+      targetType: 'Parent',
+      targetId: link._id,
+      hostelIds: await getStudentHostelIds(...found.links.map((l) => l.studentId), link.studentId),
+      before,
+      after: { studentId: link.studentId._id || link.studentId, relationship: link.relationship },
+    });
+
+    const refreshed = await findScopedParent(req.user, found.user._id);
+    res.status(200).json({
+      success: true,
+      message: moving ? 'Parent relinked to the new student' : 'Parent link updated',
+      data: refreshed ? formatParent(refreshed.user, refreshed.links) : null,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parent is already linked to this student',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Unlink a parent from a student. Refused when the student would be left without
+ *          a guardian to approve outings. A parent left with no child is signed out.
+ * @route   DELETE /api/parent/accounts/:userId/links/:studentId
+ * @access  Private (parents:manage)
+ */
+export const unlinkParentAccount = async (req, res) => {
+  try {
+    const found = await findScopedParent(req.user, req.params.userId);
+    const link = found?.links.find((l) => l.studentId._id.toString() === req.params.studentId);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent link not found',
+      });
+    }
+
+    const orphaned = await findStudentsLeftWithoutGuardian([link.studentId._id], found.user._id);
+    if (orphaned.length > 0) {
+      return sendWithoutGuardian(res, orphaned);
+    }
+
+    await Parent.deleteOne({ _id: link._id });
+    if (!(await Parent.exists({ userId: found.user._id }))) {
+      await revokeAllSessions(found.user._id, 'Parent link removed');
+    }
+
+    await recordAudit(req, {
+      action: 'parent.unlink',
+      targetType: 'Parent',
+      targetId: link._id,
+      hostelIds: await getStudentHostelIds(link.studentId),
+      before: { userId: found.user._id, studentId: link.studentId._id, relationship: link.relationship },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Parent unlinked from student',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate a parent login (signed out everywhere, cannot sign in).
+ *          Refused when one of their children would be left without a guardian.
+ * @route   PUT /api/parent/accounts/:userId/deactivate
+ * @access  Private (parents:manage)
+ */
+export const deactivateParentAccount = async (req, res) => {
+  try {
+    const found = await findScopedParent(req.user, req.params.userId);
+    if (!found) {
+      return sendParentNotFound(res);
+    }
+    if (found.user.deactivatedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parent account is already deactivated',
+      });
+    }
+
+    // Every child counts here, including those in hostels the staff user does not manage
+    const childIds = await Parent.distinct('studentId', { userId: found.user._id });
+    const orphaned = await findStudentsLeftWithoutGuardian(childIds, found.user._id);
+    if (orphaned.length > 0) {
+      return sendWithoutGuardian(res, orphaned);
+    }
+
+    found.user.deactivatedAt = new Date();
+    await found.user.save();
+    await revokeAllSessions(found.user._id, 'Account deactivated');
+
+    await recordAudit(req, {
+      action: 'parent.deactivate',
+      targetType: 'User',
+      targetId: found.user._id,
+      hostelIds: await getStudentHostelIds(...found.links.map((l) => l.studentId)),
+      before: { deactivatedAt: null },
+      after: { deactivatedAt: found.user.deactivatedAt, reason: req.body.reason?.trim() || undefined },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Parent account deactivated',
+      data: formatParent(found.user, found.links),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Reactivate a deactivated parent login
+ * @route   PUT /api/parent/accounts/:userId/reactivate
+ * @access  Private (parents:manage)
+ */
+export const reactivateParentAccount = async (req, res) => {
+  try {
+    const found = await findScopedParent(req.user, req.params.userId);
+    if (!found) {
+      return sendParentNotFound(res);
+    }
+    if (!found.user.deactivatedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parent account is not deactivated',
+      });
+    }
+
+    const before = { deactivatedAt: found.user.deactivatedAt };
+    found.user.deactivatedAt = null;
+    await found.user.save();
+
+    await recordAudit(req, {
+      action: 'parent.reactivate',
+      targetType: 'User',
+      targetId: found.user._id,
+      hostelIds: await getStudentHostelIds(...found.links.map((l) => l.studentId)),
+      before,
+      after: { deactivatedAt: null },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Parent account reactivated',
+      data: formatParent(found.user, found.links),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Resend credentials: a new activation link for accounts not yet activated,
+ *          otherwise a password reset link
+ * @route   POST /api/parent/accounts/:userId/resend-credentials
+ * @access  Private (parents:manage)
+ */
+export const resendParentCredentials = async (req, res) => {
+  try {
+    const found = await findScopedParent(req.user, req.params.userId);
+    if (!found) {
+      return sendParentNotFound(res);
+    }
+    if (found.user.deactivatedAt || found.user.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reactivate this parent account before sending credentials',
+      });
+    }
+
+    const pending = found.user.accountStatus === 'PendingActivation';
+    if (pending) {
+      const childNames = found.links.map((link) => link.studentId.userId?.name).filter(Boolean);
+      await sendActivationInvite(found.user, childNames.join(' and ') || undefined);
+    } else {
+      await sendPasswordResetLink(found.user);
+    }
+
+    await recordAudit(req, {
+      action: 'parent.credentials',
+      targetType: 'User',
+      targetId: found.user._id,
+      hostelIds: await getStudentHostelIds(...found.links.map((l) => l.studentId)),
+      after: { sent: pending ? 'activation' : 'passwordReset' },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: pending
+        ? 'Activation link has been resent'
+        : 'A password reset link has been sent to the parent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
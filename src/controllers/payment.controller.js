@@ -1,7 +1,10 @@
 import Fee from '../models/Fee.model.js';
 import Student from '../models/Student.model.js';
-import Parent from '../models/Parent.model.js';
 import Payment from '../models/Payment.model.js';
+import { getArchiveFilter } from '../utils/studentArchive.js';
+import { getStudentScopeFilter } from '../utils/tenancy.js';
+import { getRoomLabel } from '../utils/roomAllocation.js';
+import { resolveParentChild } from '../utils/parentLinks.js';
 
 /**
  * @desc    Get payment summary for all students (warden only)
@@ -11,12 +14,16 @@ import Payment from '../models/Payment.model.js';
 export const getPaymentSummary = async (req, res) => {
   try {
     // Get all students with their fees
-    const students = await Student.find()
+    const students = await Student.find({
+      ...getArchiveFilter(req.query),
+      ...getStudentScopeFilter(req.user),
+    })
       .populate('userId', 'name email')
+      .populate('roomId', 'number')
       .sort({ rollNumber: 1 });
 
-    // Get all fees
-    const allFees = await Fee.find().populate({
+    // Get fees of those students
+    const allFees = await Fee.find({ studentId: { $in: students.map((s) => s._id) } }).populate({
       path: 'studentId',
       select: 'rollNumber userId',
       populate: { path: 'userId', select: 'name' },
@@ -42,7 +49,7 @@ export const getPaymentSummary = async (req, res) => {
         email: student.userId?.email || 'N/A',
         class: student.class,
         section: student.section || 'N/A',
-        room: student.room || 'N/A',
+        room: getRoomLabel(student) || 'N/A',
         totalFees,
         paidAmount,
         dueAmount,
@@ -88,7 +95,7 @@ const generateReceiptNumber = () => {
  */
 export const payMyFees = async (req, res) => {
   try {
-    const { amount, method = 'UPI', transactionId } = req.body || {};
+    const { amount, method = 'UPI', transactionId, studentId: childId } = req.body || {};
 
     if (typeof amount !== 'number' || Number.isNaN(amount) || amount <= 0) {
       return res.status(400).json({
@@ -99,14 +106,15 @@ export const payMyFees = async (req, res) => {
 
     let student;
     if (req.user.role === 'parent') {
-      const parent = await Parent.findOne({ userId: req.user._id });
-      if (!parent) {
-        return res.status(404).json({
+      // Parents of several children pay for one child at a time (body studentId)
+      const { studentId, error, status } = await resolveParentChild(req.user, childId);
+      if (error) {
+        return res.status(status).json({
           success: false,
-          message: 'Parent profile not found',
+          message: error,
         });
       }
-      student = await Student.findById(parent.studentId);
+      student = await Student.findById(studentId);
     } else {
       student = await Student.findOne({ userId: req.user._id });
     }
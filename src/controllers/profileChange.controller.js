@@ -0,0 +1,353 @@
+import mongoose from 'mongoose';
+import Student from '../models/Student.model.js';
+import User from '../models/User.model.js';
+import ProfileChangeRequest, { SELF_EDITABLE_FIELDS } from '../models/ProfileChangeRequest.model.js';
+import { recordAudit, diffSnapshots } from '../utils/auditLog.js';
+import { getScopedStudentFilter } from '../utils/tenancy.js';
+import { sendActivationInvite } from '../utils/accountActivation.js';
+import { linkGuardian, unlinkGuardian, checkGuardianEmail } from '../utils/guardians.js';
+import { findStudentsLeftWithoutGuardian } from '../utils/parentLinks.js';
+
+const normalizeValue = (field, value) => {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) return null;
+  return field === 'guardianEmail' ? trimmed.toLowerCase() : trimmed;
+};
+
+/**
+ * Request with each change shown next to the student's current value,
+ * so reviewers can spot fields that changed after the request was filed
+ */
+const formatRequest = (request) => {
+  const student = request.studentId || {};
+  return {
+    id: request._id,
+    status: request.status,
+    note: request.note,
+    createdAt: request.createdAt,
+    reviewedAt: request.reviewedAt,
+    reviewedBy: request.reviewedBy?.name || null,
+    rejectionReason: request.rejectionReason,
+    student: student._id
+      ? { id: student._id, name: student.userId?.name, rollNumber: student.rollNumber }
+      : null,
+    changes: request.changes.map(({ field, from, to }) => ({
+      field,
+      from,
+      to,
+      current: student[field] ?? null,
+    })),
+  };
+};
+
+const populateRequest = (query) => query
+  .populate({
+    path: 'studentId',
+    select: ['userId', 'rollNumber', ...SELF_EDITABLE_FIELDS].join(' '),
+    populate: { path: 'userId', select: 'name' },
+  })
+  .populate('reviewedBy', 'name');
+
+/**
+ * @desc    Request changes to my phone or guardian contact
+ * @route   POST /api/profile-changes
+ * @access  Private (Student only)
+ */
+export const createProfileChangeRequest = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    const changes = SELF_EDITABLE_FIELDS
+      .filter((field) => req.body[field] !== undefined)
+      .map((field) => ({
+        field,
+        from: student[field] ?? null,
+        to: normalizeValue(field, req.body[field]),
+      }))
+      .filter((change) => change.from !== change.to);
+
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please change at least one of: ${SELF_EDITABLE_FIELDS.join(', ')}`,
+      });
+    }
+
+    const guardianChange = changes.find((change) => change.field === 'guardianEmail');
+    if (guardianChange?.to) {
+      const problem = await checkGuardianEmail(student, guardianChange.to);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem,
+        });
+      }
+    }
+
+    if (await ProfileChangeRequest.exists({ studentId: student._id, status: 'Pending' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending profile change request',
+      });
+    }
+
+    const request = await ProfileChangeRequest.create({
+      studentId: student._id,
+      changes,
+      note: req.body.note?.trim() || undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Profile change submitted for warden approval',
+      data: formatRequest(await populateRequest(ProfileChangeRequest.findById(request._id))),
+    });
+  } catch (error) {
+    console.error('Create profile change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating profile change request',
+    });
+  }
+};
+
+/**
+ * @desc    Get my profile change requests
+ * @route   GET /api/profile-changes/my
+ * @access  Private (Student only)
+ */
+export const getMyProfileChangeRequests = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    const requests = await populateRequest(
+      ProfileChangeRequest.find({ studentId: student._id }).sort({ createdAt: -1 })
+    );
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests.map(formatRequest),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Cancel my pending profile change request
+ * @route   PUT /api/profile-changes/:id/cancel
+ * @access  Private (Student only)
+ */
+export const cancelMyProfileChangeRequest = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile change request not found',
+      });
+    }
+
+    const updated = await ProfileChangeRequest.findOneAndUpdate(
+      { _id: req.params.id, studentId: student._id, status: 'Pending' },
+      { $set: { status: 'Cancelled' } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const existing = await ProfileChangeRequest.exists({ _id: req.params.id, studentId: student._id });
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing ? 'Only pending requests can be cancelled' : 'Profile change request not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile change request cancelled successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List profile change requests with diffs (filter: status)
+ * @route   GET /api/profile-changes
+ * @access  Private (students:read)
+ */
+export const getProfileChangeRequests = async (req, res) => {
+  try {
+    const filter = await getScopedStudentFilter(req.user);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const requests = await populateRequest(ProfileChangeRequest.find(filter).sort({ createdAt: -1 }));
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests.map(formatRequest),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Approve (apply the changes) or reject a profile change request
+ * @route   PUT /api/profile-changes/:id/status
+ * @access  Private (students:write)
+ */
+export const updateProfileChangeStatus = async (req, res) => {
+  try {
+    const { status, rejectionReason } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be Approved or Rejected',
+      });
+    }
+
+    // Requests of students outside the user's hostels are treated as not found
+    const scopeFilter = await getScopedStudentFilter(req.user);
+    const request = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ProfileChangeRequest.findOne({ _id: req.params.id, ...scopeFilter })
+      : null;
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile change request not found',
+      });
+    }
+
+    const student = await Student.findById(request.studentId);
+    const guardianChange = request.changes.find((change) => change.field === 'guardianEmail');
+    // The guardian may have been changed since the request was filed: unlink whoever is linked now
+    const currentGuardianEmail = student.guardianEmail;
+
+    // The email may have been registered for a staff or student account since the request was filed
+    if (status === 'Approved' && guardianChange?.to) {
+      const problem = await checkGuardianEmail(student, guardianChange.to);
+      if (problem) {
+        return res.status(409).json({
+          success: false,
+          message: problem,
+        });
+      }
+    }
+
+    // Clearing the guardian must not leave the student without anyone to approve outings
+    if (status === 'Approved' && guardianChange && !guardianChange.to && currentGuardianEmail) {
+      const guardianUser = await User.findOne({ email: currentGuardianEmail.toLowerCase(), role: 'parent' }).select('_id');
+      const stranded = guardianUser
+        ? await findStudentsLeftWithoutGuardian([student._id], guardianUser._id)
+        : [];
+      if (stranded.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'The student would have no guardian left to approve outings. Link another guardian first',
+        });
+      }
+    }
+
+    const updated = await ProfileChangeRequest.findOneAndUpdate(
+      { _id: request._id, status: 'Pending' },
+      {
+        $set: {
+          status,
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          rejectionReason: status === 'Rejected' ? rejectionReason?.trim() || undefined : undefined,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This profile change request was already processed',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'profileChange.status',
+      targetType: 'ProfileChangeRequest',
+      targetId: updated._id,
+      hostelIds: [student.hostelId],
+      before: { status: 'Pending' },
+      after: { status, rejectionReason: updated.rejectionReason },
+    });
+
+    if (status === 'Approved') {
+      const before = student.toObject();
+      updated.changes.forEach(({ field, to }) => {
+        student[field] = to || undefined;
+      });
+      await student.save();
+
+      await recordAudit(req, {
+        action: 'student.update',
+        targetType: 'Student',
+        targetId: student._id,
+        hostelIds: [student.hostelId],
+        ...diffSnapshots(before, student, SELF_EDITABLE_FIELDS),
+      });
+
+      if (guardianChange) {
+        if (currentGuardianEmail && currentGuardianEmail !== guardianChange.to) {
+          await unlinkGuardian(student, currentGuardianEmail);
+        }
+        if (guardianChange.to) {
+          const { guardianUser, created } = await linkGuardian(student, {
+            guardianEmail: guardianChange.to,
+            guardianName: student.guardianName,
+          });
+          if (created) {
+            const studentUser = await User.findById(student.userId).select('name');
+            sendActivationInvite(guardianUser, studentUser?.name)
+              .catch((err) => console.error('❌ Failed to send guardian email:', err.message || err));
+          }
+        }
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status === 'Approved'
+        ? 'Profile changes approved and applied'
+        : 'Profile change request rejected',
+      data: formatRequest(await populateRequest(ProfileChangeRequest.findById(updated._id))),
+    });
+  } catch (error) {
+    console.error('Update profile change status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile change request',
+    });
+  }
+};
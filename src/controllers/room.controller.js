@@ -0,0 +1,614 @@
+import mongoose from 'mongoose';
+import Room from '../models/Room.model.js';
+import Bed from '../models/Bed.model.js';
+import Block from '../models/Block.model.js';
+import Hostel from '../models/Hostel.model.js';
+import Student from '../models/Student.model.js';
+import { getHostelScope, canAccessHostel, canAccessStudent } from '../utils/tenancy.js';
+import { recordAudit, diffSnapshots, getStudentHostelIds } from '../utils/auditLog.js';
+import {
+  createBeds,
+  findFreeBed,
+  allocateBed,
+  vacateBed,
+  swapBeds,
+  availableFilter,
+  getBedIndex,
+} from '../utils/roomAllocation.js';
+
+const roomNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Room not found',
+});
+
+const studentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Student not found',
+});
+
+// Room the user may see, or null
+const findAccessibleRoom = async (user, roomId) => {
+  if (!mongoose.Types.ObjectId.isValid(roomId)) {
+    return null;
+  }
+  const room = await Room.findById(roomId);
+  return room && canAccessHostel(user, room.hostelId) ? room : null;
+};
+
+// Active student the user may act on, or null
+const findAccessibleStudent = async (user, studentId) => {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    return null;
+  }
+  const student = await Student.findOne({ _id: studentId, archivedAt: null });
+  return student && canAccessStudent(user, student) ? student : null;
+};
+
+/**
+ * @desc    Create a room and its beds (one per unit of capacity)
+ * @route   POST /api/rooms
+ * @access  Private (rooms:manage)
+ */
+export const createRoom = async (req, res) => {
+  try {
+    const { hostelId, blockId, number, floor, type, capacity } = req.body;
+
+    if (!hostelId || !number || !capacity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide hostelId, number and capacity',
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(hostelId) || !(await Hostel.exists({ _id: hostelId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hostel not found',
+      });
+    }
+    if (!canAccessHostel(req.user, hostelId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add rooms to hostels you manage',
+      });
+    }
+    if (blockId) {
+      const block = mongoose.Types.ObjectId.isValid(blockId)
+        ? await Block.findOne({ _id: blockId, hostelId })
+        : null;
+      if (!block) {
+        return res.status(404).json({
+          success: false,
+          message: 'Block not found in this hostel',
+        });
+      }
+    }
+
+    const room = await Room.create({ hostelId, blockId: blockId || undefined, number, floor, type, capacity });
+    const beds = await createBeds(room);
+
+    await recordAudit(req, {
+      action: 'room.create',
+      targetType: 'Room',
+      targetId: room._id,
+      hostelIds: [room.hostelId],
+      after: room,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Room created successfully',
+      data: { ...room.toObject(), beds },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room with this number already exists in the hostel',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List rooms with occupancy (filters: hostelId, blockId, floor, available=true)
+ * @route   GET /api/rooms
+ * @access  Private (rooms:read)
+ */
+export const getRooms = async (req, res) => {
+  try {
+    const { hostelId, blockId, floor, available } = req.query;
+    const scope = getHostelScope(req.user);
+
+    const query = scope ? { hostelId: { $in: scope } } : {};
+    if (hostelId) {
+      if (!mongoose.Types.ObjectId.isValid(hostelId) || !canAccessHostel(req.user, hostelId)) {
+        return res.status(200).json({ success: true, count: 0, data: [] });
+      }
+      query.hostelId = hostelId;
+    }
+    if (blockId && mongoose.Types.ObjectId.isValid(blockId)) query.blockId = blockId;
+    if (floor !== undefined && floor !== '') query.floor = Number(floor);
+
+    const rooms = await Room.find(query)
+      .populate('hostelId', 'name code')
+      .populate('blockId', 'name')
+      .sort({ hostelId: 1, floor: 1, number: 1 });
+
+    const occupied = await Bed.aggregate([
+      { $match: { roomId: { $in: rooms.map((r) => r._id) }, studentId: { $ne: null } } },
+      { $group: { _id: '$roomId', count: { $sum: 1 } } },
+    ]);
+    const occupiedMap = new Map(occupied.map((o) => [o._id.toString(), o.count]));
+
+    let data = rooms.map((room) => {
+      const occupiedBeds = occupiedMap.get(room._id.toString()) || 0;
+      return {
+        ...room.toObject(),
+        occupied: occupiedBeds,
+        available: room.capacity - occupiedBeds,
+      };
+    });
+    if (available === 'true') {
+      data = data.filter((room) => room.isActive && room.available > 0);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get a room with its beds and occupants
+ * @route   GET /api/rooms/:id
+ * @access  Private (rooms:read)
+ */
+export const getRoomById = async (req, res) => {
+  try {
+    const room = await findAccessibleRoom(req.user, req.params.id);
+    if (!room) {
+      return roomNotFound(res);
+    }
+
+    await room.populate([
+      { path: 'hostelId', select: 'name code' },
+      { path: 'blockId', select: 'name' },
+    ]);
+    const beds = await Bed.find({ roomId: room._id })
+      .populate({
+        path: 'studentId',
+        select: 'userId rollNumber class section',
+        populate: { path: 'userId', select: 'name email' },
+      })
+      .sort({ _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...room.toObject(),
+        occupied: beds.filter((bed) => bed.studentId).length,
+        beds,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update a room. Raising capacity adds beds; lowering it removes free beds only.
+ * @route   PUT /api/rooms/:id
+ * @access  Private (rooms:manage)
+ */
+export const updateRoom = async (req, res) => {
+  try {
+    const { number, floor, type, capacity, isActive } = req.body;
+
+    const room = await findAccessibleRoom(req.user, req.params.id);
+    if (!room) {
+      return roomNotFound(res);
+    }
+
+    const before = room.toObject();
+
+    if (number !== undefined && String(number).trim()) room.number = String(number).trim();
+    if (floor !== undefined) room.floor = floor;
+    if (type !== undefined) room.type = type;
+    if (typeof isActive === 'boolean') room.isActive = isActive;
+
+    const newCapacity = capacity !== undefined ? parseInt(capacity, 10) : room.capacity;
+    if (!Number.isInteger(newCapacity) || newCapacity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capacity must be at least 1',
+      });
+    }
+
+    if (newCapacity < room.capacity) {
+      // Free beds with the highest labels go first; occupied or held beds are never removed
+      const now = new Date();
+      const freeBeds = (await Bed.find({ roomId: room._id, ...availableFilter(now) }).select('label'))
+        .sort((a, b) => getBedIndex(b.label) - getBedIndex(a.label))
+        .slice(0, room.capacity - newCapacity);
+      if (freeBeds.length < room.capacity - newCapacity) {
+        const occupiedBeds = await Bed.countDocuments({ roomId: room._id }) - freeBeds.length;
+        return res.status(400).json({
+          success: false,
+          message: `Capacity cannot be lower than the ${occupiedBeds} occupied or reserved bed(s)`,
+        });
+      }
+      const removed = await Bed.deleteMany({ _id: { $in: freeBeds.map((b) => b._id) }, ...availableFilter(now) });
+      room.capacity -= removed.deletedCount;
+      if (room.capacity !== newCapacity) {
+        await room.save();
+        return res.status(409).json({
+          success: false,
+          message: 'A bed was allocated while the room was being resized. Please try again.',
+        });
+      }
+    } else if (newCapacity > room.capacity) {
+      const existingLabels = await Bed.distinct('label', { roomId: room._id });
+      room.capacity = newCapacity;
+      await createBeds(room, existingLabels);
+    }
+
+    await room.save();
+
+    await recordAudit(req, {
+      action: 'room.update',
+      targetType: 'Room',
+      targetId: room._id,
+      hostelIds: [room.hostelId],
+      ...diffSnapshots(before, room, ['number', 'floor', 'type', 'capacity', 'isActive']),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Room updated successfully',
+      data: room,
+    });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.label) {
+      return res.status(409).json({
+        success: false,
+        message: 'The room\'s beds were changed while it was being resized. Please try again.',
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room with this number already exists in the hostel',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Allocate a bed to a student (bedId, or the first free bed of roomId).
+ *          A student who already has a bed is moved.
+ * @route   POST /api/rooms/allocate
+ * @access  Private (rooms:manage)
+ */
+export const allocateRoom = async (req, res) => {
+  try {
+    const { studentId, bedId, roomId } = req.body;
+
+    if (!studentId || (!bedId && !roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide studentId and a bedId or roomId',
+      });
+    }
+
+    const student = await findAccessibleStudent(req.user, studentId);
+    if (!student) {
+      return studentNotFound(res);
+    }
+
+    let bed;
+    if (bedId) {
+      bed = mongoose.Types.ObjectId.isValid(bedId) ? await Bed.findById(bedId) : null;
+      if (!bed || !canAccessHostel(req.user, bed.hostelId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bed not found',
+        });
+      }
+    } else {
+      const room = await findAccessibleRoom(req.user, roomId);
+      if (!room) {
+        return roomNotFound(res);
+      }
+      bed = await findFreeBed(room._id);
+      if (!bed) {
+        return res.status(409).json({
+          success: false,
+          message: `Room ${room.number} is full`,
+        });
+      }
+    }
+
+    const result = await allocateBed(student, bed, req.user);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'room.allocate',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId, result.room.hostelId],
+      before: { bedId: result.previousBedId || null },
+      after: { roomId: result.room._id, bedId: result.bed._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Allocated bed ${result.bed.label} in room ${result.room.number}`,
+      data: {
+        studentId: student._id,
+        room: result.room,
+        bed: result.bed,
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Student already has a bed',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Vacate a student's bed
+ * @route   POST /api/rooms/vacate
+ * @access  Private (rooms:manage)
+ */
+export const vacateRoom = async (req, res) => {
+  try {
+    const { studentId } = req.body;
+
+    const student = studentId ? await findAccessibleStudent(req.user, studentId) : null;
+    if (!student) {
+      return studentNotFound(res);
+    }
+
+    const bed = await vacateBed(student, req.user);
+    if (!bed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student has no bed allocated',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'room.vacate',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId, bed.hostelId],
+      before: { roomId: bed.roomId, bedId: bed._id },
+      after: { roomId: null, bedId: null },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bed vacated successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Swap the beds of two students
+ * @route   POST /api/rooms/swap
+ * @access  Private (rooms:manage)
+ */
+export const swapRooms = async (req, res) => {
+  try {
+    const { studentIdA, studentIdB } = req.body;
+
+    if (!studentIdA || !studentIdB || String(studentIdA) === String(studentIdB)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide two different students',
+      });
+    }
+
+    const [studentA, studentB] = await Promise.all([
+      findAccessibleStudent(req.user, studentIdA),
+      findAccessibleStudent(req.user, studentIdB),
+    ]);
+    if (!studentA || !studentB) {
+      return studentNotFound(res);
+    }
+
+    const result = await swapBeds(studentA, studentB, req.user);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'room.swap',
+      targetType: 'Student',
+      targetId: studentA._id,
+      hostelIds: await getStudentHostelIds(studentA, studentB),
+      before: {
+        [studentA._id]: result.bedA._id,
+        [studentB._id]: result.bedB._id,
+      },
+      after: {
+        [studentA._id]: result.bedB._id,
+        [studentB._id]: result.bedA._id,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Swapped rooms ${result.roomA.number} and ${result.roomB.number}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Occupancy report: capacity, occupied and free beds per hostel, block and floor
+ * @route   GET /api/rooms/occupancy/report
+ * @access  Private (rooms:read)
+ */
+export const getOccupancyReport = async (req, res) => {
+  try {
+    const scope = getHostelScope(req.user);
+    const match = { isActive: true };
+    if (scope) {
+      match.hostelId = { $in: scope.map((id) => new mongoose.Types.ObjectId(id)) };
+    }
+    if (req.query.hostelId && mongoose.Types.ObjectId.isValid(req.query.hostelId)) {
+      if (!canAccessHostel(req.user, req.query.hostelId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hostel not found',
+        });
+      }
+      match.hostelId = new mongoose.Types.ObjectId(req.query.hostelId);
+    }
+
+    const rows = await Room.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Bed.collection.name,
+          localField: '_id',
+          foreignField: 'roomId',
+          as: 'beds',
+        },
+      },
+      {
+        $group: {
+          _id: { hostelId: '$hostelId', blockId: '$blockId', floor: '$floor' },
+          rooms: { $sum: 1 },
+          capacity: { $sum: '$capacity' },
+          occupied: {
+            $sum: {
+              $size: { $filter: { input: '$beds', cond: { $ne: ['$$this.studentId', null] } } },
+            },
+          },
+        },
+      },
+      { $sort: { '_id.hostelId': 1, '_id.blockId': 1, '_id.floor': 1 } },
+    ]);
+
+    const [hostels, blocks] = await Promise.all([
+      Hostel.find({ _id: { $in: rows.map((r) => r._id.hostelId) } }).select('name code'),
+      Block.find({ _id: { $in: rows.map((r) => r._id.blockId).filter(Boolean) } }).select('name'),
+    ]);
+    const hostelMap = new Map(hostels.map((h) => [h._id.toString(), h]));
+    const blockMap = new Map(blocks.map((b) => [b._id.toString(), b.name]));
+
+    const byHostel = new Map();
+    rows.forEach((row) => {
+      const key = row._id.hostelId.toString();
+      if (!byHostel.has(key)) {
+        const hostel = hostelMap.get(key);
+        byHostel.set(key, {
+          hostelId: row._id.hostelId,
+          hostelName: hostel?.name || 'Unknown',
+          hostelCode: hostel?.code,
+          rooms: 0,
+          capacity: 0,
+          occupied: 0,
+          floors: [],
+        });
+      }
+      const entry = byHostel.get(key);
+      entry.rooms += row.rooms;
+      entry.capacity += row.capacity;
+      entry.occupied += row.occupied;
+      entry.floors.push({
+        blockId: row._id.blockId || null,
+        blockName: row._id.blockId ? blockMap.get(row._id.blockId.toString()) || null : null,
+        floor: row._id.floor,
+        rooms: row.rooms,
+        capacity: row.capacity,
+        occupied: row.occupied,
+        available: row.capacity - row.occupied,
+      });
+    });
+
+    const data = [...byHostel.values()].map((entry) => ({
+      ...entry,
+      available: entry.capacity - entry.occupied,
+      occupancyRate: entry.capacity ? Math.round((entry.occupied / entry.capacity) * 1000) / 10 : 0,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      totals: data.reduce(
+        (totals, entry) => ({
+          capacity: totals.capacity + entry.capacity,
+          occupied: totals.occupied + entry.occupied,
+          available: totals.available + entry.available,
+        }),
+        { capacity: 0, occupied: 0, available: 0 }
+      ),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
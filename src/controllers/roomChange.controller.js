@@ -0,0 +1,435 @@
+import mongoose from 'mongoose';
+import Student from '../models/Student.model.js';
+import Room from '../models/Room.model.js';
+import Bed from '../models/Bed.model.js';
+import RoomChangeRequest from '../models/RoomChangeRequest.model.js';
+import { recordAudit, getStudentHostelIds } from '../utils/auditLog.js';
+import { getScopedStudentFilter, canAccessHostel } from '../utils/tenancy.js';
+import { findFreeBed, availableFilter } from '../utils/roomAllocation.js';
+import { OPEN_ROOM_CHANGE_STATUSES, countReservedBeds, applyRoomChange } from '../utils/roomChanges.js';
+
+const populateRequest = (query) => query
+  .populate({
+    path: 'studentId',
+    select: 'userId rollNumber roomId bedId',
+    populate: [
+      { path: 'userId', select: 'name' },
+      { path: 'roomId', select: 'number' },
+      { path: 'bedId', select: 'label' },
+    ],
+  })
+  .populate('preferredRoomId', 'number floor type')
+  .populate({
+    path: 'preferredRoommateId',
+    select: 'userId rollNumber',
+    populate: { path: 'userId', select: 'name' },
+  })
+  .populate('targetRoomId', 'number floor type')
+  .populate('targetBedId', 'label')
+  .populate('reviewedBy', 'name');
+
+/**
+ * @desc    Request a room change
+ * @route   POST /api/room-changes
+ * @access  Private (Student only)
+ */
+export const createRoomChangeRequest = async (req, res) => {
+  try {
+    const { reason, preferredRoom, preferredRoommate } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason',
+      });
+    }
+
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    if (!student.hostelId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have not been placed in a hostel yet',
+      });
+    }
+
+    const open = await RoomChangeRequest.exists({
+      studentId: student._id,
+      status: { $in: OPEN_ROOM_CHANGE_STATUSES },
+    });
+    if (open) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open room change request',
+      });
+    }
+
+    // Students know rooms by number and classmates by roll number
+    let preferredRoomId;
+    if (preferredRoom) {
+      const room = await Room.findOne({ hostelId: student.hostelId, number: String(preferredRoom).trim() });
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: `Room ${preferredRoom} not found in your hostel`,
+        });
+      }
+      preferredRoomId = room._id;
+    }
+
+    let preferredRoommateId;
+    if (preferredRoommate) {
+      const roommate = await Student.findOne({
+        rollNumber: String(preferredRoommate).trim(),
+        hostelId: student.hostelId,
+        archivedAt: null,
+      });
+      if (!roommate || roommate._id.toString() === student._id.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: `No other student with roll number ${preferredRoommate} in your hostel`,
+        });
+      }
+      preferredRoommateId = roommate._id;
+    }
+
+    const request = await RoomChangeRequest.create({
+      studentId: student._id,
+      reason: reason.trim(),
+      preferredRoomId,
+      preferredRoommateId,
+      statusHistory: [{
+        status: 'Pending',
+        updatedBy: req.user._id,
+        role: 'student',
+        timestamp: new Date(),
+      }],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Room change request submitted successfully',
+      data: await populateRequest(RoomChangeRequest.findById(request._id)),
+    });
+  } catch (error) {
+    console.error('Create room change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating room change request',
+    });
+  }
+};
+
+/**
+ * @desc    Get my room change requests
+ * @route   GET /api/room-changes/my
+ * @access  Private (Student only)
+ */
+export const getMyRoomChangeRequests = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    const requests = await populateRequest(
+      RoomChangeRequest.find({ studentId: student._id }).sort({ createdAt: -1 })
+    );
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Cancel my pending room change request
+ * @route   PUT /api/room-changes/:id/cancel
+ * @access  Private (Student only)
+ */
+export const cancelMyRoomChangeRequest = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room change request not found',
+      });
+    }
+
+    const updated = await RoomChangeRequest.findOneAndUpdate(
+      { _id: req.params.id, studentId: student._id, status: 'Pending' },
+      {
+        $set: { status: 'Cancelled' },
+        $push: { statusHistory: { status: 'Cancelled', updatedBy: req.user._id, role: 'student' } },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const existing = await RoomChangeRequest.exists({ _id: req.params.id, studentId: student._id });
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing
+          ? 'Only pending requests can be cancelled'
+          : 'Room change request not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Room change request cancelled successfully',
+      data: updated,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List room change requests (filter: status)
+ * @route   GET /api/room-changes
+ * @access  Private (rooms:read)
+ */
+export const getRoomChangeRequests = async (req, res) => {
+  try {
+    const filter = await getScopedStudentFilter(req.user);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const requests = await populateRequest(RoomChangeRequest.find(filter).sort({ createdAt: -1 }));
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * Resolve the room (and optionally bed) a request is approved for:
+ * the warden's choice, else the student's preferred room, else the preferred roommate's room
+ */
+const resolveTarget = async (user, request, student, { roomId, bedId }) => {
+  let bed = null;
+  let room = null;
+
+  if (bedId) {
+    bed = mongoose.Types.ObjectId.isValid(bedId) ? await Bed.findById(bedId) : null;
+    if (!bed) {
+      return { error: 'Bed not found', status: 404 };
+    }
+    room = await Room.findById(bed.roomId);
+  } else {
+    let targetRoomId = roomId || request.preferredRoomId;
+    if (!targetRoomId && request.preferredRoommateId) {
+      const roommate = await Student.findById(request.preferredRoommateId).select('roomId');
+      targetRoomId = roommate?.roomId;
+    }
+    if (!targetRoomId) {
+      return { error: 'Please choose a room for this request', status: 400 };
+    }
+    room = mongoose.Types.ObjectId.isValid(targetRoomId) ? await Room.findById(targetRoomId) : null;
+  }
+
+  if (!room || !canAccessHostel(user, room.hostelId)) {
+    return { error: 'Room not found', status: 404 };
+  }
+  if (!room.isActive) {
+    return { error: `Room ${room.number} is not available for allocation`, status: 400 };
+  }
+  if (room.hostelId.toString() !== student.hostelId?.toString()) {
+    return { error: 'Room is in a different hostel than the student', status: 400 };
+  }
+  if (student.roomId && student.roomId.toString() === room._id.toString()) {
+    return { error: `Student is already in room ${room.number}`, status: 400 };
+  }
+
+  // Free beds must cover this request on top of those already promised to other approved requests
+  const [freeBeds, reserved] = await Promise.all([
+    Bed.countDocuments({ roomId: room._id, ...availableFilter(new Date()) }),
+    countReservedBeds(room._id, request._id),
+  ]);
+  if (freeBeds - reserved < 1) {
+    return { error: `Room ${room.number} has no free bed`, status: 409 };
+  }
+
+  if (bed) {
+    const promised = await RoomChangeRequest.exists({
+      _id: { $ne: request._id },
+      targetBedId: bed._id,
+      status: 'Approved',
+    });
+    if (bed.studentId || promised) {
+      return { error: `Bed ${bed.label} is not free`, status: 409 };
+    }
+  } else {
+    bed = await findFreeBed(room._id);
+  }
+
+  return { room, bed };
+};
+
+/**
+ * @desc    Approve (with target room and effective date) or reject a room change request
+ * @route   PUT /api/room-changes/:id/status
+ * @access  Private (rooms:manage)
+ */
+export const updateRoomChangeStatus = async (req, res) => {
+  try {
+    const { status, roomId, bedId, effectiveDate, rejectionReason } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be Approved or Rejected',
+      });
+    }
+
+    // Requests of students outside the user's hostels are treated as not found
+    const scopeFilter = await getScopedStudentFilter(req.user);
+    const request = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RoomChangeRequest.findOne({ _id: req.params.id, ...scopeFilter })
+      : null;
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room change request not found',
+      });
+    }
+
+    const decisionTime = new Date();
+    const update = {
+      status,
+      reviewedBy: req.user._id,
+      reviewedAt: decisionTime,
+    };
+
+    if (status === 'Approved') {
+      const student = await Student.findOne({ _id: request.studentId, archivedAt: null });
+      if (!student) {
+        return res.status(400).json({
+          success: false,
+          message: 'Student is no longer active',
+        });
+      }
+
+      const effective = effectiveDate ? new Date(effectiveDate) : decisionTime;
+      if (Number.isNaN(effective.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid effective date',
+        });
+      }
+
+      const target = await resolveTarget(req.user, request, student, { roomId, bedId });
+      if (target.error) {
+        return res.status(target.status).json({
+          success: false,
+          message: target.error,
+        });
+      }
+
+      update.targetRoomId = target.room._id;
+      update.targetBedId = target.bed?._id;
+      update.effectiveDate = effective;
+    } else {
+      update.rejectionReason = rejectionReason?.trim() || undefined;
+    }
+
+    let updated = await RoomChangeRequest.findOneAndUpdate(
+      { _id: request._id, status: 'Pending' },
+      {
+        $set: update,
+        $push: {
+          statusHistory: {
+            status,
+            updatedBy: req.user._id,
+            role: req.user.role,
+            reason: status === 'Rejected' ? update.rejectionReason : undefined,
+            timestamp: decisionTime,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This room change request was already processed',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'roomChange.status',
+      targetType: 'RoomChangeRequest',
+      targetId: updated._id,
+      hostelIds: await getStudentHostelIds(updated.studentId),
+      before: { status: 'Pending' },
+      after: {
+        status,
+        targetRoomId: updated.targetRoomId,
+        effectiveDate: updated.effectiveDate,
+        rejectionReason: updated.rejectionReason,
+      },
+    });
+
+    // Moves dated today or earlier happen right away; later ones are applied when due
+    if (status === 'Approved' && updated.effectiveDate <= new Date()) {
+      updated = await applyRoomChange(updated);
+    }
+
+    const message = {
+      Rejected: 'Room change request rejected',
+      Approved: `Room change approved, effective ${updated.effectiveDate?.toISOString().slice(0, 10)}`,
+      Completed: 'Room change approved and completed',
+      Failed: `Room change approved but could not be completed: ${updated.failureReason}`,
+    }[updated.status];
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: await populateRequest(RoomChangeRequest.findById(updated._id)),
+    });
+  } catch (error) {
+    console.error('Update room change status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating room change request',
+    });
+  }
+};
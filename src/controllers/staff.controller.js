@@ -0,0 +1,237 @@
+import mongoose from 'mongoose';
+import User from '../models/User.model.js';
+import Hostel from '../models/Hostel.model.js';
+import { revokeAllSessions } from '../utils/authTokens.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { ROLE_LABELS, ROLE_PERMISSIONS, STAFF_ROLES, canAssignRole } from '../config/permissions.js';
+import { getHostelScope, canAccessHostel, canManageStaffMember } from '../utils/tenancy.js';
+
+/**
+ * @desc    List staff accounts with their roles (limited to staff sharing the user's hostels)
+ * @route   GET /api/warden/staff
+ * @access  Private (staff:manage)
+ */
+export const getStaff = async (req, res) => {
+  try {
+    const { role } = req.query;
+
+    const query = { role: { $in: STAFF_ROLES } };
+    if (role) query.role = role;
+
+    const scope = getHostelScope(req.user);
+    if (scope) {
+      query.$or = [{ hostels: { $in: scope } }, { hostels: { $size: 0 } }];
+    }
+
+    const staff = await User.find(query)
+      .select('name email role hostels twoFactorEnabled createdAt')
+      .populate('hostels', 'name code')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      data: staff.map((user) => ({
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roleLabel: ROLE_LABELS[user.role],
+        hostels: user.hostels,
+        twoFactorEnabled: !!user.twoFactorEnabled,
+        createdAt: user.createdAt,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List roles and the permissions each one grants
+ * @route   GET /api/warden/staff/roles
+ * @access  Private (staff:manage)
+ */
+export const getStaffRoles = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: STAFF_ROLES.map((role) => ({
+        role,
+        label: ROLE_LABELS[role],
+        permissions: ROLE_PERMISSIONS[role],
+        assignable: canAssignRole(req.user.role, role),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Change the role of a staff account (signs the user out everywhere)
+ * @route   PUT /api/warden/staff/:userId/role
+ * @access  Private (staff:manage)
+ */
+export const updateStaffRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+      });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    // Staff of other hostels are treated as not found
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId) ? await User.findById(req.params.userId) : null;
+    if (!user || !STAFF_ROLES.includes(user.role) || !canManageStaffMember(req.user, user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    // Both the current and the new role must be within the actor's own permissions
+    if (!canAssignRole(req.user.role, user.role) || !canAssignRole(req.user.role, role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not allowed to change a ${ROLE_LABELS[user.role]} to ${ROLE_LABELS[role]}`,
+      });
+    }
+
+    if (user.role !== role) {
+      const previousRole = user.role;
+      user.role = role;
+      await user.save();
+      await revokeAllSessions(user._id, 'Role changed');
+
+      await recordAudit(req, {
+        action: 'staff.role',
+        targetType: 'User',
+        targetId: user._id,
+        hostelIds: user.hostels,
+        before: { role: previousRole },
+        after: { role },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roleLabel: ROLE_LABELS[user.role],
+      },
+    });
+  } catch (error) {
+    console.error('❌ updateStaffRole error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Set the hostels a staff member manages
+ * @route   PUT /api/warden/staff/:userId/hostels
+ * @access  Private (staff:manage, only hostels the user manages themselves)
+ */
+export const updateStaffHostels = async (req, res) => {
+  try {
+    const { hostelIds } = req.body;
+
+    if (!Array.isArray(hostelIds) || !hostelIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide hostelIds as a list of hostel IDs',
+      });
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId) ? await User.findById(req.params.userId) : null;
+    if (!user || !STAFF_ROLES.includes(user.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    if (!canAssignRole(req.user.role, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not allowed to manage a ${ROLE_LABELS[user.role]}`,
+      });
+    }
+
+    // Hostels outside the actor's own scope can be neither added nor removed
+    const previous = user.hostels.map((id) => id.toString());
+    const requested = [...new Set(hostelIds.map(String))];
+    const changed = [
+      ...requested.filter((id) => !previous.includes(id)),
+      ...previous.filter((id) => !requested.includes(id)),
+    ];
+    if (!changed.every((id) => canAccessHostel(req.user, id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only assign hostels that you manage',
+      });
+    }
+
+    const found = await Hostel.countDocuments({ _id: { $in: requested } });
+    if (found !== requested.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more hostels were not found',
+      });
+    }
+
+    user.hostels = requested;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'staff.hostels',
+      targetType: 'User',
+      targetId: user._id,
+      hostelIds: [...previous, ...requested],
+      before: { hostels: previous },
+      after: { hostels: requested },
+    });
+
+    await user.populate('hostels', 'name code');
+
+    res.status(200).json({
+      success: true,
+      message: 'Hostel assignment updated successfully',
+      data: {
+        id: user._id,
+        name: user.name,
+        role: user.role,
+        hostels: user.hostels,
+      },
+    });
+  } catch (error) {
+    console.error('❌ updateStaffHostels error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -1,9 +1,22 @@
 import mongoose from 'mongoose';
 import User from '../models/User.model.js';
 import Student from '../models/Student.model.js';
-import Parent from '../models/Parent.model.js';
-import { generateTempPassword } from '../utils/generateTempPassword.js';
-import { sendTempPasswordEmail } from '../utils/emailService.js';
+import Bed from '../models/Bed.model.js';
+import Room from '../models/Room.model.js';
+import { createPendingUser, sendActivationInvite } from '../utils/accountActivation.js';
+import { recordAudit, diffSnapshots } from '../utils/auditLog.js';
+import { linkGuardian } from '../utils/guardians.js';
+import {
+  archiveStudent,
+  restoreStudent,
+  purgeStudent,
+  GRADUATED_READ_ONLY_MESSAGE,
+} from '../utils/studentArchive.js';
+import { getStudentScopeFilter, canAccessStudent, resolveHostelPlacement } from '../utils/tenancy.js';
+import { buildStudentDirectoryFilter } from '../utils/studentDirectory.js';
+import { findBedInRoom, allocateBed, vacateBed, getRoomHistory } from '../utils/roomAllocation.js';
+import { getBaseUrl } from '../utils/documentStorage.js';
+import { getPhotoUrls } from '../utils/studentPhotos.js';
 
 /**
  * @desc    Get student's own profile
@@ -34,7 +47,10 @@ export const getMyProfile = async (req, res) => {
       : req.user._id;
     
     const student = await Student.findOne({ userId: userId })
-      .populate('userId', 'name email role');
+      .select('+photo +pendingPhoto')
+      .populate('userId', 'name email role')
+      .populate('roomId', 'number floor type')
+      .populate('bedId', 'label');
 
     if (!student) {
       console.error(`❌ Student profile not found for userId: ${req.user._id}`);
@@ -60,7 +76,12 @@ export const getMyProfile = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: student,
+      data: {
+        ...student.toObject(),
+        photo: getPhotoUrls(student, getBaseUrl(req)),
+        pendingPhoto: getPhotoUrls(student, getBaseUrl(req), 'pendingPhoto'),
+        roomHistory: await getRoomHistory(student._id),
+      },
     });
   } catch (error) {
     console.error('❌ Error fetching student profile:', error);
@@ -71,21 +92,72 @@ export const getMyProfile = async (req, res) => {
   }
 };
 
+const MAX_PAGE_SIZE = 200;
+
+// Sortable fields; name and room come from other collections
+const DIRECTORY_SORTS = ['createdAt', 'name', 'rollNumber', 'class', 'room'];
+
 /**
- * @desc    Get all students
+ * @desc    Student directory: search, filters, sorting and pagination
+ *          (?search, hostelId, blockId, roomId, class, section, trackingEnabled, hasPendingFees,
+ *          currentlyOut, alumni, archived/includeArchived, sort, order, page, limit)
  * @route   GET /api/students
- * @access  Private (Warden only)
+ * @access  Private (students:read)
  */
 export const getAllStudents = async (req, res) => {
   try {
-    const students = await Student.find()
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const sort = DIRECTORY_SORTS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+    const defaultOrder = sort === 'createdAt' ? 'desc' : 'asc';
+    const direction = (req.query.order || defaultOrder) === 'desc' ? -1 : 1;
+
+    const filter = await buildStudentDirectoryFilter(req.query, req.user);
+
+    const pipeline = [{ $match: Student.find().cast(Student, filter) }];
+    if (sort === 'name') {
+      pipeline.push(
+        { $lookup: { from: User.collection.name, localField: 'userId', foreignField: '_id', as: 'user' } },
+        { $addFields: { sortKey: { $arrayElemAt: ['$user.name', 0] } } }
+      );
+    } else if (sort === 'room') {
+      pipeline.push(
+        { $lookup: { from: Room.collection.name, localField: 'roomId', foreignField: '_id', as: 'roomDoc' } },
+        { $addFields: { sortKey: { $ifNull: [{ $arrayElemAt: ['$roomDoc.number', 0] }, '$room'] } } }
+      );
+    } else {
+      pipeline.push({ $addFields: { sortKey: `$${sort}` } });
+    }
+    pipeline.push(
+      { $sort: { sortKey: direction, _id: direction } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          ids: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { _id: 1 } }],
+        },
+      }
+    );
+
+    // Natural order, so room 10 comes after room 9 and names ignore case
+    const [result] = await Student.aggregate(pipeline).collation({ locale: 'en', strength: 2, numericOrdering: true });
+    const total = result.total[0]?.count || 0;
+    const ids = result.ids.map((doc) => doc._id);
+
+    const students = await Student.find({ _id: { $in: ids } })
       .populate('userId', 'name email role')
-      .sort({ createdAt: -1 });
+      .populate('hostelId', 'name code')
+      .populate('blockId', 'name')
+      .populate('roomId', 'number floor type')
+      .populate('bedId', 'label');
+    const byId = new Map(students.map((student) => [student._id.toString(), student]));
 
     res.status(200).json({
       success: true,
-      count: students.length,
-      data: students,
+      count: ids.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: ids.map((id) => byId.get(id.toString())).filter(Boolean),
     });
   } catch (error) {
     res.status(500).json({
@@ -102,8 +174,10 @@ export const getAllStudents = async (req, res) => {
  */
 export const getAllStudentsWithLocations = async (req, res) => {
   try {
-    const students = await Student.find()
+    const students = await Student.find({ archivedAt: null, ...getStudentScopeFilter(req.user) })
+      .select('+photo')
       .populate('userId', 'name email role')
+      .populate('roomId', 'number')
       .sort({ createdAt: -1 });
 
     // Fetch locations for all students
@@ -113,11 +187,13 @@ export const getAllStudentsWithLocations = async (req, res) => {
     // Create a map of studentId -> location for quick lookup
     const locationMap = new Map(studentLocations.map(loc => [loc.studentId.toString(), loc]));
 
-    // Enrich students with their location data
+    // Enrich students with their location data and photo (for identification on the map)
+    const baseUrl = getBaseUrl(req);
     const studentsWithLocations = students.map(student => {
       const location = locationMap.get(student._id.toString());
       return {
         ...student.toObject(),
+        photo: getPhotoUrls(student, baseUrl),
         location: location ? {
           lat: location.lat,
           lng: location.lng,
@@ -150,9 +226,15 @@ export const getAllStudentsWithLocations = async (req, res) => {
 export const getStudentById = async (req, res) => {
   try {
     const student = await Student.findById(req.params.id)
-      .populate('userId', 'name email role');
+      .select('+photo +pendingPhoto')
+      .populate('userId', 'name email role')
+      .populate('hostelId', 'name code')
+      .populate('blockId', 'name')
+      .populate('roomId', 'number floor type')
+      .populate('bedId', 'label');
 
-    if (!student) {
+    // Students of other hostels are reported as not found
+    if (!student || !canAccessStudent(req.user, { hostelId: student.hostelId?._id })) {
       return res.status(404).json({
         success: false,
         message: 'Student not found',
@@ -161,7 +243,12 @@ export const getStudentById = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: student,
+      data: {
+        ...student.toObject(),
+        photo: getPhotoUrls(student, getBaseUrl(req)),
+        pendingPhoto: getPhotoUrls(student, getBaseUrl(req), 'pendingPhoto'),
+        roomHistory: await getRoomHistory(student._id),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -185,7 +272,9 @@ export const createStudent = async (req, res) => {
       section,
       rollNumber,
       phone,
-      room, // Optional room assignment
+      room, // Optional room number; a free bed in it is allocated
+      hostelId,
+      blockId,
       guardianName,
       guardianEmail,
       guardianPhone,
@@ -199,11 +288,6 @@ export const createStudent = async (req, res) => {
       });
     }
 
-      // Guardian info updates are handled here but guardian user creation/linking is performed separately
-      if (guardianName !== undefined) student.guardianName = guardianName.trim() || undefined;
-      if (guardianEmail !== undefined) student.guardianEmail = guardianEmail.toLowerCase().trim() || undefined;
-      if (guardianPhone !== undefined) student.guardianPhone = guardianPhone.trim() || undefined;
-
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
@@ -242,17 +326,38 @@ export const createStudent = async (req, res) => {
       });
     }
 
-    // Generate temporary password
-    const tempPassword = generateTempPassword();
+    const placement = await resolveHostelPlacement(req.user, hostelId, blockId);
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error,
+      });
+    }
+
+    // Rooms are looked up within the hostel, so a room needs a hostel placement
+    let allocation = null;
+    if (room && room.trim()) {
+      if (!placement.hostelId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide hostelId to allocate a room',
+        });
+      }
+      allocation = await findBedInRoom(placement.hostelId, room);
+      if (allocation.error) {
+        return res.status(allocation.status).json({
+          success: false,
+          message: allocation.error,
+        });
+      }
+    }
 
-    // Create user account with temporary password
+    // Create user account pending activation (no usable password until the student sets one)
     let user;
     try {
-      user = await User.create({
+      user = await createPendingUser({
         name: name.trim(),
         email: normalizedEmail,
-        password: tempPassword, // Will be hashed by pre-save hook
-        isTempPassword: true, // Mark as temporary
         role: 'student',
       });
     } catch (userError) {
@@ -273,7 +378,8 @@ export const createStudent = async (req, res) => {
       section: section ? section.trim() : undefined,
       rollNumber: rollNumber.trim(),
       phone: phone ? phone.trim() : undefined,
-      room: room ? room.trim() : undefined,
+      hostelId: placement.hostelId,
+      blockId: placement.blockId || undefined,
       guardianName: guardianName ? guardianName.trim() : undefined,
       guardianEmail: guardianEmail ? guardianEmail.toLowerCase().trim() : undefined,
       guardianPhone: guardianPhone ? guardianPhone.trim() : undefined,
@@ -305,56 +411,39 @@ export const createStudent = async (req, res) => {
       });
     }
 
+    // The bed may have been taken since it was looked up; the student is created either way
+    let allocationWarning;
+    if (allocation) {
+      const result = await allocateBed(student, allocation.bed, req.user);
+      if (result.error) {
+        allocationWarning = `Room not allocated: ${result.error}`;
+      }
+    }
+
     // Populate student data for response
     const populatedStudent = await Student.findById(student._id)
-      .populate('userId', 'name email role');
+      .populate('userId', 'name email role')
+      .populate('roomId', 'number floor type')
+      .populate('bedId', 'label');
 
-    // Send temporary password email (completely non-blocking - fire and forget)
+    // Send activation link email (completely non-blocking - fire and forget)
     // This runs asynchronously and will NOT affect the API response
-    sendTempPasswordEmail(normalizedEmail, name.trim(), tempPassword)
-      .then(() => {
-        console.log(`✅ Temporary password email sent to ${normalizedEmail}`);
-      })
+    sendActivationInvite(user)
       .catch((emailError) => {
         // Log email error but don't fail student creation
-        console.error('❌ Failed to send email (student account still created):', emailError.message || emailError);
-        console.log(`📝 Temporary password for ${name.trim()} (${normalizedEmail}): ${tempPassword}`);
+        console.error('❌ Failed to send activation email (student account still created):', emailError.message || emailError);
       });
 
     // Return success response immediately - email sending happens in background
     // If guardian info present, create guardian user and Parent link
     if (guardianEmail) {
       try {
-        const normalizedGEmail = guardianEmail.toLowerCase().trim();
-        let guardianUser = await User.findOne({ email: normalizedGEmail });
-        // If user exists but not a parent, skip creation but still link
-        if (!guardianUser) {
-          const guardianTempPassword = generateTempPassword();
-          guardianUser = await User.create({
-            name: guardianName?.trim() || 'Guardian',
-            email: normalizedGEmail,
-            password: guardianTempPassword,
-            isTempPassword: true,
-            role: 'parent',
-          });
-
-          // send temp password email to guardian
-          sendTempPasswordEmail(normalizedGEmail, guardianName || 'Guardian', guardianTempPassword)
-            .then(() => console.log(`✅ Guardian temp password email sent to ${normalizedGEmail}`))
+        const { guardianUser, created } = await linkGuardian(student, { guardianEmail, guardianName });
+        if (created) {
+          // send activation link to guardian
+          sendActivationInvite(guardianUser, name.trim())
             .catch((err) => console.error('❌ Failed to send guardian email:', err.message || err));
         }
-
-        // Ensure Parent document exists linking guardianUser to student
-        const existingParent = await Parent.findOne({ userId: guardianUser._id });
-        if (!existingParent) {
-          await Parent.create({ userId: guardianUser._id, studentId: student._id, relationship: 'Guardian' });
-        } else {
-          // Update student link if different
-          if (existingParent.studentId.toString() !== student._id.toString()) {
-            existingParent.studentId = student._id;
-            await existingParent.save();
-          }
-        }
       } catch (gErr) {
         console.error('❌ Error creating/linking guardian:', gErr);
       }
@@ -362,8 +451,9 @@ export const createStudent = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Student account created successfully. Temporary password has been sent to student email.',
+      message: 'Student account created successfully. An activation link has been sent to student email.',
       data: populatedStudent,
+      ...(allocationWarning && { warning: allocationWarning }),
       // Note: Password is NEVER returned in response for security
     });
   } catch (error) {
@@ -421,18 +511,28 @@ export const updateStudent = async (req, res) => {
       rollNumber,
       phone,
       room,
+      hostelId,
+      blockId,
       guardianName,
       guardianEmail,
       guardianPhone,
     } = req.body;
 
     const student = await Student.findById(req.params.id);
-    if (!student) {
+    if (!student || !canAccessStudent(req.user, student)) {
       return res.status(404).json({
         success: false,
         message: 'Student not found',
       });
     }
+    if (student.graduatedAt) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
+
+    const before = student.toObject();
 
     // Update student profile
     if (studentClass !== undefined && studentClass.trim()) {
@@ -458,20 +558,45 @@ export const updateStudent = async (req, res) => {
     if (phone !== undefined) {
       student.phone = phone.trim() || undefined;
     }
-    if (room !== undefined) {
-      student.room = room.trim() || undefined;
+    if (hostelId !== undefined || blockId !== undefined) {
+      const placement = await resolveHostelPlacement(req.user, hostelId ?? student.hostelId?.toString(), blockId);
+      if (placement.error) {
+        return res.status(placement.status).json({
+          success: false,
+          message: placement.error,
+        });
+      }
+      student.hostelId = placement.hostelId;
+      student.blockId = placement.blockId || undefined;
     }
 
-    // Update guardian contact fields on student
-    if (guardianName !== undefined) student.guardianName = guardianName.trim() || undefined;
-    if (guardianEmail !== undefined) student.guardianEmail = guardianEmail.toLowerCase().trim() || undefined;
-    if (guardianPhone !== undefined) student.guardianPhone = guardianPhone.trim() || undefined;
-
-    await student.save();
+    // Room numbers are looked up in the student's (possibly new) hostel
+    let roomTarget = null;
+    if (room !== undefined && room.trim()) {
+      if (!student.hostelId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please assign the student to a hostel before allocating a room',
+        });
+      }
+      const current = await Bed.findOne({ studentId: student._id }).populate('roomId', 'number hostelId');
+      const sameRoom = current?.roomId?.number === room.trim()
+        && current.roomId.hostelId.toString() === student.hostelId.toString();
+      if (!sameRoom) {
+        roomTarget = await findBedInRoom(student.hostelId, room);
+        if (roomTarget.error) {
+          return res.status(roomTarget.status).json({
+            success: false,
+            message: roomTarget.error,
+          });
+        }
+      }
+    }
 
-    // Update user if name or email provided
+    // Name and email are checked up front, so a conflict does not leave a half-applied update
+    let user = null;
     if (name || email) {
-      const user = await User.findById(student.userId);
+      user = await User.findById(student.userId);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -494,42 +619,68 @@ export const updateStudent = async (req, res) => {
         }
         user.email = normalizedEmail;
       }
+    }
+
+    // Update guardian contact fields on student
+    if (guardianName !== undefined) student.guardianName = guardianName.trim() || undefined;
+    if (guardianEmail !== undefined) student.guardianEmail = guardianEmail.toLowerCase().trim() || undefined;
+    if (guardianPhone !== undefined) student.guardianPhone = guardianPhone.trim() || undefined;
+
+    // The bed is claimed before anything is saved, so losing it to another allocation leaves the student unchanged
+    if (roomTarget) {
+      const result = await allocateBed(student, roomTarget.bed, req.user);
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
+      student.blockId = result.room.blockId || undefined;
+    }
+
+    try {
+      await student.save();
+
+      // A bed in a hostel the student no longer belongs to is given up
+      const currentBed = roomTarget ? null : await Bed.findOne({ studentId: student._id }).select('hostelId');
+      if ((currentBed && currentBed.hostelId.toString() !== student.hostelId?.toString())
+        || (room !== undefined && !room.trim())) {
+        await vacateBed(student, req.user);
+      }
+    } finally {
+      // Recorded even when saving fails, since the bed may already have changed
+      const after = await Student.findById(student._id);
+      await recordAudit(req, {
+        action: 'student.update',
+        targetType: 'Student',
+        targetId: student._id,
+        hostelIds: [before.hostelId, after?.hostelId],
+        ...diffSnapshots(before, after),
+      });
+    }
+
+    if (user) {
       await user.save();
     }
 
     // If guardianEmail provided, ensure guardian user exists and Parent link is created/updated
     if (guardianEmail) {
       try {
-        const normalizedGEmail = guardianEmail.toLowerCase().trim();
-        let guardianUser = await User.findOne({ email: normalizedGEmail });
-        if (!guardianUser) {
-          const guardianTempPassword = generateTempPassword();
-          guardianUser = await User.create({
-            name: guardianName?.trim() || 'Guardian',
-            email: normalizedGEmail,
-            password: guardianTempPassword,
-            isTempPassword: true,
-            role: 'parent',
-          });
-          sendTempPasswordEmail(normalizedGEmail, guardianName || 'Guardian', guardianTempPassword)
-            .then(() => console.log(`✅ Guardian temp password email sent to ${normalizedGEmail}`))
+        const { guardianUser, created } = await linkGuardian(student, { guardianEmail, guardianName });
+        if (created) {
+          const studentUser = await User.findById(student.userId).select('name');
+          sendActivationInvite(guardianUser, studentUser?.name)
             .catch((err) => console.error('❌ Failed to send guardian email:', err.message || err));
         }
-
-        let parentLink = await Parent.findOne({ userId: guardianUser._id });
-        if (!parentLink) {
-          await Parent.create({ userId: guardianUser._id, studentId: student._id, relationship: 'Guardian' });
-        } else if (parentLink.studentId.toString() !== student._id.toString()) {
-          parentLink.studentId = student._id;
-          await parentLink.save();
-        }
       } catch (err) {
         console.error('❌ Error creating/updating guardian link:', err);
       }
     }
 
     const updatedStudent = await Student.findById(student._id)
-      .populate('userId', 'name email role');
+      .populate('userId', 'name email role')
+      .populate('roomId', 'number floor type')
+      .populate('bedId', 'label');
 
     res.status(200).json({
       success: true,
@@ -546,34 +697,148 @@ export const updateStudent = async (req, res) => {
 };
 
 /**
- * @desc    Delete student account
+ * @desc    Archive student account (soft delete - login blocked, hidden from lists)
  * @route   DELETE /api/students/:id
- * @access  Private (Warden only)
+ * @access  Private (students:delete)
  */
 export const deleteStudent = async (req, res) => {
   try {
     const student = await Student.findById(req.params.id);
-    if (!student) {
+    if (!student || !canAccessStudent(req.user, student)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    if (student.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is already archived',
+      });
+    }
+
+    await archiveStudent(student, req.user, req.body?.reason);
+
+    await recordAudit(req, {
+      action: 'student.archive',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      before: { archivedAt: null },
+      after: { archivedAt: student.archivedAt, archiveReason: student.archiveReason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Student account archived successfully',
+      data: {
+        id: student._id,
+        archivedAt: student.archivedAt,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error archiving student:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Restore an archived student account
+ * @route   POST /api/students/:id/restore
+ * @access  Private (students:delete)
+ */
+export const restoreArchivedStudent = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student || !canAccessStudent(req.user, student)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    if (!student.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not archived',
+      });
+    }
+
+    const archivedAt = student.archivedAt;
+    await restoreStudent(student);
+
+    await recordAudit(req, {
+      action: 'student.restore',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      before: { archivedAt },
+      after: { archivedAt: null },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Student account restored successfully',
+    });
+  } catch (error) {
+    console.error('❌ Error restoring student:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Permanently delete an archived student and all dependent records
+ * @route   DELETE /api/students/:id/purge
+ * @access  Private (students:purge)
+ */
+export const purgeArchivedStudent = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student || !canAccessStudent(req.user, student)) {
       return res.status(404).json({
         success: false,
         message: 'Student not found',
       });
     }
 
-    // Delete the user account associated with this student
-    if (student.userId) {
-      await User.findByIdAndDelete(student.userId);
+    // Purge is irreversible, so it only works on students that were archived first
+    if (!student.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archive the student before purging',
+      });
     }
 
-    // Delete the student profile
-    await Student.findByIdAndDelete(req.params.id);
+    const user = await User.findById(student.userId).select('name email');
+    const deleted = await purgeStudent(student);
+
+    await recordAudit(req, {
+      action: 'student.purge',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      before: {
+        ...student.toObject(),
+        name: user?.name,
+        email: user?.email,
+      },
+      after: { deleted },
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Student account deleted successfully',
+      message: 'Student and all related records permanently deleted',
+      data: deleted,
     });
   } catch (error) {
-    console.error('❌ Error deleting student:', error);
+    console.error('❌ Error purging student:', error);
     res.status(500).json({
       success: false,
       message: error.message || 'Server error',
@@ -0,0 +1,153 @@
+import { recordAudit, getStudentHostelIds } from '../utils/auditLog.js';
+import {
+  MAX_IMPORT_ROWS,
+  parseRoster,
+  validateRoster,
+  commitRoster,
+  buildImportTemplate,
+} from '../utils/studentImport.js';
+
+/**
+ * Parse and validate the uploaded roster (request body is the raw XLSX/CSV file)
+ * @returns {Promise<{rows?: Array<Object>, error?: string}>}
+ */
+const readRoster = async (req) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return { error: 'Please upload an XLSX or CSV file as the request body' };
+  }
+
+  let rows;
+  try {
+    rows = parseRoster(req.body);
+  } catch (error) {
+    return { error: 'Could not read the file. Please upload a valid XLSX or CSV file' };
+  }
+
+  if (rows.length === 0) {
+    return { error: 'The file has no student rows' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A single import can contain at most ${MAX_IMPORT_ROWS} students` };
+  }
+
+  return { rows: await validateRoster(rows, req.user) };
+};
+
+const summarize = (rows) => {
+  const invalid = rows.filter((row) => row.errors.length > 0);
+  return {
+    total: rows.length,
+    valid: rows.length - invalid.length,
+    invalid: invalid.length,
+    rows: rows.map(({ hostelId, blockId, roomId, ...row }) => row),
+  };
+};
+
+/**
+ * @desc    Download an empty roster template
+ * @route   GET /api/students/import/template
+ * @access  Private (students:write)
+ */
+export const downloadImportTemplate = async (req, res) => {
+  try {
+    res.setHeader('Content-Disposition', 'attachment; filename="student-import-template.xlsx"');
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.status(200).send(buildImportTemplate());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Dry run: validate a roster and show per-row errors without creating anything
+ * @route   POST /api/students/import/preview
+ * @access  Private (students:write)
+ */
+export const previewStudentImport = async (req, res) => {
+  try {
+    const { rows, error } = await readRoster(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const summary = summarize(rows);
+    res.status(200).json({
+      success: true,
+      message: summary.invalid
+        ? `${summary.invalid} of ${summary.total} rows have errors`
+        : `All ${summary.total} rows are valid`,
+      data: summary,
+    });
+  } catch (error) {
+    console.error('❌ Student import preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Import a roster. Rejected as a whole if any row is invalid,
+ *          unless skipInvalid=true, which imports only the valid rows.
+ * @route   POST /api/students/import
+ * @access  Private (students:write)
+ */
+export const importStudents = async (req, res) => {
+  try {
+    const { rows, error } = await readRoster(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const summary = summarize(rows);
+    if (summary.invalid && req.query.skipInvalid !== 'true') {
+      return res.status(400).json({
+        success: false,
+        message: `${summary.invalid} of ${summary.total} rows have errors. Fix them or import with skipInvalid=true`,
+        data: summary,
+      });
+    }
+
+    const validRows = rows.filter((row) => row.errors.length === 0);
+    const result = await commitRoster(validRows, req.user);
+
+    await recordAudit(req, {
+      action: 'student.import',
+      targetType: 'Student',
+      hostelIds: await getStudentHostelIds(...result.created.map((c) => c.studentId)),
+      after: {
+        created: result.created.length,
+        failed: result.failed.length,
+        skipped: summary.invalid,
+        studentIds: result.created.map((c) => c.studentId),
+      },
+    });
+
+    res.status(result.created.length ? 201 : 400).json({
+      success: result.created.length > 0,
+      message: `Imported ${result.created.length} of ${summary.total} students. Activation links are being sent.`,
+      data: {
+        created: result.created,
+        failed: result.failed,
+        skipped: summary.rows.filter((row) => row.errors.length > 0),
+        queuedEmails: result.queuedEmails,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Student import error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -0,0 +1,303 @@
+import mongoose from 'mongoose';
+import Student from '../models/Student.model.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { canAccessStudent, getStudentScopeFilter } from '../utils/tenancy.js';
+import { getBaseUrl, getStorageBackend, verifyResourceSignature } from '../utils/documentStorage.js';
+import {
+  PHOTO_SIZES,
+  storePhoto,
+  removePhoto,
+  getPhotoUrls,
+  getPhotoKey,
+  getPhotoResource,
+} from '../utils/studentPhotos.js';
+import { GRADUATED_READ_ONLY_MESSAGE } from '../utils/studentArchive.js';
+
+const readPhotoUpload = (req) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return 'Please upload a JPEG, PNG or WebP image as the request body';
+  }
+  return null;
+};
+
+const findScopedStudent = async (user, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  const student = await Student.findById(id).select('+photo +pendingPhoto');
+  return student && canAccessStudent(user, student) ? student : null;
+};
+
+/**
+ * @desc    Upload my photo (raw image body); it is shown at the gate once a warden approves it
+ * @route   POST /api/students/photo
+ * @access  Private (Student only)
+ */
+export const uploadMyPhoto = async (req, res) => {
+  try {
+    const uploadError = readPhotoUpload(req);
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError,
+      });
+    }
+
+    const student = await Student.findOne({ userId: req.user._id }).select('_id');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    const { photo, error } = await storePhoto(student._id, req.body, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // A newer upload replaces a photo still waiting for approval
+    const previous = await Student.findByIdAndUpdate(student._id, { $set: { pendingPhoto: photo, photoRejection: null } })
+      .select('+pendingPhoto');
+    await removePhoto(previous?.pendingPhoto);
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo submitted for warden approval',
+      data: {
+        pendingPhoto: getPhotoUrls({ _id: student._id, pendingPhoto: photo }, getBaseUrl(req), 'pendingPhoto'),
+      },
+    });
+  } catch (error) {
+    console.error('Upload photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading photo',
+    });
+  }
+};
+
+/**
+ * @desc    Set a student's photo directly (raw image body), replacing the current one
+ * @route   POST /api/students/:id/photo
+ * @access  Private (students:write)
+ */
+export const uploadStudentPhoto = async (req, res) => {
+  try {
+    const uploadError = readPhotoUpload(req);
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError,
+      });
+    }
+
+    const student = await findScopedStudent(req.user, req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+    if (student.graduatedAt) {
+      return res.status(409).json({
+        success: false,
+        message: GRADUATED_READ_ONLY_MESSAGE,
+      });
+    }
+
+    const { photo, error } = await storePhoto(student._id, req.body, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const previous = await Student.findByIdAndUpdate(student._id, { $set: { photo } }).select('+photo');
+    await removePhoto(previous?.photo);
+
+    await recordAudit(req, {
+      action: 'student.photo',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      before: { photoUploadedAt: previous?.photo?.uploadedAt || null },
+      after: { photoUploadedAt: photo.uploadedAt },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo updated successfully',
+      data: {
+        photo: getPhotoUrls({ _id: student._id, photo }, getBaseUrl(req)),
+      },
+    });
+  } catch (error) {
+    console.error('Upload student photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading photo',
+    });
+  }
+};
+
+/**
+ * @desc    Photos waiting for approval, next to the current photo
+ * @route   GET /api/students/photos/pending
+ * @access  Private (students:read)
+ */
+export const getPendingPhotos = async (req, res) => {
+  try {
+    const students = await Student.find({
+      archivedAt: null,
+      pendingPhoto: { $ne: null },
+      ...getStudentScopeFilter(req.user),
+    })
+      .select('userId rollNumber class section photo pendingPhoto')
+      .populate('userId', 'name')
+      .sort({ 'pendingPhoto.uploadedAt': 1 });
+
+    const baseUrl = getBaseUrl(req);
+    const data = students.map((student) => ({
+      studentId: student._id,
+      name: student.userId?.name,
+      rollNumber: student.rollNumber,
+      class: student.class,
+      section: student.section,
+      photo: getPhotoUrls(student, baseUrl),
+      pendingPhoto: getPhotoUrls(student, baseUrl, 'pendingPhoto'),
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Approve (make it the gate photo) or reject a student's pending photo
+ * @route   PUT /api/students/:id/photo/status
+ * @access  Private (students:write)
+ */
+export const reviewStudentPhoto = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be Approved or Rejected',
+      });
+    }
+
+    const student = await findScopedStudent(req.user, req.params.id);
+    if (!student || !student.pendingPhoto) {
+      return res.status(404).json({
+        success: false,
+        message: student ? 'This student has no photo waiting for approval' : 'Student not found',
+      });
+    }
+
+    const pending = student.pendingPhoto.toObject();
+    // Only the photo that was reviewed: a newer upload in the meantime stays pending
+    // A rejection keeps its reason on the student, so they can see why and upload another photo
+    const update = status === 'Approved'
+      ? { $set: { photo: pending, pendingPhoto: null, photoRejection: null } }
+      : {
+        $set: {
+          pendingPhoto: null,
+          photoRejection: { reason: reason?.trim() || undefined, rejectedAt: new Date(), rejectedBy: req.user._id },
+        },
+      };
+    const previous = await Student.findOneAndUpdate(
+      { _id: student._id, 'pendingPhoto.uploadedAt': pending.uploadedAt },
+      update
+    ).select('+photo');
+    if (!previous) {
+      return res.status(409).json({
+        success: false,
+        message: 'The photo was replaced while you were reviewing it. Please review the new one',
+      });
+    }
+    await removePhoto(status === 'Approved' ? previous.photo : pending);
+
+    await recordAudit(req, {
+      action: 'student.photo',
+      targetType: 'Student',
+      targetId: student._id,
+      hostelIds: [student.hostelId],
+      before: { photoUploadedAt: previous.photo?.uploadedAt || null },
+      after: { status, photoUploadedAt: pending.uploadedAt, reason: reason?.trim() || undefined },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: status === 'Approved' ? 'Photo approved' : 'Photo rejected',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Serve a photo rendition through a signed URL
+ * @route   GET /api/students/:id/photo/:version/:size?expires=&signature=
+ * @access  Public (signed URL)
+ */
+export const servePhoto = async (req, res) => {
+  try {
+    const { id, version, size } = req.params;
+    const { expires, signature } = req.query;
+    const invalidLink = () => res.status(403).json({
+      success: false,
+      message: 'This photo link is invalid or has expired',
+    });
+    if (!PHOTO_SIZES[size] || !['current', 'pending'].includes(version) || !mongoose.Types.ObjectId.isValid(id)) {
+      return invalidLink();
+    }
+
+    const field = version === 'current' ? 'photo' : 'pendingPhoto';
+    const student = await Student.findById(id).select(`+${field}`);
+    const photo = student?.[field];
+    // The signature covers the stored file, so links to a replaced or rejected photo fail
+    if (!photo || !verifyResourceSignature(getPhotoResource(id, version, size, photo), expires, signature)) {
+      return invalidLink();
+    }
+
+    const stream = getStorageBackend(photo.storage).backend
+      .createReadStream(getPhotoKey(photo, size));
+    stream.on('error', (error) => {
+      console.error('Photo read error:', error.message || error);
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Photo not found',
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -0,0 +1,329 @@
+import User from '../models/User.model.js';
+import { createSession } from '../utils/authTokens.js';
+import { checkLoginAllowed, recordFailedLogin, clearFailedLogins } from '../utils/loginThrottle.js';
+import {
+  isTwoFactorRequired,
+  encryptSecret,
+  decryptSecret,
+  generateTwoFactorSetup,
+  checkTotp,
+  generateBackupCodes,
+  verifySecondFactor,
+  verifyTwoFactorChallenge,
+} from '../utils/twoFactor.js';
+
+/**
+ * @desc    Get 2FA status of current user
+ * @route   GET /api/auth/2fa/status
+ * @access  Private (Staff only)
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactorEnabled,
+        required: isTwoFactorRequired(),
+        backupCodesRemaining: user.twoFactorEnabled ? (user.twoFactorBackupCodes || []).length : 0,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Start 2FA enrolment - returns secret, provisioning URI and QR code
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (Staff only)
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const { secret, otpauthUrl, qrCodeDataUrl } = await generateTwoFactorSetup(req.user.email);
+
+    // Not active until confirmed with a valid code in /2fa/enable
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { twoFactorPendingSecret: encryptSecret(secret) } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCodeDataUrl,
+      },
+    });
+  } catch (error) {
+    console.error('❌ setupTwoFactor error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Confirm enrolment with a TOTP code and enable 2FA (returns backup codes once)
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (Staff only)
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const counter = checkTotp(decryptSecret(user.twoFactorPendingSecret), code);
+    if (counter === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Check the time on your phone and try again.',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorLastCounter = counter;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe - they will not be shown again.',
+      data: {
+        backupCodes: codes,
+      },
+    });
+  } catch (error) {
+    console.error('❌ enableTwoFactor error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Disable 2FA (not allowed when the deployment requires it)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private (Staff only)
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for all staff accounts and cannot be disabled',
+      });
+    }
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a current code',
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastCounter');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const isMatch = await user.matchPassword(password);
+    const { ok } = isMatch ? await verifySecondFactor(user, code) : { ok: false };
+    if (!ok) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or code',
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorBackupCodes: 1, twoFactorLastCounter: 1 },
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('❌ disableTwoFactor error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Regenerate backup codes (old ones stop working)
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private (Staff only)
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastCounter');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const { ok } = await verifySecondFactor(user, code);
+    if (!ok) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorBackupCodes: hashes } });
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: {
+        backupCodes: codes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Second login step - exchange challenge token + code for a session
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires challenge token from login)
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token and code',
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please log in again.',
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastCounter');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({
+        success: false,
+        message: throttle.message,
+        retryAfter: throttle.retryAfter,
+      });
+    }
+
+    const result = await verifySecondFactor(user, code);
+    if (!result.ok) {
+      const { accountLocked, lockMinutes } = await recordFailedLogin(user.email, req.ip, user);
+      if (accountLocked) {
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed login attempts. Account locked for ${lockMinutes} minutes. An unlock link has been sent to your email.`,
+          retryAfter: lockMinutes * 60,
+        });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await clearFailedLogins(user.email);
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      requiresPasswordChange: false,
+      backupCodesRemaining: result.method === 'backup' ? result.backupCodesRemaining : undefined,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('❌ verifyTwoFactorLogin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification',
+    });
+  }
+};
@@ -0,0 +1,334 @@
+import mongoose from 'mongoose';
+import User from '../models/User.model.js';
+import Hostel from '../models/Hostel.model.js';
+import WardenInvite from '../models/WardenInvite.model.js';
+import { hashToken, createSession } from '../utils/authTokens.js';
+import {
+  issueWardenInvite,
+  buildWardenInviteUrl,
+  getWardenInviteExpireHours,
+} from '../utils/wardenInvites.js';
+import { sendWardenInviteEmail } from '../utils/emailService.js';
+import { ROLE_LABELS, STAFF_ROLES, canAssignRole } from '../config/permissions.js';
+import { getHostelScope, canManageStaffMember } from '../utils/tenancy.js';
+
+const getInviteStatus = (invite) => {
+  if (invite.acceptedAt) return 'Accepted';
+  if (invite.revokedAt) return 'Revoked';
+  if (invite.expiresAt <= new Date()) return 'Expired';
+  return 'Pending';
+};
+
+// Staff limited to some hostels only manage invites for those hostels; invites without hostels are campus-wide
+const canManageInvite = (user, invite) => (
+  invite.hostels?.length > 0 ? canManageStaffMember(user, invite) : !getHostelScope(user)
+);
+
+const sendInviteNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Pending invite not found',
+});
+
+/**
+ * @desc    Invite a new staff member (warden, security guard, accountant, ...) by email.
+ *          hostelIds are assigned on acceptance; staff limited to some hostels invite
+ *          for their own hostels (all of them when hostelIds is omitted).
+ * @route   POST /api/warden/invites
+ * @access  Private (staff:manage)
+ */
+export const createWardenInvite = async (req, res) => {
+  try {
+    const { email, name, role = 'warden', hostelIds } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email',
+      });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+      });
+    }
+
+    if (!canAssignRole(req.user.role, role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not allowed to invite a ${ROLE_LABELS[role]}`,
+      });
+    }
+
+    if (hostelIds !== undefined
+      && (!Array.isArray(hostelIds) || !hostelIds.every((id) => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide hostelIds as a list of hostel IDs',
+      });
+    }
+    const hostels = [...new Set((hostelIds ?? getHostelScope(req.user) ?? []).map(String))];
+    if (!canManageInvite(req.user, { hostels })) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only invite staff to hostels that you manage',
+      });
+    }
+    const found = await Hostel.countDocuments({ _id: { $in: hostels } });
+    if (found !== hostels.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more hostels were not found',
+      });
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists',
+      });
+    }
+
+    // Re-inviting revokes the pending invite for this email, so it must be one the inviter manages
+    const pendingInvites = await WardenInvite.find({ email: normalizedEmail, acceptedAt: null, revokedAt: null });
+    if (!pendingInvites.every((invite) => canManageInvite(req.user, invite))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email already has a pending invite from another hostel',
+      });
+    }
+
+    const { invite, token } = await issueWardenInvite({
+      email: normalizedEmail,
+      name: name?.trim(),
+      role,
+      hostels,
+      invitedBy: req.user._id,
+    });
+
+    sendWardenInviteEmail(
+      normalizedEmail,
+      invite.name,
+      buildWardenInviteUrl(token),
+      getWardenInviteExpireHours(),
+      req.user.name,
+      ROLE_LABELS[invite.role]
+    ).catch((err) => console.error('❌ Warden invite email error:', err.message || err));
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        id: invite._id,
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        hostels: invite.hostels,
+        expiresAt: invite.expiresAt,
+        status: getInviteStatus(invite),
+      },
+    });
+  } catch (error) {
+    console.error('❌ createWardenInvite error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List staff invites (for staff limited to some hostels, only invites for those hostels)
+ * @route   GET /api/warden/invites
+ * @access  Private (staff:manage)
+ */
+export const getWardenInvites = async (req, res) => {
+  try {
+    const invites = (await WardenInvite.find()
+      .populate('hostels', 'name code')
+      .populate('invitedBy', 'name email')
+      .populate('acceptedUserId', 'name email')
+      .sort({ createdAt: -1 }))
+      .filter((invite) => canManageInvite(req.user, { hostels: invite.hostels.map((hostel) => hostel._id) }));
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites.map((invite) => ({
+        id: invite._id,
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        hostels: invite.hostels,
+        status: getInviteStatus(invite),
+        expiresAt: invite.expiresAt,
+        acceptedAt: invite.acceptedAt,
+        revokedAt: invite.revokedAt,
+        invitedBy: invite.invitedBy ? invite.invitedBy.name : 'System',
+        createdAt: invite.createdAt,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a pending staff invite
+ * @route   DELETE /api/warden/invites/:id
+ * @access  Private (staff:manage)
+ */
+export const revokeWardenInvite = async (req, res) => {
+  try {
+    const pending = { _id: req.params.id, acceptedAt: null, revokedAt: null };
+    const existing = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await WardenInvite.findOne(pending).select('hostels')
+      : null;
+    if (!existing || !canManageInvite(req.user, existing)) {
+      return sendInviteNotFound(res);
+    }
+
+    const invite = await WardenInvite.findOneAndUpdate(
+      pending,
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return sendInviteNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite revoked successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Accept a staff invite and set password (creates the staff account)
+ * @route   POST /api/auth/accept-invite
+ * @access  Public (requires invite token)
+ */
+export const acceptWardenInvite = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide invite token and password',
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long',
+      });
+    }
+
+    // Claim the invite atomically so the same link cannot create two accounts
+    const now = new Date();
+    const invite = await WardenInvite.findOneAndUpdate(
+      {
+        tokenHash: hashToken(String(token)),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+      },
+      { $set: { acceptedAt: now } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired',
+      });
+    }
+
+    const wardenName = (name || invite.name || '').trim();
+    if (wardenName.length < 2) {
+      await WardenInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+      return res.status(400).json({
+        success: false,
+        message: 'Name must be at least 2 characters long',
+      });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name: wardenName,
+        email: invite.email,
+        password,
+        role: invite.role || 'warden',
+        hostels: invite.hostels,
+      });
+    } catch (createError) {
+      // Release the invite so it can be retried after fixing the problem
+      await WardenInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+      if (createError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'User with this email already exists',
+        });
+      }
+      throw createError;
+    }
+
+    invite.acceptedUserId = user._id;
+    await invite.save();
+
+    const { token: accessToken, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: `${ROLE_LABELS[user.role]} account created successfully`,
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('❌ acceptWardenInvite error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation',
+    });
+  }
+};
@@ -1,10 +1,11 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.model.js';
+import { isSessionActive } from '../utils/authTokens.js';
 // Note: dotenv is loaded in server.js, process.env is available globally
 
 /**
- * Protect routes - Verify JWT token
- * Adds req.user with user data (without password)
+ * Protect routes - Verify JWT token and its session
+ * Adds req.user with user data (without password) and req.sessionId
  */
 export const protect = async (req, res, next) => {
   try {
@@ -25,27 +26,46 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    let decoded;
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, token failed',
+      });
+    }
+
+    // Reject tokens whose session was revoked (logout, logout-all, password change)
+    // Tokens issued before sessions existed carry no sessionId and are rejected too
+    const sessionActive = await isSessionActive(decoded.sessionId, decoded.userId);
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please log in again.',
+      });
+    }
 
-      // Get user from token (without password)
-      req.user = await User.findById(decoded.userId).select('-password');
+    // Get user from token (without password)
+    req.user = await User.findById(decoded.userId).select('-password');
 
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found',
-        });
-      }
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
 
-      next();
-    } catch (error) {
+    if (req.user.archivedAt || req.user.deactivatedAt) {
       return res.status(401).json({
         success: false,
-        message: 'Not authorized, token failed',
+        message: 'This account has been deactivated',
       });
     }
+
+    req.sessionId = decoded.sessionId;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -0,0 +1,71 @@
+import GateDevice from '../models/GateDevice.model.js';
+import { hashToken } from '../utils/authTokens.js';
+import { protect } from './auth.middleware.js';
+
+const DEVICE_KEY_HEADER = 'x-device-key';
+// Avoid a database write on every scan
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Authenticate a gate device by its API key (X-Device-Key header)
+ * Adds req.device
+ */
+export const authenticateDevice = async (req, res, next) => {
+  try {
+    const key = req.get(DEVICE_KEY_HEADER);
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, no device key provided',
+      });
+    }
+
+    const device = await GateDevice.findOne({ keyHash: hashToken(key), revokedAt: null });
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked device key',
+      });
+    }
+
+    const now = new Date();
+    if (!device.lastSeenAt || now - device.lastSeenAt > LAST_SEEN_INTERVAL_MS || device.lastSeenIp !== req.ip) {
+      await GateDevice.updateOne({ _id: device._id }, { $set: { lastSeenAt: now, lastSeenIp: req.ip } });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in device authentication',
+    });
+  }
+};
+
+/**
+ * Accept either a device key or a user JWT - devices use the key, people use protect
+ */
+export const protectUserOrDevice = (req, res, next) => {
+  if (req.get(DEVICE_KEY_HEADER)) {
+    return authenticateDevice(req, res, next);
+  }
+  return protect(req, res, next);
+};
+
+/**
+ * Restrict a device to the actions it was registered for (no-op for user requests)
+ * @param {string} action - 'entry' or 'exit'
+ */
+export const requireDeviceAction = (action) => {
+  return (req, res, next) => {
+    if (req.device && !req.device.allowedActions.includes(action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Device '${req.device.name}' is not allowed to mark ${action}`,
+      });
+    }
+    next();
+  };
+};
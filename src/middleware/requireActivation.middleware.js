@@ -1,10 +1,10 @@
 import User from '../models/User.model.js';
 
 /**
- * Middleware to check if user has temporary password
- * Forces password change before accessing protected routes
+ * Middleware to check that the account has been activated
+ * Blocks pending accounts and legacy accounts still on a mailed temporary password
  */
-export const requirePasswordChange = async (req, res, next) => {
+export const requireActivation = async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({
@@ -13,10 +13,16 @@ export const requirePasswordChange = async (req, res, next) => {
       });
     }
 
-    // Check if user has temporary password
-    // Students and parents use temp passwords on first login
+    // Students and parents are created by the warden and must activate first
     if (req.user.role === 'student' || req.user.role === 'parent') {
       const user = await User.findById(req.user._id);
+      if (user && user.accountStatus === 'PendingActivation') {
+        return res.status(403).json({
+          success: false,
+          message: 'Account not activated. Please use the activation link sent to your email.',
+          requiresActivation: true,
+        });
+      }
       if (user && user.isTempPassword) {
         return res.status(403).json({
           success: false,
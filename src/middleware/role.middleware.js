@@ -1,9 +1,64 @@
+import { hasPermission, isStaffRole } from '../config/permissions.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
+
+// When REQUIRE_WARDEN_2FA is on, staff without 2FA are blocked until they enrol
+const needsTwoFactorSetup = (user) => {
+  return isStaffRole(user.role) && isTwoFactorRequired() && !user.twoFactorEnabled;
+};
+
+const sendTwoFactorSetupRequired = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Two-factor authentication must be set up before accessing this route',
+    requiresTwoFactorSetup: true,
+  });
+};
+
+const checkRole = (req, res, roles) => {
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized - user not authenticated',
+    });
+    return false;
+  }
+
+  if (!roles.includes(req.user.role)) {
+    res.status(403).json({
+      success: false,
+      message: `User role '${req.user.role}' is not authorized to access this route. Required roles: ${roles.join(', ')}`,
+    });
+    return false;
+  }
+
+  return true;
+};
+
 /**
  * Role-based authorization middleware
- * Restricts routes based on user roles
+ * Restricts routes based on user roles (used for student/parent self-service routes)
  * @param {...string} roles - Allowed roles
  */
 export const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!checkRole(req, res, roles)) {
+      return;
+    }
+
+    if (needsTwoFactorSetup(req.user)) {
+      return sendTwoFactorSetupRequired(res);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Permission-based authorization middleware
+ * Passes if the user's role grants ANY of the given permissions (see config/permissions.js)
+ * @param {...string} permissions - Accepted permissions, e.g. 'fees:write'
+ */
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -12,13 +67,31 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.some((permission) => hasPermission(req.user.role, permission))) {
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route. Required roles: ${roles.join(', ')}`,
+        message: `User role '${req.user.role}' is not authorized to access this route. Required permission: ${permissions.join(' or ')}`,
       });
     }
 
+    if (needsTwoFactorSetup(req.user)) {
+      return sendTwoFactorSetupRequired(res);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Role check without the 2FA enrolment requirement
+ * Only for the 2FA enrolment routes themselves
+ * @param {...string} roles - Allowed roles
+ */
+export const authorizeForTwoFactorSetup = (...roles) => {
+  return (req, res, next) => {
+    if (!checkRole(req, res, roles)) {
+      return;
+    }
     next();
   };
 };
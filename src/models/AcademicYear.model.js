@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * AcademicYear - e.g. '2025-26'. Exactly one year is current; a rollover makes the next
+ * year current, promotes classes and graduates final-year students.
+ * Records (fees, leaves, complaints, entry/exit logs) are stamped with their year at rollover;
+ * until then academicYearId is null, meaning the current year.
+ */
+const academicYearSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide the academic year name'],
+      unique: true,
+      trim: true,
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Please provide the start date'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Please provide the end date'],
+    },
+    isCurrent: {
+      type: Boolean,
+      default: false,
+    },
+    // A rollover into this year is running (cleared if it fails, so it can be retried)
+    rolloverStartedAt: {
+      type: Date,
+      default: null,
+    },
+    // Year and plan of the first rollover attempt; a retry resumes with the same ones
+    rolloverFromYearId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicYear',
+    },
+    rolloverPlan: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Set when a rollover made this year current (only once every step has succeeded)
+    activatedAt: {
+      type: Date,
+      default: null,
+    },
+    activatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Set when a rollover closed this year
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    // What the rollover into this year did (promoted/graduated counts)
+    rolloverSummary: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+academicYearSchema.index(
+  { isCurrent: 1 },
+  { unique: true, partialFilterExpression: { isCurrent: true } }
+);
+
+const AcademicYear = mongoose.model('AcademicYear', academicYearSchema);
+
+export default AcademicYear;
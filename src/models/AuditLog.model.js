@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditLog - append-only record of staff actions.
+ * Entries are numbered (seq) and hash-chained: each hash covers the entry and the
+ * previous entry's hash, so editing or deleting a record breaks the chain.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    seq: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorName: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    // e.g. 'fee.update', 'student.delete', 'location.tracking'
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      required: true,
+    },
+    targetId: {
+      type: String,
+    },
+    // Hostels of the target; entries without one are visible only to campus-wide staff
+    hostelIds: {
+      type: [String],
+      default: undefined,
+    },
+    // Changed fields only (full snapshot for deletes)
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      required: true,
+    },
+    prevHash: {
+      type: String,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    minimize: false,
+  }
+);
+
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ hostelIds: 1, seq: -1 });
+
+// Entries are never changed through the application
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
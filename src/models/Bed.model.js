@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * Bed - one allocatable place in a room. studentId is unique across beds,
+ * so a student can never hold two beds at once.
+ */
+const bedSchema = new mongoose.Schema(
+  {
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true,
+    },
+    hostelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hostel',
+      required: true,
+    },
+    // 'A', 'B', ... within the room
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      default: null,
+    },
+    allocatedAt: {
+      type: Date,
+    },
+    allocatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Short hold while a move/swap is in progress, so nobody else grabs the freed bed
+    heldUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bedSchema.index({ roomId: 1, label: 1 }, { unique: true });
+bedSchema.index(
+  { studentId: 1 },
+  { unique: true, partialFilterExpression: { studentId: { $type: 'objectId' } } }
+);
+
+const Bed = mongoose.model('Bed', bedSchema);
+
+export default Bed;
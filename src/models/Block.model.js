@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * Block - a building/wing inside a hostel
+ */
+const blockSchema = new mongoose.Schema(
+  {
+    hostelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hostel',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a block name'],
+      trim: true,
+    },
+    floors: {
+      type: Number,
+      min: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+blockSchema.index({ hostelId: 1, name: 1 }, { unique: true });
+
+const Block = mongoose.model('Block', blockSchema);
+
+export default Block;
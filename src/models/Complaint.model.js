@@ -44,6 +44,13 @@ const complaintSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Set at rollover (null = current academic year)
+    academicYearId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicYear',
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true,
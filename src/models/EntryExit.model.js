@@ -24,12 +24,52 @@ const entryExitSchema = new mongoose.Schema(
       required: true,
       default: 'Manual',
     },
+    // Gate devices that scanned the entry/exit (empty when marked by a person)
+    entryDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GateDevice',
+    },
+    exitDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GateDevice',
+    },
+    // Approved leave the student exited on / returned from
+    exitLeaveId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Leave',
+      default: null,
+    },
+    entryLeaveId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Leave',
+      default: null,
+    },
+    // Exited without a valid approved leave (shown to wardens)
+    unauthorizedExit: {
+      type: Boolean,
+      default: false,
+    },
+    // Returned after the approved leave ended
+    lateReturn: {
+      type: Boolean,
+      default: false,
+    },
+    // Academic year of the log, filled in at rollover
+    academicYearId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicYear',
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Latest log per student (who is currently OUT)
+entryExitSchema.index({ studentId: 1, createdAt: -1 });
+
 const EntryExit = mongoose.model('EntryExit', entryExitSchema);
 
 export default EntryExit;
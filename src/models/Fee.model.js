@@ -40,12 +40,21 @@ const feeSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Academic year the fee belongs to (null until the year is rolled over)
+    academicYearId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicYear',
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+feeSchema.index({ studentId: 1, status: 1 });
+
 const Fee = mongoose.model('Fee', feeSchema);
 
 export default Fee;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const DEVICE_ACTIONS = ['entry', 'exit'];
+
+/**
+ * GateDevice - a QR kiosk or biometric terminal that marks entry/exit with an API key
+ * instead of a staff login. Only the SHA-256 hash of the key is stored.
+ */
+const gateDeviceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a device name'],
+      trim: true,
+    },
+    // Which gate the device is installed at (shown on entry/exit logs)
+    gate: {
+      type: String,
+      required: [true, 'Please provide the gate'],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['QR', 'Biometric'],
+      default: 'QR',
+    },
+    allowedActions: {
+      type: [String],
+      enum: DEVICE_ACTIONS,
+      default: DEVICE_ACTIONS,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the key, so staff can tell keys apart without seeing them
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    keyRotatedAt: {
+      type: Date,
+    },
+    lastSeenAt: {
+      type: Date,
+    },
+    lastSeenIp: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const GateDevice = mongoose.model('GateDevice', gateDeviceSchema);
+
+export default GateDevice;
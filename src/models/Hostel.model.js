@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * Hostel - top-level tenancy unit. Students belong to one hostel and staff
+ * are assigned the hostels they manage; warden queries are scoped to those.
+ */
+const hostelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a hostel name'],
+      unique: true,
+      trim: true,
+    },
+    // Short code shown in lists and exports, e.g. 'BH1'
+    code: {
+      type: String,
+      required: [true, 'Please provide a hostel code'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Hostel = mongoose.model('Hostel', hostelSchema);
+
+export default Hostel;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const LEAVE_TYPES = ['Home Visit', 'Local Coaching/Classes', 'Medical Checkup', 'Local Market/Personal', 'Emergency Leave', 'Other'];
+
 const leaveSchema = new mongoose.Schema(
   {
     studentId: {
@@ -15,11 +17,14 @@ const leaveSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ['Home Visit', 'Local Coaching/Classes', 'Medical Checkup', 'Local Market/Personal', 'Emergency Leave', 'Other'],
+      enum: LEAVE_TYPES,
     },
+    // PendingParent -> ApprovedByParent -> Approved; PendingWarden goes straight to the warden
+    // (leave types whose policy does not require parent approval).
+    // Approved becomes Completed when the student returns through the gate
     status: {
       type: String,
-      enum: ['Pending', 'PendingParent', 'ApprovedByParent', 'RejectedByParent', 'Approved', 'Rejected', 'Cancelled'],
+      enum: ['Pending', 'PendingParent', 'PendingWarden', 'ApprovedByParent', 'RejectedByParent', 'Approved', 'Rejected', 'Cancelled', 'Completed'],
       default: 'Pending',
     },
     outDate: {
@@ -73,12 +78,37 @@ const leaveSchema = new mongoose.Schema(
         timestamp: { type: Date, default: Date.now },
       },
     ],
+    // Leave policy rules the request broke; submitted anyway with a justification and
+    // can only be approved by a warden explicitly overriding them
+    policyViolations: [
+      {
+        rule: String,
+        message: String,
+        _id: false,
+      },
+    ],
+    overrideReason: {
+      type: String,
+      trim: true,
+    },
+    policyOverriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Stamped at the gate: exit on this leave, and return (which completes it)
     actualOutTime: {
       type: Date,
     },
     actualInTime: {
       type: Date,
     },
+    // Null while the year is current; set when it is rolled over
+    academicYearId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicYear',
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { LEAVE_TYPES } from './Leave.model.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timeWindowSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: [true, 'Please provide the window start (HH:mm)'],
+      match: [TIME_PATTERN, 'Times must be in HH:mm format'],
+    },
+    to: {
+      type: String,
+      required: [true, 'Please provide the window end (HH:mm)'],
+      match: [TIME_PATTERN, 'Times must be in HH:mm format'],
+    },
+  },
+  { _id: false }
+);
+
+const blackoutSchema = new mongoose.Schema(
+  {
+    from: {
+      type: Date,
+      required: [true, 'Please provide the blackout start date'],
+    },
+    to: {
+      type: Date,
+      required: [true, 'Please provide the blackout end date'],
+    },
+    // Shown to students, e.g. 'End-semester exams'
+    reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * LeavePolicy - rules checked when a student submits a leave request.
+ * hostelId, leaveType and class narrow who a policy applies to (null = all). Every matching
+ * policy is combined: a rule set on a more specific policy (type + class, then type, then class;
+ * a hostel's policy before the campus-wide one) wins, and blackout periods of all matching
+ * policies apply. Unset rules are not checked.
+ */
+const leavePolicySchema = new mongoose.Schema(
+  {
+    // null = campus-wide (managed by chief wardens); otherwise managed by that hostel's wardens
+    hostelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hostel',
+      default: null,
+    },
+    leaveType: {
+      type: String,
+      enum: [...LEAVE_TYPES, null],
+      default: null,
+    },
+    class: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    maxDurationHours: {
+      type: Number,
+      min: [1, 'Maximum duration must be at least 1 hour'],
+      default: null,
+    },
+    // Leaves of this type per calendar month (by out date)
+    monthlyQuota: {
+      type: Number,
+      min: [0, 'Monthly quota cannot be negative'],
+      default: null,
+    },
+    minNoticeHours: {
+      type: Number,
+      min: [0, 'Notice period cannot be negative'],
+      default: null,
+    },
+    blackoutPeriods: {
+      type: [blackoutSchema],
+      default: [],
+    },
+    // Windows may wrap past midnight (e.g. 20:00 - 06:00)
+    outTimeWindow: {
+      type: timeWindowSchema,
+      default: null,
+    },
+    inTimeWindow: {
+      type: timeWindowSchema,
+      default: null,
+    },
+    // null = inherit (parent approval is required unless a policy says otherwise)
+    requiresParentApproval: {
+      type: Boolean,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+leavePolicySchema.index({ hostelId: 1, leaveType: 1, class: 1 }, { unique: true });
+
+leavePolicySchema.pre('validate', function(next) {
+  const invalid = (this.blackoutPeriods || []).find((period) => period.from > period.to);
+  if (invalid) {
+    this.invalidate('blackoutPeriods', 'Blackout periods must end after they start');
+  }
+  next();
+});
+
+const LeavePolicy = mongoose.model('LeavePolicy', leavePolicySchema);
+
+export default LeavePolicy;
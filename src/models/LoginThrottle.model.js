@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * LoginThrottle - failed login tracking, one record per account (email) and per IP.
+ * Persisted so lockouts survive server restarts. Records expire automatically
+ * once they have been quiet for a while.
+ */
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+    // Normalized email for 'account', client IP for 'ip'
+    identifier: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Only set for existing accounts
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    firstFailedAt: {
+      type: Date,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    lastIp: {
+      type: String,
+      trim: true,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    // Number of lockouts so far - each one lasts longer than the previous
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    unlockTokenHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginThrottleSchema.index({ type: 1, identifier: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
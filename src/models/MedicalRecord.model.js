@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const MAX_EMERGENCY_CONTACTS = 10;
+
+/**
+ * MedicalRecord - a student's emergency contacts and health information.
+ * Kept out of the Student document so it never travels with ordinary student data;
+ * only wardens and medical staff (medical:read) can see it.
+ */
+const medicalRecordSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      unique: true,
+    },
+    // Called in order of priority (1 first)
+    emergencyContacts: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, trim: true, required: [true, 'Please provide the contact name'] },
+          relationship: { type: String, trim: true },
+          phone: { type: String, trim: true, required: [true, 'Please provide the contact phone'] },
+          altPhone: { type: String, trim: true },
+          email: { type: String, trim: true, lowercase: true },
+          priority: { type: Number, min: 1, default: 1 },
+        },
+      ],
+      validate: [
+        (contacts) => contacts.length <= MAX_EMERGENCY_CONTACTS,
+        `At most ${MAX_EMERGENCY_CONTACTS} emergency contacts are allowed`,
+      ],
+    },
+    bloodGroup: {
+      type: String,
+      enum: [...BLOOD_GROUPS, null],
+      default: null,
+    },
+    allergies: {
+      type: [String],
+      default: [],
+    },
+    chronicConditions: {
+      type: [String],
+      default: [],
+    },
+    medications: {
+      type: [String],
+      default: [],
+    },
+    doctor: {
+      name: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      hospital: { type: String, trim: true },
+      address: { type: String, trim: true },
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const MedicalRecord = mongoose.model('MedicalRecord', medicalRecordSchema);
+
+export default MedicalRecord;
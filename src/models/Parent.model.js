@@ -1,8 +1,9 @@
 import mongoose from 'mongoose';
 
 /**
- * Parent model - links a parent User to exactly one Student.
- * One student can have multiple parents (e.g., mother, father).
+ * Parent model - links a parent User to a Student (one document per link).
+ * One student can have multiple parents (e.g., mother, father), and one parent
+ * login can be linked to several children (siblings in the hostel).
  * Parent accounts are created ONLY by warden - no public signup.
  */
 const parentSchema = new mongoose.Schema(
@@ -11,7 +12,6 @@ const parentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
-      unique: true, // One user can only be parent of one student
     },
     studentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -29,7 +29,8 @@ const parentSchema = new mongoose.Schema(
   }
 );
 
-// Index for efficient lookups
+// A parent is linked to each child at most once
+parentSchema.index({ userId: 1, studentId: 1 }, { unique: true });
 parentSchema.index({ studentId: 1 });
 
 const Parent = mongoose.model('Parent', parentSchema);
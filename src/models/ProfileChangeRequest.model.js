@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Student fields a student may ask to change themselves
+export const SELF_EDITABLE_FIELDS = ['phone', 'guardianName', 'guardianPhone', 'guardianEmail'];
+
+/**
+ * ProfileChangeRequest - edits a student staged for warden review.
+ * Each change keeps the value at submission time (from) next to the requested one (to),
+ * so the reviewer sees a diff. Approved changes are applied to the Student.
+ */
+const profileChangeRequestSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, enum: SELF_EDITABLE_FIELDS, required: true },
+          from: { type: String, default: null },
+          to: { type: String, default: null },
+        },
+      ],
+      validate: [(changes) => changes.length > 0, 'Please provide at least one change'],
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+      default: 'Pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+profileChangeRequestSchema.index({ studentId: 1, createdAt: -1 });
+profileChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+const ProfileChangeRequest = mongoose.model('ProfileChangeRequest', profileChangeRequestSchema);
+
+export default ProfileChangeRequest;
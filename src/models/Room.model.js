@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Room - a room in a hostel block. Its beds (Bed model) hold the allocations;
+ * capacity always equals the number of beds.
+ */
+const roomSchema = new mongoose.Schema(
+  {
+    hostelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hostel',
+      required: [true, 'Please provide the hostel'],
+    },
+    blockId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Block',
+    },
+    // Room number as shown on the door, unique within a hostel
+    number: {
+      type: String,
+      required: [true, 'Please provide room number'],
+      trim: true,
+    },
+    floor: {
+      type: Number,
+      default: 0,
+    },
+    type: {
+      type: String,
+      enum: ['Single', 'Double', 'Triple', 'Dormitory'],
+      default: 'Double',
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: [1, 'Capacity must be at least 1'],
+    },
+    // Inactive rooms (e.g. under maintenance) accept no new allocations
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roomSchema.index({ hostelId: 1, number: 1 }, { unique: true });
+roomSchema.index({ hostelId: 1, blockId: 1, floor: 1 });
+
+const Room = mongoose.model('Room', roomSchema);
+
+export default Room;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * RoomChangeRequest - a student's request to move to another room.
+ * Pending -> Approved (move scheduled for effectiveDate) -> Completed,
+ * or Rejected / Cancelled. Failed when the target room filled up before the move.
+ */
+const roomChangeRequestSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason'],
+      trim: true,
+    },
+    preferredRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+    },
+    // Student the requester wants to share a room with
+    preferredRoommateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected', 'Cancelled', 'Completed', 'Failed'],
+      default: 'Pending',
+    },
+    // Chosen by the warden on approval
+    targetRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+    },
+    targetBedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bed',
+    },
+    effectiveDate: {
+      type: Date,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    completedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+    statusHistory: [
+      {
+        status: String,
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        role: String,
+        reason: String,
+        timestamp: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roomChangeRequestSchema.index({ studentId: 1, createdAt: -1 });
+roomChangeRequestSchema.index({ status: 1, effectiveDate: 1 });
+
+const RoomChangeRequest = mongoose.model('RoomChangeRequest', roomChangeRequestSchema);
+
+export default RoomChangeRequest;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * RoomMove - one change to a student's bed (allocation, move, swap, transfer or vacate).
+ * Together these form the student's room history.
+ */
+const roomMoveSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['allocate', 'move', 'swap', 'transfer', 'vacate'],
+      required: true,
+    },
+    fromRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      default: null,
+    },
+    fromBedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bed',
+      default: null,
+    },
+    toRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      default: null,
+    },
+    toBedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bed',
+      default: null,
+    },
+    // Set when the move came from a student's room change request
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomChangeRequest',
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roomMoveSchema.index({ studentId: 1, createdAt: -1 });
+
+const RoomMove = mongoose.model('RoomMove', roomMoveSchema);
+
+export default RoomMove;
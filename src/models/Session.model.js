@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session - one per login (device).
+ * Holds the hash of the current refresh token; the token is rotated on every refresh.
+ * Access tokens carry the session id so revoking a session invalidates them immediately.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false, // Never return token hash by default
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
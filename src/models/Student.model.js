@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+// Stored profile photo: resized JPEG renditions in the document storage backend
+const photoSchema = new mongoose.Schema(
+  {
+    storage: { type: String, required: true },
+    thumbKey: { type: String, required: true },
+    mediumKey: { type: String, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const studentSchema = new mongoose.Schema(
   {
     userId: {
@@ -42,21 +54,102 @@ const studentSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Legacy free-text room; cleared once the student is allocated a bed (see scripts/migrateRooms.js)
     room: {
       type: String,
       trim: true,
     },
+    // Current allocation (maintained by utils/roomAllocation.js)
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      default: null,
+    },
+    bedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bed',
+      default: null,
+    },
+    // Unassigned students are visible to every warden until placed in a hostel
+    hostelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hostel',
+      default: null,
+      index: true,
+    },
+    blockId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Block',
+    },
     // Controlled by warden: whether location tracking for this student is enabled
     locationTrackingEnabled: {
       type: Boolean,
       default: false,
     },
+    // Photo shown to guards at the gate. Photos a student uploads wait in pendingPhoto
+    // until a warden approves them.
+    photo: {
+      type: photoSchema,
+      default: null,
+      select: false,
+    },
+    pendingPhoto: {
+      type: photoSchema,
+      default: null,
+      select: false,
+    },
+    // Why the student's last uploaded photo was rejected (cleared by the next upload or an approval)
+    photoRejection: {
+      type: new mongoose.Schema(
+        {
+          reason: { type: String, trim: true },
+          rejectedAt: { type: Date },
+          rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Archived students are hidden from lists and cannot log in; purge removes them for good
+    archivedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    archiveReason: {
+      type: String,
+      trim: true,
+    },
+    // Alumni: graduated at a rollover (also archived); their records are read-only
+    graduatedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    graduationYearId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicYear',
+    },
+    // Year whose rollover last promoted the student, so a resumed rollover never promotes twice
+    promotedForYearId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicYear',
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Directory filters and sorting (GET /api/students)
+studentSchema.index({ class: 1, section: 1 });
+studentSchema.index({ createdAt: -1 });
+
 const Student = mongoose.model('Student', studentSchema);
 
 export default Student;
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+export const DOCUMENT_TYPES = [
+  'ID Proof',
+  'Admission Letter',
+  'Hostel Agreement',
+  'Medical Certificate',
+  'Other',
+];
+
+/**
+ * StudentDocument - metadata of an uploaded student file.
+ * The file itself lives in a storage backend (see utils/documentStorage.js) under storageKey;
+ * it is only ever served through short-lived signed URLs.
+ */
+const studentDocumentSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: DOCUMENT_TYPES,
+      required: [true, 'Please provide the document type'],
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Backend the file was written to, so switching backends keeps old files readable
+    storage: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    // When the document itself stops being valid (e.g. a medical certificate)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Verified', 'Rejected'],
+      default: 'Pending',
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studentDocumentSchema.index({ studentId: 1, type: 1, createdAt: -1 });
+studentDocumentSchema.index({ status: 1, createdAt: -1 });
+studentDocumentSchema.index({ expiresAt: 1 });
+
+const StudentDocument = mongoose.model('StudentDocument', studentDocumentSchema);
+
+export default StudentDocument;
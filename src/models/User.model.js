@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES } from '../config/permissions.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -22,15 +23,74 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters'],
       select: false, // Don't return password by default
     },
+    // Legacy: accounts created before activation links carry a mailed temporary password
     isTempPassword: {
       type: Boolean,
       default: false,
     },
+    // Student/parent accounts start as PendingActivation until the emailed link is used
+    accountStatus: {
+      type: String,
+      enum: ['PendingActivation', 'Active'],
+      default: 'Active',
+    },
+    // Staff only: hostels this user manages (ignored for roles with full access)
+    hostels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hostel',
+      },
+    ],
+    // Set when the account is archived (login blocked until restored)
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when staff deactivate this login (parents); unlike archiving, restoring a student does not undo it
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Nonce embedded in the current activation link; rotating it invalidates older links
+    activationNonce: {
+      type: String,
+      select: false,
+    },
     role: {
       type: String,
-      enum: ['student', 'warden', 'parent'],
+      enum: ROLES,
       required: [true, 'Please provide a role'],
     },
+    // TOTP two-factor authentication (staff)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false, // Encrypted at rest
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false, // Set during enrolment until the first code is confirmed
+    },
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false, // SHA-256 hashes of unused backup codes
+    },
+    twoFactorLastCounter: {
+      type: Number,
+      select: false, // Last accepted TOTP time step (prevents code replay)
+    },
+    // Self-service password reset (only the SHA-256 hash of the emailed token is stored)
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -40,7 +100,7 @@ const userSchema = new mongoose.Schema(
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
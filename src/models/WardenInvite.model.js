@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { STAFF_ROLES } from '../config/permissions.js';
+
+/**
+ * WardenInvite - the only way to create a staff account (unless setup mode is on).
+ * Issued by an existing warden or from the CLI bootstrap script; redeemed once.
+ */
+const wardenInviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Please provide an email'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    // Staff role the account is created with
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      default: 'warden',
+    },
+    // Hostels the account is assigned to on acceptance; empty = campus-wide invite
+    hostels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hostel',
+      },
+    ],
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Empty when issued from the CLI bootstrap script
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+wardenInviteSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+const WardenInvite = mongoose.model('WardenInvite', wardenInviteSchema);
+
+export default WardenInvite;
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  getAcademicYears,
+  createAcademicYear,
+  previewRollover,
+  rolloverAcademicYear,
+} from '../controllers/academicYear.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
+import { STAFF_ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/academic-years
+ * @desc    List academic years
+ * @access  Private (Staff)
+ */
+router.get('/', authorize(...STAFF_ROLES), getAcademicYears);
+
+/**
+ * @route   POST /api/academic-years
+ * @desc    Create an academic year
+ * @access  Private (academic:manage)
+ */
+router.post('/', requirePermission('academic:manage'), createAcademicYear);
+
+/**
+ * @route   POST /api/academic-years/:id/rollover/preview
+ * @desc    Preview a rollover (promotions and graduations) without changing anything
+ * @access  Private (academic:manage)
+ */
+router.post('/:id/rollover/preview', requirePermission('academic:manage'), previewRollover);
+
+/**
+ * @route   POST /api/academic-years/:id/rollover
+ * @desc    Roll over into the academic year
+ * @access  Private (academic:manage)
+ */
+router.post('/:id/rollover', requirePermission('academic:manage'), rolloverAcademicYear);
+
+export default router;
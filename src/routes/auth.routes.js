@@ -1,16 +1,47 @@
 import express from 'express';
-import { login, wardenSignup, changePassword } from '../controllers/auth.controller.js';
+import {
+  login,
+  wardenSignup,
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  getMySessions,
+  revokeMySession,
+  forgotPassword,
+  resetPassword,
+  activateAccount,
+} from '../controllers/auth.controller.js';
+import { acceptWardenInvite } from '../controllers/wardenInvite.controller.js';
+import { unlockAccount } from '../controllers/accountLock.controller.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifyTwoFactorLogin,
+} from '../controllers/twoFactor.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
+import { authorizeForTwoFactorSetup } from '../middleware/role.middleware.js';
+import { STAFF_ROLES } from '../config/permissions.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/auth/warden-signup
- * @desc    Register warden account (warden only)
- * @access  Public
+ * @desc    Register warden account (setup mode only)
+ * @access  Public (only when WARDEN_SIGNUP_ENABLED=true)
  */
 router.post('/warden-signup', wardenSignup);
 
+/**
+ * @route   POST /api/auth/accept-invite
+ * @desc    Accept warden invitation and set password
+ * @access  Public (requires invite token)
+ */
+router.post('/accept-invite', acceptWardenInvite);
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user (student or warden)
@@ -25,4 +56,109 @@ router.post('/login', login);
  */
 router.put('/change-password', protect, changePassword);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a one-time password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', resetPassword);
+
+/**
+ * @route   POST /api/auth/activate
+ * @desc    Activate student/parent account by setting a password
+ * @access  Public (requires activation token)
+ */
+router.post('/activate', activateAccount);
+
+/**
+ * @route   POST /api/auth/unlock
+ * @desc    Unlock account locked after failed logins
+ * @access  Public (requires unlock token)
+ */
+router.post('/unlock', unlockAccount);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires valid refresh token)
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout current device (revoke session of the refresh token)
+ * @access  Public (requires refresh token)
+ */
+router.post('/logout', logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices
+ * @access  Private
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of current user
+ * @access  Private
+ */
+router.get('/sessions', protect, getMySessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one session (e.g. lost device)
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, revokeMySession);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step for wardens with 2FA (TOTP or backup code)
+ * @access  Public (requires challenge token from login)
+ */
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    Get 2FA status
+ * @access  Private (Staff only)
+ */
+router.get('/2fa/status', protect, authorizeForTwoFactorSetup(...STAFF_ROLES), getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrolment (secret, otpauth URI, QR code)
+ * @access  Private (Staff only)
+ */
+router.post('/2fa/setup', protect, authorizeForTwoFactorSetup(...STAFF_ROLES), setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code and receive backup codes
+ * @access  Private (Staff only)
+ */
+router.post('/2fa/enable', protect, authorizeForTwoFactorSetup(...STAFF_ROLES), enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (password + code required)
+ * @access  Private (Staff only)
+ */
+router.post('/2fa/disable', protect, authorizeForTwoFactorSetup(...STAFF_ROLES), disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Regenerate backup codes
+ * @access  Private (Staff only)
+ */
+router.post('/2fa/backup-codes', protect, authorizeForTwoFactorSetup(...STAFF_ROLES), regenerateBackupCodes);
+
 export default router;
@@ -7,7 +7,7 @@ import {
   wardenSendMessage,
 } from '../controllers/chat.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
 
 const router = express.Router();
 
@@ -18,8 +18,8 @@ router.get('/', authorize('parent'), getMyChat);
 router.post('/message', authorize('parent'), sendMessage);
 
 // Warden chat
-router.get('/warden', authorize('warden'), getWardenChats);
-router.get('/warden/:chatId', authorize('warden'), getWardenChatById);
-router.post('/warden/:chatId/message', authorize('warden'), wardenSendMessage);
+router.get('/warden', requirePermission('chat:read'), getWardenChats);
+router.get('/warden/:chatId', requirePermission('chat:read'), getWardenChatById);
+router.post('/warden/:chatId/message', requirePermission('chat:write'), wardenSendMessage);
 
 export default router;
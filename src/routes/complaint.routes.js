@@ -6,7 +6,7 @@ import {
   updateComplaintStatus,
 } from '../controllers/complaint.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
 
 const router = express.Router();
 
@@ -17,8 +17,8 @@ router.use(protect);
 router.post('/', authorize('student'), createComplaint);
 router.get('/my', authorize('student'), getMyComplaints);
 
-// Warden routes
-router.get('/', authorize('warden'), getAllComplaints);
-router.put('/:id/status', authorize('warden'), updateComplaintStatus);
+// Staff routes
+router.get('/', requirePermission('complaints:read'), getAllComplaints);
+router.put('/:id/status', requirePermission('complaints:manage'), updateComplaintStatus);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  uploadDocument,
+  getDocuments,
+  getDocumentUrl,
+  downloadDocument,
+  updateDocumentStatus,
+  deleteDocument,
+} from '../controllers/document.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+// Documents are uploaded as multipart/form-data and parsed in the controller
+const documentUpload = express.raw({
+  type: 'multipart/form-data',
+  limit: '10mb',
+});
+
+/**
+ * @route   GET /api/documents/:id/download
+ * @desc    Download through a signed URL (the signature replaces the login)
+ * @access  Public (signed URL)
+ */
+router.get('/:id/download', downloadDocument);
+
+// Everything else requires authentication
+router.use(protect);
+
+// Staff, or students and parents for their own/child's documents
+router.get('/', requirePermission('documents:read', 'documents:read:own'), getDocuments);
+router.get('/:id/url', requirePermission('documents:read', 'documents:read:own'), getDocumentUrl);
+router.post('/', requirePermission('documents:write', 'documents:write:own'), documentUpload, uploadDocument);
+
+// Staff only
+router.put('/:id/status', requirePermission('documents:verify'), updateDocumentStatus);
+router.delete('/:id', requirePermission('documents:write'), deleteDocument);
+
+export default router;
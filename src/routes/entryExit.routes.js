@@ -6,30 +6,31 @@ import {
   getMyLogs,
 } from '../controllers/entryExit.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
+import { protectUserOrDevice, requireDeviceAction } from '../middleware/deviceAuth.middleware.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/entry-exit/entry
  * @desc    Mark entry
- * @access  Private
+ * @access  Private (Student for self, entryExit:mark, or gate device key in X-Device-Key)
  */
-router.post('/entry', protect, markEntry);
+router.post('/entry', protectUserOrDevice, requireDeviceAction('entry'), markEntry);
 
 /**
  * @route   POST /api/entry-exit/exit
  * @desc    Mark exit
- * @access  Private
+ * @access  Private (Student for self, entryExit:mark, or gate device key in X-Device-Key)
  */
-router.post('/exit', protect, markExit);
+router.post('/exit', protectUserOrDevice, requireDeviceAction('exit'), markExit);
 
 /**
  * @route   GET /api/entry-exit/logs
  * @desc    Get all entry-exit logs
- * @access  Private (Warden only)
+ * @access  Private (entryExit:read)
  */
-router.get('/logs', protect, authorize('warden'), getAllLogs);
+router.get('/logs', protect, requirePermission('entryExit:read'), getAllLogs);
 
 /**
  * @route   GET /api/entry-exit/my-logs
@@ -8,13 +8,13 @@ import {
   deleteFee,
 } from '../controllers/fee.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/fees
- * @desc    Get all fees (warden) or own fees (student)
+ * @desc    Get all fees (fees:read) or own fees (student)
  * @access  Private
  */
 router.get('/', protect, getFees);
@@ -22,16 +22,16 @@ router.get('/', protect, getFees);
 /**
  * @route   POST /api/fees
  * @desc    Create fee record
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
-router.post('/', protect, authorize('warden'), createFee);
+router.post('/', protect, requirePermission('fees:write'), createFee);
 
 /**
  * @route   PUT /api/fees/:id/mark-paid
  * @desc    Mark fee as paid
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
-router.put('/:id/mark-paid', protect, authorize('warden'), markFeePaid);
+router.put('/:id/mark-paid', protect, requirePermission('fees:write'), markFeePaid);
 
 /**
  * @route   GET /api/fees/:id
@@ -43,15 +43,15 @@ router.get('/:id', protect, getFeeById);
 /**
  * @route   PUT /api/fees/:id
  * @desc    Update fee record
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
-router.put('/:id', protect, authorize('warden'), updateFee);
+router.put('/:id', protect, requirePermission('fees:write'), updateFee);
 
 /**
  * @route   DELETE /api/fees/:id
  * @desc    Delete fee record
- * @access  Private (Warden only)
+ * @access  Private (fees:write)
  */
-router.delete('/:id', protect, authorize('warden'), deleteFee);
+router.delete('/:id', protect, requirePermission('fees:write'), deleteFee);
 
 export default router;
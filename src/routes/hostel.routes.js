@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+  createHostel,
+  getHostels,
+  updateHostel,
+  createBlock,
+  getBlocks,
+} from '../controllers/hostel.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
+import { STAFF_ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/hostels
+ * @desc    List hostels the user manages (all for campus-wide roles)
+ * @access  Private (Staff)
+ */
+router.get('/', authorize(...STAFF_ROLES), getHostels);
+
+/**
+ * @route   POST /api/hostels
+ * @desc    Create a hostel
+ * @access  Private (hostels:manage)
+ */
+router.post('/', requirePermission('hostels:manage'), createHostel);
+
+/**
+ * @route   PUT /api/hostels/:id
+ * @desc    Update a hostel
+ * @access  Private (hostels:manage)
+ */
+router.put('/:id', requirePermission('hostels:manage'), updateHostel);
+
+/**
+ * @route   GET /api/hostels/:id/blocks
+ * @desc    List blocks of a hostel
+ * @access  Private (Staff of that hostel)
+ */
+router.get('/:id/blocks', authorize(...STAFF_ROLES), getBlocks);
+
+/**
+ * @route   POST /api/hostels/:id/blocks
+ * @desc    Add a block to a hostel
+ * @access  Private (hostels:manage)
+ */
+router.post('/:id/blocks', requirePermission('hostels:manage'), createBlock);
+
+export default router;
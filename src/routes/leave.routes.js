@@ -7,8 +7,15 @@ import {
   cancelMyLeaveRequest,
   parentApproveOrReject,
 } from '../controllers/leave.controller.js';
+import {
+  getLeavePolicies,
+  getEffectiveLeavePolicy,
+  createLeavePolicy,
+  updateLeavePolicy,
+  deleteLeavePolicy,
+} from '../controllers/leavePolicy.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
 
 const router = express.Router();
 
@@ -23,8 +30,15 @@ router.put('/:id/cancel', authorize('student'), cancelMyLeaveRequest);
 // Parent routes
 router.put('/:id/parent-approval', authorize('parent'), parentApproveOrReject);
 
-// Warden routes
-router.get('/', authorize('warden'), getAllLeaveRequests);
-router.put('/:id/status', authorize('warden'), updateLeaveStatus);
+// Leave policy (rules checked when a student submits a request)
+router.get('/policies', requirePermission('leaves:read'), getLeavePolicies);
+router.get('/policies/effective', requirePermission('leaves:read'), getEffectiveLeavePolicy);
+router.post('/policies', requirePermission('leaves:policy'), createLeavePolicy);
+router.put('/policies/:id', requirePermission('leaves:policy'), updateLeavePolicy);
+router.delete('/policies/:id', requirePermission('leaves:policy'), deleteLeavePolicy);
+
+// Staff routes
+router.get('/', requirePermission('leaves:read'), getAllLeaveRequests);
+router.put('/:id/status', requirePermission('leaves:approve'), updateLeaveStatus);
 
 export default router;
\ No newline at end of file
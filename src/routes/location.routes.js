@@ -8,15 +8,15 @@ import {
   reportPermission,
 } from '../controllers/location.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 // Student: Toggle and update location
-// Only warden can enable/disable tracking for a student
-router.put('/:studentId/tracking', authorize('warden'), setTrackingForStudent);
+// Only staff with location:tracking can enable/disable tracking for a student
+router.put('/:studentId/tracking', requirePermission('location:tracking'), setTrackingForStudent);
 
 // Student: update location and view own status
 // Accept both PUT and POST /update for compatibility
@@ -26,12 +26,12 @@ router.get('/me', authorize('student'), getMyLocationStatus);
 // Student: report permission (granted/denied)
 router.post('/permission', authorize('student'), reportPermission);
 
-// Warden or Parent: Get student location (if enabled)
+// Staff or Parent (own child only): Get student location (if enabled)
 // Provide convenient aliases: /latest/:studentId and /:studentId
-router.get('/latest/:studentId', authorize('warden', 'parent'), getStudentLocation);
-router.get('/:studentId', authorize('warden', 'parent'), getStudentLocation);
-// Warden or Parent: Get student's location history (default last 30 days)
-router.get('/history/:studentId', authorize('warden', 'parent'), getStudentLocationHistory);
-router.get('/:studentId/history', authorize('warden', 'parent'), getStudentLocationHistory);
+router.get('/latest/:studentId', requirePermission('location:read', 'location:read:own'), getStudentLocation);
+router.get('/:studentId', requirePermission('location:read', 'location:read:own'), getStudentLocation);
+// Staff or Parent (own child only): Get student's location history (default last 30 days)
+router.get('/history/:studentId', requirePermission('location:read', 'location:read:own'), getStudentLocationHistory);
+router.get('/:studentId/history', requirePermission('location:read', 'location:read:own'), getStudentLocationHistory);
 
 export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   registerParent,
+  getMyChildren,
   getMyChild,
   getChildRoom,
   getChildFees,
@@ -8,9 +9,21 @@ import {
   getChildLeaves,
   getChildStatus,
   getChildLocation,
+  getChildDashboard,
 } from '../controllers/parent.controller.js';
+import {
+  getParentAccounts,
+  getParentAccount,
+  linkParentAccount,
+  updateParentLink,
+  unlinkParentAccount,
+  deactivateParentAccount,
+  reactivateParentAccount,
+  resendParentCredentials,
+} from '../controllers/parentAccount.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
+import { requireActivation } from '../middleware/requireActivation.middleware.js';
 
 const router = express.Router();
 
@@ -19,17 +32,36 @@ router.use(protect);
 /**
  * Warden: Register parent for a student
  */
-router.post('/register', authorize('warden'), registerParent);
+router.post('/register', requirePermission('parents:manage'), registerParent);
+
+/**
+ * Warden: Manage parent accounts and their links to students
+ */
+router.get('/accounts', requirePermission('parents:manage'), getParentAccounts);
+router.get('/accounts/:userId', requirePermission('parents:manage'), getParentAccount);
+router.post('/accounts/:userId/links', requirePermission('parents:manage'), linkParentAccount);
+router.put('/accounts/:userId/links/:studentId', requirePermission('parents:manage'), updateParentLink);
+router.delete('/accounts/:userId/links/:studentId', requirePermission('parents:manage'), unlinkParentAccount);
+router.put('/accounts/:userId/deactivate', requirePermission('parents:manage'), deactivateParentAccount);
+router.put('/accounts/:userId/reactivate', requirePermission('parents:manage'), reactivateParentAccount);
+router.post('/accounts/:userId/resend-credentials', requirePermission('parents:manage'), resendParentCredentials);
+
+/**
+ * Parent: List linked children (for the child selector)
+ */
+router.get('/children', authorize('parent'), requireActivation, getMyChildren);
 
 /**
  * Parent: Get linked child info and various child data
+ * Parents with several children select one with ?studentId=
  */
-router.get('/child', authorize('parent'), getMyChild);
-router.get('/child/room', authorize('parent'), getChildRoom);
-router.get('/child/fees', authorize('parent'), getChildFees);
-router.get('/child/entry-exit', authorize('parent'), getChildEntryExit);
-router.get('/child/leaves', authorize('parent'), getChildLeaves);
-router.get('/child/status', authorize('parent'), getChildStatus);
-router.get('/child/location', authorize('parent'), getChildLocation);
+router.get('/child/dashboard', authorize('parent'), requireActivation, getChildDashboard);
+router.get('/child', authorize('parent'), requireActivation, getMyChild);
+router.get('/child/room', authorize('parent'), requireActivation, getChildRoom);
+router.get('/child/fees', authorize('parent'), requireActivation, getChildFees);
+router.get('/child/entry-exit', authorize('parent'), requireActivation, getChildEntryExit);
+router.get('/child/leaves', authorize('parent'), requireActivation, getChildLeaves);
+router.get('/child/status', authorize('parent'), requireActivation, getChildStatus);
+router.get('/child/location', authorize('parent'), requireActivation, getChildLocation);
 
 export default router;
@@ -1,16 +1,16 @@
 import express from 'express';
 import { getPaymentSummary, payMyFees } from '../controllers/payment.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/payments
  * @desc    Get payment summary for all students
- * @access  Private (Warden only)
+ * @access  Private (payments:read)
  */
-router.get('/', protect, authorize('warden'), getPaymentSummary);
+router.get('/', protect, requirePermission('payments:read'), getPaymentSummary);
 
 /**
  * @route   POST /api/payments/pay
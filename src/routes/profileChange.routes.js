@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  createProfileChangeRequest,
+  getMyProfileChangeRequests,
+  cancelMyProfileChangeRequest,
+  getProfileChangeRequests,
+  updateProfileChangeStatus,
+} from '../controllers/profileChange.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Student routes (specific routes before generic ones)
+router.post('/', authorize('student'), createProfileChangeRequest);
+router.get('/my', authorize('student'), getMyProfileChangeRequests);
+router.put('/:id/cancel', authorize('student'), cancelMyProfileChangeRequest);
+
+// Staff routes
+router.get('/', requirePermission('students:read'), getProfileChangeRequests);
+router.put('/:id/status', requirePermission('students:write'), updateProfileChangeStatus);
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import {
+  createRoom,
+  getRooms,
+  getRoomById,
+  updateRoom,
+  allocateRoom,
+  vacateRoom,
+  swapRooms,
+  getOccupancyReport,
+} from '../controllers/room.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/rooms/occupancy/report
+ * @desc    Occupancy per hostel, block and floor
+ * @access  Private (rooms:read)
+ */
+router.get('/occupancy/report', requirePermission('rooms:read'), getOccupancyReport);
+
+/**
+ * @route   POST /api/rooms/allocate
+ * @desc    Allocate (or move) a student to a bed
+ * @access  Private (rooms:manage)
+ */
+router.post('/allocate', requirePermission('rooms:manage'), allocateRoom);
+
+/**
+ * @route   POST /api/rooms/vacate
+ * @desc    Vacate a student's bed
+ * @access  Private (rooms:manage)
+ */
+router.post('/vacate', requirePermission('rooms:manage'), vacateRoom);
+
+/**
+ * @route   POST /api/rooms/swap
+ * @desc    Swap the beds of two students
+ * @access  Private (rooms:manage)
+ */
+router.post('/swap', requirePermission('rooms:manage'), swapRooms);
+
+/**
+ * @route   GET /api/rooms
+ * @desc    List rooms with occupancy
+ * @access  Private (rooms:read)
+ */
+router.get('/', requirePermission('rooms:read'), getRooms);
+
+/**
+ * @route   POST /api/rooms
+ * @desc    Create a room with its beds
+ * @access  Private (rooms:manage)
+ */
+router.post('/', requirePermission('rooms:manage'), createRoom);
+
+/**
+ * @route   GET /api/rooms/:id
+ * @desc    Get a room with beds and occupants
+ * @access  Private (rooms:read)
+ */
+router.get('/:id', requirePermission('rooms:read'), getRoomById);
+
+/**
+ * @route   PUT /api/rooms/:id
+ * @desc    Update a room (capacity changes add/remove free beds)
+ * @access  Private (rooms:manage)
+ */
+router.put('/:id', requirePermission('rooms:manage'), updateRoom);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  createRoomChangeRequest,
+  getMyRoomChangeRequests,
+  cancelMyRoomChangeRequest,
+  getRoomChangeRequests,
+  updateRoomChangeStatus,
+} from '../controllers/roomChange.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Student routes (specific routes before generic ones)
+router.post('/', authorize('student'), createRoomChangeRequest);
+router.get('/my', authorize('student'), getMyRoomChangeRequests);
+router.put('/:id/cancel', authorize('student'), cancelMyRoomChangeRequest);
+
+// Staff routes
+router.get('/', requirePermission('rooms:read'), getRoomChangeRequests);
+router.put('/:id/status', requirePermission('rooms:manage'), updateRoomChangeStatus);
+
+export default router;
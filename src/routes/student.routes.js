@@ -6,61 +6,188 @@ import {
   createStudent,
   updateStudent,
   deleteStudent,
+  restoreArchivedStudent,
+  purgeArchivedStudent,
   getAllStudentsWithLocations,
 } from '../controllers/student.controller.js';
+import {
+  downloadImportTemplate,
+  previewStudentImport,
+  importStudents,
+} from '../controllers/studentImport.controller.js';
+import {
+  uploadMyPhoto,
+  uploadStudentPhoto,
+  getPendingPhotos,
+  reviewStudentPhoto,
+  servePhoto,
+} from '../controllers/studentPhoto.controller.js';
+import {
+  getMedicalRecord,
+  updateMedicalRecord,
+  getEmergencySheet,
+} from '../controllers/medical.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
-import { requirePasswordChange } from '../middleware/requirePasswordChange.middleware.js';
+import { authorize, requirePermission } from '../middleware/role.middleware.js';
+import { requireActivation } from '../middleware/requireActivation.middleware.js';
 
 const router = express.Router();
 
+// Rosters are uploaded as the raw request body (XLSX or CSV)
+const rosterUpload = express.raw({
+  type: [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+    'text/csv',
+    'application/octet-stream',
+  ],
+  limit: '5mb',
+});
+
+// Photos are uploaded as the raw request body and resized on the server
+const photoUpload = express.raw({
+  type: ['image/jpeg', 'image/png', 'image/webp'],
+  limit: '5mb',
+});
+
 /**
  * @route   GET /api/students/profile
  * @desc    Get student's own profile
- * @access  Private (Student only, password change required if temp password)
+ * @access  Private (Student only, account must be activated)
  */
-router.get('/profile', protect, authorize('student'), requirePasswordChange, getMyProfile);
+router.get('/profile', protect, authorize('student'), requireActivation, getMyProfile);
 
 /**
  * @route   GET /api/students/locations/all
  * @desc    Get all students with their live locations (warden dashboard)
- * @access  Private (Warden only)
+ * @access  Private (location:read)
  */
-router.get('/locations/all', protect, authorize('warden'), getAllStudentsWithLocations);
+router.get('/locations/all', protect, requirePermission('location:read'), getAllStudentsWithLocations);
 
 /**
  * @route   GET /api/students
- * @desc    Get all students
- * @access  Private (Warden only)
+ * @desc    Search, filter and page through students
+ * @access  Private (students:read)
  */
-router.get('/', protect, authorize('warden'), getAllStudents);
+router.get('/', protect, requirePermission('students:read'), getAllStudents);
 
 /**
  * @route   POST /api/students
  * @desc    Create new student account
- * @access  Private (Warden only)
+ * @access  Private (students:write)
+ */
+router.post('/', protect, requirePermission('students:write'), createStudent);
+
+/**
+ * @route   GET /api/students/import/template
+ * @desc    Download the roster template for bulk import
+ * @access  Private (students:write)
+ */
+router.get('/import/template', protect, requirePermission('students:write'), downloadImportTemplate);
+
+/**
+ * @route   POST /api/students/import/preview
+ * @desc    Validate a roster without creating anything (dry run)
+ * @access  Private (students:write)
+ */
+router.post('/import/preview', protect, requirePermission('students:write'), rosterUpload, previewStudentImport);
+
+/**
+ * @route   POST /api/students/import
+ * @desc    Bulk create students from a roster (?skipInvalid=true to import only valid rows)
+ * @access  Private (students:write)
+ */
+router.post('/import', protect, requirePermission('students:write'), rosterUpload, importStudents);
+
+/**
+ * @route   POST /api/students/photo
+ * @desc    Upload own photo (waits for warden approval)
+ * @access  Private (Student only)
+ */
+router.post('/photo', protect, authorize('student'), photoUpload, uploadMyPhoto);
+
+/**
+ * @route   GET /api/students/photos/pending
+ * @desc    Student photos waiting for approval
+ * @access  Private (students:read)
+ */
+router.get('/photos/pending', protect, requirePermission('students:read'), getPendingPhotos);
+
+/**
+ * @route   GET /api/students/:id/photo/:version/:size
+ * @desc    Photo image through a signed URL (version: current|pending, size: thumb|medium)
+ * @access  Public (signed URL)
+ */
+router.get('/:id/photo/:version/:size', servePhoto);
+
+/**
+ * @route   POST /api/students/:id/photo
+ * @desc    Set a student's photo directly
+ * @access  Private (students:write)
+ */
+router.post('/:id/photo', protect, requirePermission('students:write'), photoUpload, uploadStudentPhoto);
+
+/**
+ * @route   PUT /api/students/:id/photo/status
+ * @desc    Approve or reject a student's pending photo
+ * @access  Private (students:write)
+ */
+router.put('/:id/photo/status', protect, requirePermission('students:write'), reviewStudentPhoto);
+
+/**
+ * @route   GET /api/students/:id/medical
+ * @desc    Emergency contacts and medical information
+ * @access  Private (medical:read)
+ */
+router.get('/:id/medical', protect, requirePermission('medical:read'), getMedicalRecord);
+
+/**
+ * @route   PUT /api/students/:id/medical
+ * @desc    Update emergency contacts and medical information
+ * @access  Private (medical:write)
+ */
+router.put('/:id/medical', protect, requirePermission('medical:write'), updateMedicalRecord);
+
+/**
+ * @route   GET /api/students/:id/emergency-sheet
+ * @desc    Everything needed about a student during an incident, in one call
+ * @access  Private (medical:read)
  */
-router.post('/', protect, authorize('warden'), createStudent);
+router.get('/:id/emergency-sheet', protect, requirePermission('medical:read'), getEmergencySheet);
 
 /**
  * @route   GET /api/students/:id
  * @desc    Get student by ID
- * @access  Private (Warden only)
+ * @access  Private (students:read)
  */
-router.get('/:id', protect, authorize('warden'), getStudentById);
+router.get('/:id', protect, requirePermission('students:read'), getStudentById);
 
 /**
  * @route   PUT /api/students/:id
  * @desc    Update student details
- * @access  Private (Warden only)
+ * @access  Private (students:write)
  */
-router.put('/:id', protect, authorize('warden'), updateStudent);
+router.put('/:id', protect, requirePermission('students:write'), updateStudent);
 
 /**
  * @route   DELETE /api/students/:id
- * @desc    Delete student account
- * @access  Private (Warden only)
+ * @desc    Archive student account (soft delete)
+ * @access  Private (students:delete)
+ */
+router.delete('/:id', protect, requirePermission('students:delete'), deleteStudent);
+
+/**
+ * @route   POST /api/students/:id/restore
+ * @desc    Restore an archived student account
+ * @access  Private (students:delete)
+ */
+router.post('/:id/restore', protect, requirePermission('students:delete'), restoreArchivedStudent);
+
+/**
+ * @route   DELETE /api/students/:id/purge
+ * @desc    Permanently delete an archived student and all related records
+ * @access  Private (students:purge)
  */
-router.delete('/:id', protect, authorize('warden'), deleteStudent);
+router.delete('/:id/purge', protect, requirePermission('students:purge'), purgeArchivedStudent);
 
 export default router;
@@ -1,13 +1,64 @@
 import express from 'express';
 import { exportOutingReport } from '../controllers/leave.controller.js';
+import { resendActivationInvite } from '../controllers/auth.controller.js';
+import { getLockedAccounts, clearAccountLock } from '../controllers/accountLock.controller.js';
+import {
+  createWardenInvite,
+  getWardenInvites,
+  revokeWardenInvite,
+} from '../controllers/wardenInvite.controller.js';
+import {
+  getStaff,
+  getStaffRoles,
+  updateStaffRole,
+  updateStaffHostels,
+} from '../controllers/staff.controller.js';
+import { getAuditLogs, exportAuditLogs, verifyAuditLogs } from '../controllers/auditLog.controller.js';
+import {
+  registerDevice,
+  getDevices,
+  updateDevice,
+  rotateDeviceKey,
+  revokeDevice,
+} from '../controllers/gateDevice.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { authorize } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 // Outing reports
-router.get('/outing/export', authorize('warden'), exportOutingReport);
+router.get('/outing/export', requirePermission('reports:export'), exportOutingReport);
+
+// Staff invitations (invite-only onboarding)
+router.post('/invites', requirePermission('staff:manage'), createWardenInvite);
+router.get('/invites', requirePermission('staff:manage'), getWardenInvites);
+router.delete('/invites/:id', requirePermission('staff:manage'), revokeWardenInvite);
+
+// Staff accounts and roles
+router.get('/staff', requirePermission('staff:manage'), getStaff);
+router.get('/staff/roles', requirePermission('staff:manage'), getStaffRoles);
+router.put('/staff/:userId/role', requirePermission('staff:manage'), updateStaffRole);
+router.put('/staff/:userId/hostels', requirePermission('staff:manage'), updateStaffHostels);
+
+// Resend activation link to a pending student/parent account
+router.post('/users/:userId/resend-invite', requirePermission('accounts:manage'), resendActivationInvite);
+
+// Accounts/IPs locked after repeated failed logins
+router.get('/locked-accounts', requirePermission('accounts:manage'), getLockedAccounts);
+router.delete('/locked-accounts/:id', requirePermission('accounts:manage'), clearAccountLock);
+
+// Audit log of staff actions
+router.get('/audit-logs', requirePermission('audit:read'), getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit:read'), exportAuditLogs);
+router.get('/audit-logs/verify', requirePermission('audit:read'), verifyAuditLogs);
+
+// Gate devices (QR kiosks, biometric terminals) authenticating with API keys
+router.post('/devices', requirePermission('devices:manage'), registerDevice);
+router.get('/devices', requirePermission('devices:manage'), getDevices);
+router.put('/devices/:id', requirePermission('devices:manage'), updateDevice);
+router.post('/devices/:id/rotate-key', requirePermission('devices:manage'), rotateDeviceKey);
+router.delete('/devices/:id', requirePermission('devices:manage'), revokeDevice);
 
 export default router;
@@ -1,5 +1,6 @@
 import app from './app.js';
 import connectDB from './config/db.js';
+import { applyDueRoomChanges } from './utils/roomChanges.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
@@ -23,6 +24,13 @@ if (process.env.MONGO_URI) {
   process.exit(1);
 }
 
+// Behind a reverse proxy (Render, Vercel, nginx) req.ip must come from X-Forwarded-For
+// so login throttling is per client rather than per proxy
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Connect to database and start server
 connectDB().then(async () => {
   const PORT = process.env.PORT || 5000;
@@ -35,7 +43,7 @@ connectDB().then(async () => {
   // Initialize Socket.IO for real-time updates
   try {
     const { Server: IOServer } = await import('socket.io');
-    const { setIO } = await import('./utils/socket.js');
+    const { setIO, canJoinRoom } = await import('./utils/socket.js');
     const io = new IOServer(server, {
       cors: {
         origin: process.env.SOCKET_CORS_ORIGIN || '*',
@@ -48,9 +56,18 @@ connectDB().then(async () => {
     io.on('connection', (socket) => {
       console.log('🔌 Socket connected:', socket.id);
 
-      socket.on('join', (room) => {
-        socket.join(room);
-        console.log(`Socket ${socket.id} joined room ${room}`);
+      // Staff alert rooms need the access token (second argument or handshake auth.token)
+      socket.on('join', async (room, token) => {
+        try {
+          if (!(await canJoinRoom(String(room), token || socket.handshake.auth?.token))) {
+            socket.emit('join:denied', room);
+            return;
+          }
+          socket.join(room);
+          console.log(`Socket ${socket.id} joined room ${room}`);
+        } catch (err) {
+          console.error('❌ Socket join error:', err?.message || err);
+        }
       });
 
       socket.on('leave', (room) => {
@@ -66,6 +83,15 @@ connectDB().then(async () => {
     console.warn('⚠️ Socket.IO not initialized:', err?.message || err);
   }
 
+  // Approved room changes with a future effective date are applied once it arrives
+  const runDueRoomChanges = () => {
+    applyDueRoomChanges().catch((err) => {
+      console.error('❌ Room change scheduler error:', err?.message || err);
+    });
+  };
+  runDueRoomChanges();
+  setInterval(runDueRoomChanges, 15 * 60 * 1000);
+
   server.on('error', (err) => {
     console.error('❌ Server error:', err);
     process.exit(1);
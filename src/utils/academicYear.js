@@ -0,0 +1,190 @@
+import mongoose from 'mongoose';
+import AcademicYear from '../models/AcademicYear.model.js';
+import Student from '../models/Student.model.js';
+import Fee from '../models/Fee.model.js';
+import Leave from '../models/Leave.model.js';
+import Complaint from '../models/Complaint.model.js';
+import EntryExit from '../models/EntryExit.model.js';
+import { archiveStudent } from './studentArchive.js';
+
+// Collections whose records are stamped with their academic year at rollover
+const YEAR_STAMPED_MODELS = { fees: Fee, leaves: Leave, complaints: Complaint, entryExits: EntryExit };
+
+/**
+ * Filter for records of an academic year. Records of the current year are not stamped yet.
+ * @param {string} [academicYearId] - Requested year (query parameter)
+ * @returns {Promise<Object>} Mongo filter on academicYearId ({} when no year requested)
+ */
+export const getAcademicYearFilter = async (academicYearId) => {
+  if (!academicYearId) {
+    return {};
+  }
+  if (!mongoose.Types.ObjectId.isValid(academicYearId)) {
+    return { _id: null };
+  }
+  const year = await AcademicYear.findById(academicYearId).select('isCurrent');
+  if (!year) {
+    return { _id: null };
+  }
+  return { academicYearId: year.isCurrent ? null : year._id };
+};
+
+const isClassName = (value) => typeof value === 'string' && value.trim() !== '';
+
+// A rollover that has been running this long is assumed to have crashed and may be retried
+const ROLLOVER_LEASE_MS = 15 * 60 * 1000;
+
+/**
+ * Check a rollover plan and work out which active students it affects
+ * @param {Object} plan
+ * @param {Object<string, string>} plan.promotions - Class renames, e.g. { '1st Year': '2nd Year' }
+ * @param {string[]} plan.graduatingClasses - Classes whose students graduate
+ * @returns {Promise<{error?: string, promotions?: Array<Object>, graduating?: Array<Object>, unchanged?: Array<Object>}>}
+ */
+export const planRollover = async ({ promotions = {}, graduatingClasses = [] }) => {
+  if (!promotions || typeof promotions !== 'object' || Array.isArray(promotions) || !Array.isArray(graduatingClasses)) {
+    return { error: 'promotions must map class to next class and graduatingClasses must be a list' };
+  }
+  const invalidTargets = Object.entries(promotions).filter(([from, to]) => !isClassName(to) || to.trim() === from);
+  if (invalidTargets.length) {
+    return { error: `Promotion target must be a class name different from the current class for: ${invalidTargets.map(([from]) => from).join(', ')}` };
+  }
+  if (!graduatingClasses.every(isClassName)) {
+    return { error: 'graduatingClasses must be a list of class names' };
+  }
+  const overlap = graduatingClasses.filter((cls) => Object.prototype.hasOwnProperty.call(promotions, cls));
+  if (overlap.length) {
+    return { error: `Classes cannot be both promoted and graduated: ${overlap.join(', ')}` };
+  }
+
+  const counts = await Student.aggregate([
+    { $match: { archivedAt: null } },
+    { $group: { _id: '$class', count: { $sum: 1 } } },
+  ]);
+  const countByClass = new Map(counts.map((c) => [c._id, c.count]));
+
+  return {
+    promotions: Object.entries(promotions).map(([from, to]) => ({
+      from,
+      to: to.trim(),
+      students: countByClass.get(from) || 0,
+    })),
+    graduating: graduatingClasses.map((cls) => ({ class: cls, students: countByClass.get(cls) || 0 })),
+    unchanged: counts
+      .filter((c) => !Object.prototype.hasOwnProperty.call(promotions, c._id) && !graduatingClasses.includes(c._id))
+      .map((c) => ({ class: c._id, students: c.count })),
+  };
+};
+
+/**
+ * Roll over into a new academic year:
+ * stamp the closing year's records, graduate final-year students (archived, bed vacated,
+ * records read-only), promote the other classes and make the new year current.
+ * Every step can be repeated safely, and the year is only marked activated once all of
+ * them succeeded, so a failed rollover is simply run again and resumes with its first plan.
+ * @param {Object} year - AcademicYear to make current
+ * @param {Object} plan - Same as planRollover
+ * @param {Object} actor - User running the rollover
+ * @returns {Promise<{error?: string, status?: number, summary?: Object}>}
+ */
+export const runRollover = async (year, plan, actor) => {
+  if (year.activatedAt) {
+    return { error: 'This academic year has already been activated', status: 409 };
+  }
+
+  const closingYear = year.rolloverFromYearId
+    ? await AcademicYear.findById(year.rolloverFromYearId)
+    : await AcademicYear.findOne({ isCurrent: true });
+  if (!closingYear) {
+    return { error: 'There is no current academic year to roll over from', status: 400 };
+  }
+
+  // Claim the rollover; a claim left behind by a crashed run expires
+  const now = new Date();
+  const claimed = await AcademicYear.findOneAndUpdate(
+    {
+      _id: year._id,
+      activatedAt: null,
+      $or: [{ rolloverStartedAt: null }, { rolloverStartedAt: { $lte: new Date(now.getTime() - ROLLOVER_LEASE_MS) } }],
+    },
+    {
+      $set: {
+        rolloverStartedAt: now,
+        rolloverFromYearId: closingYear._id,
+        rolloverPlan: year.rolloverPlan || {
+          promotions: plan.promotions || {},
+          graduatingClasses: plan.graduatingClasses || [],
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await AcademicYear.findById(year._id).select('activatedAt');
+    return current?.activatedAt
+      ? { error: 'This academic year has already been activated', status: 409 }
+      : { error: 'A rollover into this academic year is already running', status: 409 };
+  }
+
+  try {
+    const { promotions = {}, graduatingClasses = [] } = claimed.rolloverPlan;
+    const summary = { closingYear: closingYear.name, stamped: {}, promoted: {}, graduated: 0 };
+
+    // 1. Records of the closing year keep pointing at it
+    for (const [key, Model] of Object.entries(YEAR_STAMPED_MODELS)) {
+      const result = await Model.updateMany({ academicYearId: null }, { $set: { academicYearId: closingYear._id } });
+      summary.stamped[key] = result.modifiedCount;
+    }
+
+    // 2. Graduates become alumni (students just promoted into a graduating class are not graduates)
+    const graduates = await Student.find({
+      archivedAt: null,
+      class: { $in: graduatingClasses },
+      promotedForYearId: { $ne: claimed._id },
+    });
+    for (const student of graduates) {
+      student.graduatedAt = now;
+      student.graduationYearId = closingYear._id;
+      await archiveStudent(student, actor, 'Graduated');
+      summary.graduated += 1;
+    }
+
+    // 3. Promotions: pick every class's students before renaming any, so 1st -> 2nd -> 3rd does not cascade.
+    //    Students are marked with the year, so a resumed run skips those already promoted.
+    const promotionTargets = await Promise.all(
+      Object.entries(promotions).map(async ([from, to]) => ({
+        from,
+        to: to.trim(),
+        ids: await Student.distinct('_id', { archivedAt: null, class: from, promotedForYearId: { $ne: claimed._id } }),
+      }))
+    );
+    for (const { from, to, ids } of promotionTargets) {
+      const result = await Student.updateMany(
+        { _id: { $in: ids }, promotedForYearId: { $ne: claimed._id } },
+        { $set: { class: to, promotedForYearId: claimed._id } }
+      );
+      summary.promoted[from] = result.modifiedCount;
+    }
+
+    // 4. Switch the current year
+    await AcademicYear.updateOne({ _id: closingYear._id }, { $set: { isCurrent: false, closedAt: closingYear.closedAt || now } });
+    await AcademicYear.updateOne(
+      { _id: claimed._id },
+      {
+        $set: {
+          isCurrent: true,
+          activatedAt: new Date(),
+          activatedBy: actor._id,
+          rolloverStartedAt: null,
+          rolloverSummary: summary,
+        },
+      }
+    );
+
+    return { summary };
+  } catch (error) {
+    // Release the claim so the rollover can be retried right away
+    await AcademicYear.updateOne({ _id: claimed._id, activatedAt: null }, { $set: { rolloverStartedAt: null } });
+    throw error;
+  }
+};
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.model.js';
+import { hashToken } from './authTokens.js';
+import { sendActivationEmail, sendParentActivationEmail, sendPasswordResetEmail } from './emailService.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+/**
+ * Activation link lifetime in hours (read lazily so .env is already loaded)
+ * @returns {number}
+ */
+export const getActivationExpireHours = () => parseInt(process.env.ACTIVATION_LINK_EXPIRE_HOURS, 10) || 72;
+
+/**
+ * Create a student/parent account that cannot be used until activated.
+ * The stored password is random and never shown to anyone.
+ * @param {Object} params
+ * @param {string} params.name - User name
+ * @param {string} params.email - Normalized email
+ * @param {string} params.role - 'student' or 'parent'
+ * @returns {Promise<Object>} Created user
+ */
+export const createPendingUser = async ({ name, email, role }) => {
+  return User.create({
+    name,
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    role,
+    accountStatus: 'PendingActivation',
+  });
+};
+
+/**
+ * Issue a signed, expiring activation link for a pending user.
+ * A fresh nonce is stored each time, so only the newest link works and it works once.
+ * @param {Object} user - User document
+ * @returns {Promise<string>} Activation URL
+ */
+export const createActivationLink = async (user) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { $set: { activationNonce: hashToken(nonce) } });
+
+  const token = jwt.sign(
+    { userId: user._id, purpose: 'activation', nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: `${getActivationExpireHours()}h` }
+  );
+
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/#/activate?token=${token}`;
+};
+
+/**
+ * Verify an activation token and load the pending user it belongs to
+ * @param {string} token - Token from the activation link
+ * @returns {Promise<Object|null>} User (with password and nonce selected) or null if invalid
+ */
+export const findUserByActivationToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'activation' || !decoded.nonce) {
+    return null;
+  }
+
+  return User.findOne({
+    _id: decoded.userId,
+    accountStatus: 'PendingActivation',
+    activationNonce: hashToken(decoded.nonce),
+  }).select('+password +activationNonce');
+};
+
+/**
+ * Email a fresh activation link using the template for the user's role.
+ * Email failures are logged by the email service; only database errors reject.
+ * @param {Object} user - Pending user document
+ * @param {string} [studentName] - Child's name (parent emails only)
+ * @returns {Promise<void>}
+ */
+export const sendActivationInvite = async (user, studentName) => {
+  const activationUrl = await createActivationLink(user);
+  const expiresInHours = getActivationExpireHours();
+
+  if (user.role === 'parent') {
+    await sendParentActivationEmail(user.email, user.name, activationUrl, expiresInHours, studentName || 'Your child');
+  } else {
+    await sendActivationEmail(user.email, user.name, activationUrl, expiresInHours);
+  }
+};
+
+/**
+ * Send activation links one after another in the background (bulk onboarding),
+ * so a large batch does not hold up the request or flood the mail server.
+ * @param {Array<{user: Object, studentName?: string}>} invites
+ * @returns {number} Number of queued invites
+ */
+export const queueActivationInvites = (invites) => {
+  (async () => {
+    for (const { user, studentName } of invites) {
+      try {
+        await sendActivationInvite(user, studentName);
+      } catch (error) {
+        console.error(`❌ Failed to send activation email to ${user.email}:`, error.message || error);
+      }
+    }
+  })();
+  return invites.length;
+};
+
+// Read lazily: env is loaded in server.js after this module is imported
+const getResetTokenExpireMinutes = () => parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES, 10) || 30;
+
+/**
+ * Issue a one-time password reset token and email the link.
+ * Issuing a new token replaces any earlier one, so only the latest link works.
+ * @param {Object} user - User document
+ * @returns {Promise<void>} Rejects only when the token cannot be saved
+ */
+export const sendPasswordResetLink = async (user) => {
+  const expiresInMinutes = getResetTokenExpireMinutes();
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  user.passwordResetTokenHash = hashToken(resetToken);
+  user.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  await user.save();
+
+  await sendPasswordResetEmail(user.email, user.name, resetToken, expiresInMinutes);
+};
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.model.js';
+import Student from '../models/Student.model.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_RETRIES = 5;
+
+/**
+ * Convert a document/value to plain JSON (ObjectIds and Dates become strings),
+ * so what is hashed is exactly what is read back from the database
+ */
+const toPlain = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// JSON with sorted keys so the hash does not depend on field order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash of an entry chained to the previous entry's hash
+ * @param {Object} entry - Audit entry (plain object or document)
+ * @returns {string} SHA-256 hex
+ */
+export const computeEntryHash = (entry) => {
+  const payload = canonicalize({
+    seq: entry.seq,
+    actorId: entry.actorId ? String(entry.actorId) : null,
+    actorName: entry.actorName || null,
+    actorRole: entry.actorRole || null,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId || null,
+    // Left out when empty so entries written before hostel scoping keep their hash
+    hostelIds: entry.hostelIds && entry.hostelIds.length > 0 ? entry.hostelIds.map(String) : undefined,
+    before: entry.before ?? null,
+    after: entry.after ?? null,
+    ip: entry.ip || null,
+    userAgent: entry.userAgent || null,
+    createdAt: new Date(entry.createdAt).toISOString(),
+  });
+  return crypto.createHash('sha256').update(`${entry.prevHash}|${payload}`).digest('hex');
+};
+
+/**
+ * Reduce two snapshots to the fields that changed
+ * @param {Object|null} before - State before the action
+ * @param {Object|null} after - State after the action
+ * @param {string[]} [fields] - Only compare these fields
+ * @returns {{before: Object|null, after: Object|null}}
+ */
+export const diffSnapshots = (before, after, fields) => {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  if (!a || !b) {
+    return { before: a, after: b };
+  }
+
+  const keys = fields || [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  const changedBefore = {};
+  const changedAfter = {};
+  keys
+    .filter((key) => !['updatedAt', '__v'].includes(key))
+    .forEach((key) => {
+      if (canonicalize(a[key]) !== canonicalize(b[key])) {
+        changedBefore[key] = a[key] ?? null;
+        changedAfter[key] = b[key] ?? null;
+      }
+    });
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Hostels of the given students, for the hostelIds of an audit entry
+ * @param {...(string|Object)} students - Student IDs or populated student documents
+ * @returns {Promise<string[]>}
+ */
+export const getStudentHostelIds = async (...students) => {
+  const ids = students.filter(Boolean).map((student) => student._id || student);
+  const found = await Student.find({ _id: { $in: ids } }).select('hostelId').lean();
+  return found.map((student) => student.hostelId).filter(Boolean).map(String);
+};
+
+/**
+ * Append an entry to the audit log.
+ * Never throws - a failed audit write is logged and must not fail the request.
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {Object} params
+ * @param {string} params.action - Action name, e.g. 'fee.update'
+ * @param {string} params.targetType - Target model, e.g. 'Fee'
+ * @param {string} [params.targetId] - Target document ID
+ * @param {Array<string|null>} [params.hostelIds] - Hostels the target belongs to (limits which wardens see the entry)
+ * @param {Object} [params.before] - State before (already diffed or full snapshot)
+ * @param {Object} [params.after] - State after
+ * @returns {Promise<Object|null>} Created entry or null on failure
+ */
+export const recordAudit = async (req, { action, targetType, targetId, hostelIds = [], before, after }) => {
+  const hostels = [...new Set(hostelIds.filter(Boolean).map(String))];
+  const base = {
+    actorId: req.user?._id,
+    actorName: req.user?.name,
+    actorRole: req.user?.role,
+    action,
+    targetType,
+    targetId: targetId ? String(targetId) : undefined,
+    hostelIds: hostels.length > 0 ? hostels : undefined,
+    before: toPlain(before),
+    after: toPlain(after),
+    ip: req.ip,
+    userAgent: req.get ? req.get('user-agent') : undefined,
+  };
+
+  // seq is unique, so two concurrent appends cannot both chain onto the same entry
+  for (let attempt = 0; attempt < MAX_APPEND_RETRIES; attempt += 1) {
+    try {
+      const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash');
+      const entry = {
+        ...base,
+        seq: last ? last.seq + 1 : 1,
+        prevHash: last ? last.hash : GENESIS_HASH,
+        createdAt: new Date(),
+      };
+      entry.hash = computeEntryHash(entry);
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error('❌ Audit log write error:', error.message || error);
+        return null;
+      }
+    }
+  }
+
+  console.error(`❌ Audit log write error: could not append '${action}' after ${MAX_APPEND_RETRIES} attempts`);
+  return null;
+};
+
+/**
+ * Walk the whole chain and report the first broken link.
+ * A missing seq number means an entry was deleted; a hash mismatch means one was edited.
+ * headHash can be recorded elsewhere to also detect removal of the newest entries.
+ * @returns {Promise<{valid: boolean, checked: number, headHash?: string, brokenAtSeq?: number, reason?: string}>}
+ */
+export const verifyAuditChain = async () => {
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAtSeq: expectedSeq, reason: 'Entry missing' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAtSeq: entry.seq, reason: 'Previous hash does not match' };
+    }
+    if (computeEntryHash(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAtSeq: entry.seq, reason: 'Entry contents were modified' };
+    }
+    prevHash = entry.hash;
+    expectedSeq += 1;
+    checked += 1;
+  }
+
+  return { valid: true, checked, headHash: checked > 0 ? prevHash : null };
+};
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.model.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+/**
+ * Hash a token for storage (refresh tokens are never stored in plain text)
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || DEFAULT_REFRESH_TOKEN_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Generate short-lived JWT access token bound to a session
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT token
+ */
+export const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      role: user.role,
+      name: user.name,
+      isTempPassword: !!user.isTempPassword,
+      sessionId,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRE || '15m',
+    }
+  );
+};
+
+/**
+ * Refresh tokens have the form `<sessionId>.<random>` so the session can be
+ * looked up directly and the random part compared against the stored hash.
+ */
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return null;
+  }
+  const [sessionId] = refreshToken.split('.');
+  if (!sessionId || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    return null;
+  }
+  return sessionId;
+};
+
+/**
+ * Create a new session for a user and issue an access + refresh token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device info)
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+export const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: getRefreshTokenExpiry(),
+    lastUsedAt: new Date(),
+    userAgent: req?.headers?.['user-agent'],
+    ip: req?.ip,
+  });
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken,
+    sessionId: sessionId.toString(),
+  };
+};
+
+/**
+ * Rotate a refresh token. The presented token is consumed and a new pair is issued.
+ * Presenting an already-rotated token revokes the session (likely token theft).
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Function} loadUser - Async function (userId) => User document
+ * @returns {Promise<{token: string, refreshToken: string, user: Object}|null>} null if invalid
+ */
+export const rotateSession = async (refreshToken, loadUser) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return null;
+  }
+
+  const now = new Date();
+  const active = { revokedAt: null, expiresAt: { $gt: now } };
+  const session = await Session.findOne({ _id: sessionId, ...active }).select('userId');
+  if (!session) {
+    return null;
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) {
+    return null;
+  }
+
+  // Swap the hash in one conditional update, so two refreshes with the same token cannot both win
+  const newRefreshToken = generateRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(refreshToken), ...active },
+    { $set: { refreshTokenHash: hashToken(newRefreshToken), lastUsedAt: now, expiresAt: getRefreshTokenExpiry() } },
+    { new: true }
+  );
+  if (!rotated) {
+    // Old refresh token replayed - kill the session so neither party can keep using it
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'Refresh token reuse detected' } }
+    );
+    return null;
+  }
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken: newRefreshToken,
+    user,
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return false;
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'Logged out' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason stored on the session
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current device)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Check that a session is still active
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Expected owner
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.exists({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return !!session;
+};
@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+import { hashToken } from './authTokens.js';
+
+const KEY_PREFIX = 'hgd_';
+
+/**
+ * Generate a new gate device API key
+ * @returns {{key: string, keyHash: string, keyPrefix: string}} Raw key (shown once), its hash and display prefix
+ */
+export const generateDeviceKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    keyHash: hashToken(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+  };
+};
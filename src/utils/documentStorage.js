@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Storage backends for student documents.
+ * A backend implements:
+ *   save(key, buffer, { mimeType }) -> Promise<void>
+ *   createReadStream(key)           -> Readable
+ *   remove(key)                     -> Promise<void> (missing files are ignored)
+ * `local` (disk) is built in; others (S3, GCS, ...) are added with registerStorageBackend()
+ * and selected with DOCUMENT_STORAGE.
+ */
+
+const getLocalRoot = () => path.resolve(process.env.DOCUMENT_STORAGE_DIR || 'uploads/documents');
+
+const localBackend = {
+  async save(key, buffer) {
+    const filePath = path.join(getLocalRoot(), key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+  createReadStream(key) {
+    return fs.createReadStream(path.join(getLocalRoot(), key));
+  },
+  async remove(key) {
+    try {
+      await fs.promises.unlink(path.join(getLocalRoot(), key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+};
+
+const backends = { local: localBackend };
+
+/**
+ * Register a storage backend
+ * @param {string} name - Name used in DOCUMENT_STORAGE and stored on each document
+ * @param {Object} backend - Object with save, createReadStream and remove
+ */
+export const registerStorageBackend = (name, backend) => {
+  backends[name] = backend;
+};
+
+/**
+ * Backend by name (defaults to the configured one for new uploads)
+ * @param {string} [name] - Backend name
+ * @returns {{name: string, backend: Object}}
+ */
+export const getStorageBackend = (name = process.env.DOCUMENT_STORAGE || 'local') => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown document storage backend '${name}'`);
+  }
+  return { name, backend };
+};
+
+/**
+ * Storage key for a new upload. Keys are generated, never taken from the client,
+ * so they cannot escape the storage root.
+ * @param {string} studentId - Owner of the document
+ * @param {string} fileName - Original file name (only its extension is kept)
+ * @returns {string}
+ */
+export const buildStorageKey = (studentId, fileName) => {
+  const ext = path.extname(fileName || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+  return `${studentId}/${crypto.randomUUID()}${ext}`;
+};
+
+// Signed download links: the signature covers a resource name (e.g. `document:<id>`)
+// and an expiry, so a link cannot be reused for another file or after it expires
+
+const getUrlSecret = () => process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+
+export const getSignedUrlTtlSeconds = () => parseInt(process.env.DOCUMENT_URL_TTL_SECONDS, 10) || 300;
+
+const sign = (resource, expires) => {
+  return crypto.createHmac('sha256', getUrlSecret()).update(`${resource}.${expires}`).digest('hex');
+};
+
+/**
+ * Absolute base URL of this API for links returned to clients
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Sign a resource for a short-lived link
+ * @param {string} resource - Resource name, e.g. `document:<id>`
+ * @returns {{query: string, expiresAt: Date}} Query string (expires & signature) to append to the link
+ */
+export const signResource = (resource) => {
+  const expires = Math.floor(Date.now() / 1000) + getSignedUrlTtlSeconds();
+  return {
+    query: `expires=${expires}&signature=${sign(resource, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Check the signature of a short-lived link
+ * @param {string} resource - Resource name the link must be for
+ * @param {string} expires - Unix seconds from the query
+ * @param {string} signature - Hex HMAC from the query
+ * @returns {boolean}
+ */
+export const verifyResourceSignature = (resource, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(sign(resource, expiresAt), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
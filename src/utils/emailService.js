@@ -46,18 +46,19 @@ const createTransporter = () => {
 };
 
 /**
- * Send temporary password email to student
+ * Send account activation email to student
  * @param {string} email - Student email
  * @param {string} name - Student name
- * @param {string} tempPassword - Temporary password
+ * @param {string} activationUrl - Signed link to set a password and activate the account
+ * @param {number} expiresInHours - Hours until the link expires
  * @returns {Promise<void>}
  */
-export const sendTempPasswordEmail = async (email, name, tempPassword) => {
+export const sendActivationEmail = async (email, name, activationUrl, expiresInHours) => {
   try {
     // Check if email credentials are configured
     if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
       console.warn('⚠️ Email credentials not configured. Skipping email send.');
-      console.log(`📝 Temporary password for ${name} (${email}): ${tempPassword}`);
+      console.log(`📝 Activation email not sent to ${email}`);
       return;
     }
 
@@ -65,16 +66,14 @@ export const sendTempPasswordEmail = async (email, name, tempPassword) => {
     const transporter = createTransporter();
     if (!transporter) {
       console.warn('⚠️ Could not create email transporter. Skipping email send.');
-      console.log(`📝 Temporary password for ${name} (${email}): ${tempPassword}`);
+      console.log(`📝 Activation email not sent to ${email}`);
       return;
     }
 
-    const loginUrl = process.env.FRONTEND_URL || 'http://localhost:5173/#/student/login';
-
     const mailOptions = {
       from: `"HostelEase" <${process.env.EMAIL_USER}>`,
       to: email,
-      subject: 'Your Temporary HostelEase Login Password',
+      subject: 'Activate your HostelEase account',
       html: `
         <!DOCTYPE html>
         <html>
@@ -85,8 +84,6 @@ export const sendTempPasswordEmail = async (email, name, tempPassword) => {
             .container { max-width: 600px; margin: 0 auto; padding: 20px; }
             .header { background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
             .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
-            .password-box { background: white; border: 2px dashed #4f46e5; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; }
-            .password { font-size: 24px; font-weight: bold; color: #4f46e5; letter-spacing: 2px; font-family: monospace; }
             .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
             .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
             .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
@@ -100,31 +97,22 @@ export const sendTempPasswordEmail = async (email, name, tempPassword) => {
             <div class="content">
               <p>Dear ${name},</p>
               
-              <p>Your student account has been created in the HostelEase system. Please use the temporary password below to log in for the first time.</p>
+              <p>Your student account has been created in the HostelEase system. Click the button below to choose your password and activate your account.</p>
               
-              <div class="password-box">
-                <p style="margin: 0 0 10px 0; color: #64748b; font-size: 14px;">Your Temporary Password:</p>
-                <div class="password">${tempPassword}</div>
-              </div>
+              <p style="text-align: center;">
+                <a href="${activationUrl}" class="button">Activate Account</a>
+              </p>
+
+              <p style="color: #64748b; font-size: 14px;">If the button does not work, copy this link into your browser:<br>${activationUrl}</p>
               
               <div class="warning">
-                <strong>⚠️ Important:</strong> This is a one-time temporary password. You <strong>must</strong> change your password immediately after your first login for security reasons.
+                <strong>⚠️ Important:</strong> This link can be used only once and expires in ${expiresInHours} hours. If it expires, ask your warden to resend the invitation.
               </div>
               
-              <p><strong>Login Instructions:</strong></p>
-              <ol>
-                <li>Go to the login page: <a href="${loginUrl}">${loginUrl}</a></li>
-                <li>Enter your email: <strong>${email}</strong></li>
-                <li>Enter the temporary password shown above</li>
-                <li>After logging in, you will be prompted to set a new password</li>
-              </ol>
-              
-              <p style="text-align: center;">
-                <a href="${loginUrl}" class="button">Login to HostelEase</a>
-              </p>
+              <p>After activation, log in with your email <strong>${email}</strong> and the password you chose.</p>
               
               <p style="color: #64748b; font-size: 14px; margin-top: 30px;">
-                <strong>Security Note:</strong> Never share your password with anyone. If you did not request this account, please contact your warden immediately.
+                <strong>Security Note:</strong> Never share your password with anyone. If you did not expect this account, please contact your warden immediately.
               </p>
             </div>
             <div class="footer">
@@ -140,19 +128,15 @@ Welcome to HostelEase
 
 Dear ${name},
 
-Your student account has been created in the HostelEase system. Please use the temporary password below to log in for the first time.
+Your student account has been created in the HostelEase system. Open the link below to choose your password and activate your account:
 
-Your Temporary Password: ${tempPassword}
+${activationUrl}
 
-⚠️ IMPORTANT: This is a one-time temporary password. You MUST change your password immediately after your first login for security reasons.
+⚠️ IMPORTANT: This link can be used only once and expires in ${expiresInHours} hours. If it expires, ask your warden to resend the invitation.
 
-Login Instructions:
-1. Go to the login page: ${loginUrl}
-2. Enter your email: ${email}
-3. Enter the temporary password shown above
-4. After logging in, you will be prompted to set a new password
+After activation, log in with your email ${email} and the password you chose.
 
-Security Note: Never share your password with anyone. If you did not request this account, please contact your warden immediately.
+Security Note: Never share your password with anyone. If you did not expect this account, please contact your warden immediately.
 
 This is an automated message from HostelEase Management System.
       `,
@@ -166,41 +150,40 @@ This is an automated message from HostelEase Management System.
       )
     ]);
     
-    console.log(`✅ Temporary password email sent to ${email}`);
+    console.log(`✅ Activation email sent to ${email}`);
   } catch (error) {
     // Log error but NEVER throw - this function must not fail
     console.error('❌ Error sending email:', error.message || error);
-    console.log(`📝 Temporary password for ${name} (${email}): ${tempPassword}`);
+    console.log(`📝 Activation email not sent to ${email}`);
     // Explicitly return to ensure no error is thrown
     return;
   }
 };
 
 /**
- * Send temporary password email to parent/guardian
+ * Send account activation email to parent/guardian
  * @param {string} email - Parent email
  * @param {string} name - Parent name
- * @param {string} tempPassword - Temporary password
+ * @param {string} activationUrl - Signed link to set a password and activate the account
+ * @param {number} expiresInHours - Hours until the link expires
  * @param {string} studentName - Name of the child (student) they are linked to
  * @returns {Promise<void>}
  */
-export const sendParentTempPasswordEmail = async (email, name, tempPassword, studentName) => {
+export const sendParentActivationEmail = async (email, name, activationUrl, expiresInHours, studentName) => {
   try {
     if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
       console.warn('⚠️ Email credentials not configured. Skipping email send.');
-      console.log(`📝 Parent temp password for ${name} (${email}): ${tempPassword}`);
+      console.log(`📝 Parent activation email not sent to ${email}`);
       return;
     }
 
     const transporter = createTransporter();
     if (!transporter) {
       console.warn('⚠️ Could not create email transporter. Skipping email send.');
-      console.log(`📝 Parent temp password for ${name} (${email}): ${tempPassword}`);
+      console.log(`📝 Parent activation email not sent to ${email}`);
       return;
     }
 
-    const loginUrl = (process.env.FRONTEND_URL || 'http://localhost:5173') + '/#/parent/login';
-
     const mailOptions = {
       from: `"HostelEase" <${process.env.EMAIL_USER}>`,
       to: email,
@@ -215,8 +198,6 @@ export const sendParentTempPasswordEmail = async (email, name, tempPassword, stu
             .container { max-width: 600px; margin: 0 auto; padding: 20px; }
             .header { background: linear-gradient(135deg, #059669 0%, #047857 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
             .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
-            .password-box { background: white; border: 2px dashed #059669; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; }
-            .password { font-size: 24px; font-weight: bold; color: #059669; letter-spacing: 2px; font-family: monospace; }
             .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
             .button { display: inline-block; background: #059669; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
             .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
@@ -230,23 +211,19 @@ export const sendParentTempPasswordEmail = async (email, name, tempPassword, stu
             <div class="content">
               <p>Dear ${name},</p>
               
-              <p>You have been registered as a parent/guardian for <strong>${studentName}</strong> in the HostelEase system. Use the temporary password below to log in and view your child's hostel information.</p>
+              <p>You have been registered as a parent/guardian for <strong>${studentName}</strong> in the HostelEase system. Click the button below to choose your password and view your child's hostel information.</p>
               
-              <div class="password-box">
-                <p style="margin: 0 0 10px 0; color: #64748b; font-size: 14px;">Your Temporary Password:</p>
-                <div class="password">${tempPassword}</div>
-              </div>
+              <p style="text-align: center;">
+                <a href="${activationUrl}" class="button">Activate Parent Portal</a>
+              </p>
+
+              <p style="color: #64748b; font-size: 14px;">If the button does not work, copy this link into your browser:<br>${activationUrl}</p>
               
               <div class="warning">
-                <strong>⚠️ Important:</strong> You <strong>must</strong> change your password on first login for security.
+                <strong>⚠️ Important:</strong> This link can be used only once and expires in ${expiresInHours} hours.
               </div>
               
-              <p><strong>Login:</strong> <a href="${loginUrl}">${loginUrl}</a></p>
               <p>Email: <strong>${email}</strong></p>
-              
-              <p style="text-align: center;">
-                <a href="${loginUrl}" class="button">Access Parent Portal</a>
-              </p>
             </div>
             <div class="footer">
               <p>HostelEase Management System - Parent Portal</p>
@@ -260,13 +237,12 @@ HostelEase Parent Portal
 
 Dear ${name},
 
-You have been registered as a parent/guardian for ${studentName}. Use the temporary password below to log in.
+You have been registered as a parent/guardian for ${studentName}. Open the link below to choose your password:
 
-Temporary Password: ${tempPassword}
+${activationUrl}
 
-⚠️ Change your password on first login.
+⚠️ This link can be used only once and expires in ${expiresInHours} hours.
 
-Login: ${loginUrl}
 Email: ${email}
 
 HostelEase Management System.
@@ -277,9 +253,318 @@ HostelEase Management System.
       transporter.sendMail(mailOptions),
       new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout')), 10000)),
     ]);
-    console.log(`✅ Parent temp password email sent to ${email}`);
+    console.log(`✅ Parent activation email sent to ${email}`);
   } catch (error) {
     console.error('❌ Error sending parent email:', error.message || error);
-    console.log(`📝 Parent temp password for ${name} (${email}): ${tempPassword}`);
+    console.log(`📝 Parent activation email not sent to ${email}`);
+  }
+};
+
+/**
+ * Send password reset link email
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {string} resetToken - One-time reset token (raw, not hashed)
+ * @param {number} expiresInMinutes - Minutes until the link expires
+ * @returns {Promise<void>}
+ */
+export const sendPasswordResetEmail = async (email, name, resetToken, expiresInMinutes) => {
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/#/reset-password?token=${resetToken}`;
+
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('⚠️ Email credentials not configured. Skipping email send.');
+      console.log(`📝 Password reset email not sent to ${email}`);
+      return;
+    }
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.warn('⚠️ Could not create email transporter. Skipping email send.');
+      console.log(`📝 Password reset email not sent to ${email}`);
+      return;
+    }
+
+    const mailOptions = {
+      from: `"HostelEase" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Reset your HostelEase password',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+            .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+            .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Password Reset</h1>
+            </div>
+            <div class="content">
+              <p>Dear ${name},</p>
+
+              <p>We received a request to reset the password for your HostelEase account. Click the button below to choose a new password.</p>
+
+              <p style="text-align: center;">
+                <a href="${resetUrl}" class="button">Reset Password</a>
+              </p>
+
+              <p style="color: #64748b; font-size: 14px;">If the button does not work, copy this link into your browser:<br>${resetUrl}</p>
+
+              <div class="warning">
+                <strong>⚠️ Important:</strong> This link can be used only once and expires in ${expiresInMinutes} minutes.
+              </div>
+
+              <p style="color: #64748b; font-size: 14px; margin-top: 30px;">
+                <strong>Security Note:</strong> If you did not request a password reset, you can ignore this email. Your password will not change.
+              </p>
+            </div>
+            <div class="footer">
+              <p>This is an automated message from HostelEase Management System.</p>
+              <p>Please do not reply to this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+HostelEase Password Reset
+
+Dear ${name},
+
+We received a request to reset the password for your HostelEase account. Open the link below to choose a new password:
+
+${resetUrl}
+
+⚠️ This link can be used only once and expires in ${expiresInMinutes} minutes.
+
+If you did not request a password reset, you can ignore this email. Your password will not change.
+
+This is an automated message from HostelEase Management System.
+      `,
+    };
+
+    await Promise.race([
+      transporter.sendMail(mailOptions),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout')), 10000)),
+    ]);
+    console.log(`✅ Password reset email sent to ${email}`);
+  } catch (error) {
+    console.error('❌ Error sending password reset email:', error.message || error);
+  }
+};
+
+/**
+ * Send staff invitation email
+ * @param {string} email - Invitee email
+ * @param {string} name - Invitee name (may be empty)
+ * @param {string} inviteUrl - Link to accept the invite and set a password
+ * @param {number} expiresInHours - Hours until the invite expires
+ * @param {string} invitedByName - Name of the warden who sent the invite
+ * @param {string} [roleLabel] - Display name of the invited role
+ * @returns {Promise<void>}
+ */
+export const sendWardenInviteEmail = async (email, name, inviteUrl, expiresInHours, invitedByName, roleLabel = 'Warden') => {
+  const greetingName = name || 'there';
+  const inviter = invitedByName || 'The HostelEase administrator';
+
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('⚠️ Email credentials not configured. Skipping email send.');
+      console.log(`📝 ${roleLabel} invite email not sent to ${email}`);
+      return;
+    }
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.warn('⚠️ Could not create email transporter. Skipping email send.');
+      console.log(`📝 ${roleLabel} invite email not sent to ${email}`);
+      return;
+    }
+
+    const mailOptions = {
+      from: `"HostelEase" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `You have been invited to HostelEase as ${roleLabel}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+            .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+            .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${roleLabel} Invitation</h1>
+            </div>
+            <div class="content">
+              <p>Dear ${greetingName},</p>
+
+              <p>${inviter} has invited you to join HostelEase as <strong>${roleLabel}</strong>. Click the button below to set your password and activate your account.</p>
+
+              <p style="text-align: center;">
+                <a href="${inviteUrl}" class="button">Accept Invitation</a>
+              </p>
+
+              <p style="color: #64748b; font-size: 14px;">If the button does not work, copy this link into your browser:<br>${inviteUrl}</p>
+
+              <div class="warning">
+                <strong>⚠️ Important:</strong> This invitation can be used only once and expires in ${expiresInHours} hours.
+              </div>
+
+              <p style="color: #64748b; font-size: 14px; margin-top: 30px;">
+                <strong>Security Note:</strong> If you were not expecting this invitation, you can ignore this email.
+              </p>
+            </div>
+            <div class="footer">
+              <p>This is an automated message from HostelEase Management System.</p>
+              <p>Please do not reply to this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+HostelEase ${roleLabel} Invitation
+
+Dear ${greetingName},
+
+${inviter} has invited you to join HostelEase as ${roleLabel}. Open the link below to set your password and activate your account:
+
+${inviteUrl}
+
+⚠️ This invitation can be used only once and expires in ${expiresInHours} hours.
+
+If you were not expecting this invitation, you can ignore this email.
+
+This is an automated message from HostelEase Management System.
+      `,
+    };
+
+    await Promise.race([
+      transporter.sendMail(mailOptions),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout')), 10000)),
+    ]);
+    console.log(`✅ Warden invite email sent to ${email}`);
+  } catch (error) {
+    console.error('❌ Error sending warden invite email:', error.message || error);
+    console.log(`📝 ${roleLabel} invite email not sent to ${email}`);
+  }
+};
+
+/**
+ * Send account locked notification with a one-time unlock link
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {string} unlockToken - One-time unlock token (raw, not hashed)
+ * @param {number} lockMinutes - How long the lock lasts if not unlocked
+ * @returns {Promise<void>}
+ */
+export const sendAccountLockedEmail = async (email, name, unlockToken, lockMinutes) => {
+  const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/#/unlock-account?token=${unlockToken}`;
+
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('⚠️ Email credentials not configured. Skipping email send.');
+      console.log(`📝 Account locked email not sent to ${email}`);
+      return;
+    }
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      console.warn('⚠️ Could not create email transporter. Skipping email send.');
+      console.log(`📝 Account locked email not sent to ${email}`);
+      return;
+    }
+
+    const mailOptions = {
+      from: `"HostelEase" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your HostelEase account has been temporarily locked',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #dc2626 0%, #b91c1c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+            .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+            .button { display: inline-block; background: #dc2626; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Account Locked</h1>
+            </div>
+            <div class="content">
+              <p>Dear ${name},</p>
+
+              <p>We detected too many failed login attempts on your HostelEase account, so it has been locked for <strong>${lockMinutes} minutes</strong>.</p>
+
+              <p>If this was you, click the button below to unlock your account now.</p>
+
+              <p style="text-align: center;">
+                <a href="${unlockUrl}" class="button">Unlock Account</a>
+              </p>
+
+              <div class="warning">
+                <strong>⚠️ Not you?</strong> Someone may be trying to guess your password. Do not use the unlock link; instead reset your password or contact your warden.
+              </div>
+            </div>
+            <div class="footer">
+              <p>This is an automated message from HostelEase Management System.</p>
+              <p>Please do not reply to this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+HostelEase Account Locked
+
+Dear ${name},
+
+We detected too many failed login attempts on your HostelEase account, so it has been locked for ${lockMinutes} minutes.
+
+If this was you, open the link below to unlock your account now:
+
+${unlockUrl}
+
+⚠️ Not you? Someone may be trying to guess your password. Do not use the unlock link; instead reset your password or contact your warden.
+
+This is an automated message from HostelEase Management System.
+      `,
+    };
+
+    await Promise.race([
+      transporter.sendMail(mailOptions),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout')), 10000)),
+    ]);
+    console.log(`✅ Account locked email sent to ${email}`);
+  } catch (error) {
+    console.error('❌ Error sending account locked email:', error.message || error);
   }
 };
@@ -1,26 +0,0 @@
-/**
- * Generate a secure random temporary password
- * @returns {string} Temporary password
- */
-export const generateTempPassword = () => {
-  // Generate a 12-character password with uppercase, lowercase, numbers
-  const uppercase = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
-  const lowercase = 'abcdefghijkmnopqrstuvwxyz';
-  const numbers = '23456789';
-  const allChars = uppercase + lowercase + numbers;
-  
-  let password = '';
-  
-  // Ensure at least one of each type
-  password += uppercase[Math.floor(Math.random() * uppercase.length)];
-  password += lowercase[Math.floor(Math.random() * lowercase.length)];
-  password += numbers[Math.floor(Math.random() * numbers.length)];
-  
-  // Fill the rest randomly
-  for (let i = password.length; i < 12; i++) {
-    password += allChars[Math.floor(Math.random() * allChars.length)];
-  }
-  
-  // Shuffle the password
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-};
@@ -0,0 +1,83 @@
+import User from '../models/User.model.js';
+import Parent from '../models/Parent.model.js';
+import { createPendingUser } from './accountActivation.js';
+import { revokeAllSessions } from './authTokens.js';
+
+/**
+ * Find or create the guardian's parent account and link it to the student.
+ * A guardian who already has a child in the hostel keeps that link too (siblings).
+ * @param {Object} student - Student document
+ * @param {Object} guardian
+ * @param {string} guardian.guardianEmail - Guardian email
+ * @param {string} [guardian.guardianName] - Guardian name (for a new account)
+ * @returns {Promise<{guardianUser: Object, created: boolean}>} created is true for a new
+ *          pending account, which still needs its activation link
+ */
+export const linkGuardian = async (student, { guardianEmail, guardianName }) => {
+  const email = guardianEmail.toLowerCase().trim();
+  let guardianUser = await User.findOne({ email });
+  let created = false;
+
+  if (!guardianUser) {
+    guardianUser = await createPendingUser({
+      name: guardianName?.trim() || 'Guardian',
+      email,
+      role: 'parent',
+    });
+    created = true;
+  }
+
+  await Parent.updateOne(
+    { userId: guardianUser._id, studentId: student._id },
+    { $setOnInsert: { relationship: 'Guardian' } },
+    { upsert: true }
+  );
+
+  return { guardianUser, created };
+};
+
+/**
+ * Remove a former guardian's link to a student. Only links made from the guardian
+ * fields (relationship 'Guardian') are removed; a parent login left with no child is signed out.
+ * @param {Object} student - Student document
+ * @param {string} guardianEmail - Former guardian email
+ * @returns {Promise<boolean>} Whether a link was removed
+ */
+export const unlinkGuardian = async (student, guardianEmail) => {
+  const guardianUser = await User.findOne({ email: guardianEmail.toLowerCase().trim(), role: 'parent' });
+  if (!guardianUser) {
+    return false;
+  }
+
+  const removed = await Parent.deleteOne({
+    userId: guardianUser._id,
+    studentId: student._id,
+    relationship: 'Guardian',
+  });
+  if (removed.deletedCount && !(await Parent.exists({ userId: guardianUser._id }))) {
+    await revokeAllSessions(guardianUser._id, 'Guardian link removed');
+  }
+  return removed.deletedCount > 0;
+};
+
+/**
+ * Why an email cannot become a student's guardian, if anything
+ * @param {Object} student - Student document
+ * @param {string} guardianEmail - Proposed guardian email
+ * @returns {Promise<string|null>} Error message or null when the email can be used
+ */
+export const checkGuardianEmail = async (student, guardianEmail) => {
+  const email = guardianEmail.toLowerCase().trim();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return 'Please provide a valid guardian email address';
+  }
+
+  const existing = await User.findOne({ email }).select('role');
+  if (!existing) {
+    return null;
+  }
+  if (existing.role !== 'parent') {
+    return 'Guardian email belongs to a non-parent account';
+  }
+  return null;
+};
@@ -0,0 +1,86 @@
+import Leave from '../models/Leave.model.js';
+import { combineDateAndTime } from './leavePolicy.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Students may leave a little before their approved out time
+const EARLY_EXIT_MINUTES = 30;
+
+/**
+ * What happens when a student exits without a valid approved leave:
+ * 'flag' (default) lets them out and marks the log, 'block' refuses the exit
+ * @returns {'flag'|'block'}
+ */
+export const getExitWithoutLeavePolicy = () => (
+  process.env.GATE_EXIT_WITHOUT_LEAVE === 'block' ? 'block' : 'flag'
+);
+
+/**
+ * Time window of an approved leave. Without an inTime the student may return until
+ * the end of the in date.
+ * @param {Object} leave - Leave document
+ * @returns {{outAt: Date, inAt: Date}}
+ */
+export const getLeaveWindow = (leave) => {
+  const outAt = combineDateAndTime(leave.outDate, leave.outTime);
+  const inAt = leave.inTime
+    ? combineDateAndTime(leave.inDate, leave.inTime)
+    : new Date(combineDateAndTime(leave.inDate, '00:00').getTime() + DAY_MS - 1);
+  return { outAt, inAt };
+};
+
+/**
+ * Match an exit to the student's currently valid approved leave and stamp actualOutTime.
+ * The stamp is conditional, so one leave is never used for two exits.
+ * @param {string} studentId - Student ID
+ * @param {Date} [at] - Exit time
+ * @returns {Promise<Object|null>} The leave, or null when none is valid right now
+ */
+export const claimLeaveForExit = async (studentId, at = new Date()) => {
+  const candidates = await Leave.find({
+    studentId,
+    status: 'Approved',
+    actualOutTime: null,
+    outDate: { $lte: new Date(at.getTime() + DAY_MS) },
+    inDate: { $gte: new Date(at.getTime() - DAY_MS) },
+  }).sort({ outDate: 1 });
+
+  const valid = candidates.filter((leave) => {
+    const { outAt, inAt } = getLeaveWindow(leave);
+    return at >= new Date(outAt.getTime() - EARLY_EXIT_MINUTES * MINUTE_MS) && at <= inAt;
+  });
+
+  for (const leave of valid) {
+    const claimed = await Leave.findOneAndUpdate(
+      { _id: leave._id, status: 'Approved', actualOutTime: null },
+      { $set: { actualOutTime: at } },
+      { new: true }
+    );
+    if (claimed) {
+      return claimed;
+    }
+  }
+  return null;
+};
+
+/**
+ * On entry, stamp actualInTime on the leave the student went out on and close it
+ * @param {string} studentId - Student ID
+ * @param {Date} [at] - Entry time
+ * @returns {Promise<{leave: Object, late: boolean}|null>} Closed leave (late = returned after the window), or null
+ */
+export const closeLeaveOnEntry = async (studentId, at = new Date()) => {
+  const leave = await Leave.findOneAndUpdate(
+    { studentId, status: 'Approved', actualOutTime: { $ne: null }, actualInTime: null },
+    {
+      $set: { actualInTime: at, status: 'Completed' },
+      $push: { statusHistory: { status: 'Completed', role: 'gate', timestamp: at } },
+    },
+    { new: true, sort: { actualOutTime: -1 } }
+  );
+  if (!leave) {
+    return null;
+  }
+  return { leave, late: at > getLeaveWindow(leave).inAt };
+};
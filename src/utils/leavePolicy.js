@@ -0,0 +1,171 @@
+import Leave from '../models/Leave.model.js';
+import LeavePolicy from '../models/LeavePolicy.model.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rules a more specific policy overrides; blackout periods are combined instead
+const RULE_FIELDS = ['maxDurationHours', 'monthlyQuota', 'minNoticeHours', 'outTimeWindow', 'inTimeWindow', 'requiresParentApproval'];
+
+// Leaves that no longer count towards a monthly quota
+const NON_COUNTING_STATUSES = ['Rejected', 'RejectedByParent', 'Cancelled'];
+
+// type + class beats type alone, which beats class alone, which beats the catch-all policy;
+// at the same level a hostel's own policy beats the campus-wide one
+const specificity = (policy) => (policy.leaveType ? 4 : 0) + (policy.class ? 2 : 0) + (policy.hostelId ? 1 : 0);
+
+const formatHours = (hours) => {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Whether a value is an HH:mm time (H:mm accepted)
+ * @param {*} time - outTime / inTime from a request
+ * @returns {boolean}
+ */
+export const isValidTime = (time) => {
+  const match = typeof time === 'string' ? TIME_PATTERN.exec(time) : null;
+  return Boolean(match) && Number(match[1]) <= 23 && Number(match[2]) <= 59;
+};
+
+/**
+ * Date of a leave combined with its optional HH:mm time (server local time)
+ * @param {Date} date - outDate / inDate
+ * @param {string} [time] - outTime / inTime
+ * @returns {Date}
+ */
+export const combineDateAndTime = (date, time) => {
+  const match = TIME_PATTERN.exec(time || '');
+  if (!match) {
+    return new Date(date);
+  }
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), Number(match[1]), Number(match[2]));
+};
+
+/**
+ * Whether an HH:mm time falls inside a window; windows where from > to wrap past midnight
+ * @param {string} time - HH:mm
+ * @param {{from: string, to: string}} window
+ * @returns {boolean}
+ */
+export const isWithinTimeWindow = (time, window) => {
+  const value = time.padStart(5, '0');
+  if (window.from <= window.to) {
+    return value >= window.from && value <= window.to;
+  }
+  return value >= window.from || value <= window.to;
+};
+
+/**
+ * Effective rules for a leave type, class and hostel, combined from every active matching policy
+ * @param {string} leaveType - Leave type
+ * @param {string} studentClass - Student's class
+ * @param {string} [hostelId] - Student's hostel (only campus-wide policies apply without one)
+ * @returns {Promise<Object>} Rules (unset rules are null) and the IDs of the policies used
+ */
+export const resolveLeavePolicy = async (leaveType, studentClass, hostelId) => {
+  const policies = await LeavePolicy.find({
+    isActive: true,
+    hostelId: { $in: [hostelId || null, null] },
+    leaveType: { $in: [leaveType, null] },
+    class: { $in: [studentClass || null, null] },
+  }).lean();
+  policies.sort((a, b) => specificity(b) - specificity(a));
+
+  const rules = { quotaLeaveType: null };
+  RULE_FIELDS.forEach((field) => {
+    const source = policies.find((policy) => policy[field] !== null && policy[field] !== undefined);
+    rules[field] = source ? source[field] : null;
+    // A quota on a catch-all policy counts leaves of every type
+    if (field === 'monthlyQuota' && source) {
+      rules.quotaLeaveType = source.leaveType;
+    }
+  });
+  rules.requiresParentApproval = rules.requiresParentApproval ?? true;
+  rules.blackoutPeriods = policies.flatMap((policy) => policy.blackoutPeriods || []);
+  rules.policyIds = policies.map((policy) => policy._id);
+
+  return rules;
+};
+
+/**
+ * Check a leave request against the leave policy
+ * @param {Object} student - Student document (_id, class, hostelId)
+ * @param {Object} request - { type, outDate, inDate, outTime, inTime } with Date objects
+ * @param {Date} [now] - Submission time
+ * @returns {Promise<{violations: Array<{rule: string, message: string}>, requiresParentApproval: boolean}>}
+ */
+export const evaluateLeaveRequest = async (student, { type, outDate, inDate, outTime, inTime }, now = new Date()) => {
+  const rules = await resolveLeavePolicy(type, student.class, student.hostelId);
+  const violations = [];
+  const outAt = combineDateAndTime(outDate, outTime);
+  const inAt = combineDateAndTime(inDate, inTime);
+
+  if (rules.maxDurationHours !== null && inAt - outAt > rules.maxDurationHours * HOUR_MS) {
+    violations.push({
+      rule: 'maxDuration',
+      message: `${type} leaves can last at most ${formatHours(rules.maxDurationHours)}`,
+    });
+  }
+
+  if (rules.minNoticeHours !== null && outAt - now < rules.minNoticeHours * HOUR_MS) {
+    violations.push({
+      rule: 'minNotice',
+      message: `${type} leaves must be requested at least ${formatHours(rules.minNoticeHours)} in advance`,
+    });
+  }
+
+  rules.blackoutPeriods.forEach((period) => {
+    const from = new Date(period.from);
+    // A blackout ending at midnight covers that whole day
+    const to = new Date(period.to);
+    const end = to.getTime() % DAY_MS === 0 ? new Date(to.getTime() + DAY_MS - 1) : to;
+    if (outAt <= end && inAt >= from) {
+      violations.push({
+        rule: 'blackout',
+        message: `Leaves are not allowed from ${formatDate(from)} to ${formatDate(to)}${period.reason ? ` (${period.reason})` : ''}`,
+      });
+    }
+  });
+
+  [
+    ['outTimeWindow', outTime, 'Out'],
+    ['inTimeWindow', inTime, 'Return'],
+  ].forEach(([rule, time, label]) => {
+    const window = rules[rule];
+    if (!window) return;
+    if (!time) {
+      violations.push({ rule, message: `${label} time is required (allowed between ${window.from} and ${window.to})` });
+    } else if (!isWithinTimeWindow(time, window)) {
+      violations.push({ rule, message: `${label} time must be between ${window.from} and ${window.to}` });
+    }
+  });
+
+  if (rules.monthlyQuota !== null) {
+    const monthStart = new Date(Date.UTC(outDate.getUTCFullYear(), outDate.getUTCMonth(), 1));
+    const nextMonthStart = new Date(Date.UTC(outDate.getUTCFullYear(), outDate.getUTCMonth() + 1, 1));
+    const used = await Leave.countDocuments({
+      studentId: student._id,
+      ...(rules.quotaLeaveType ? { type: rules.quotaLeaveType } : {}),
+      outDate: { $gte: monthStart, $lt: nextMonthStart },
+      status: { $nin: NON_COUNTING_STATUSES },
+    });
+    if (used >= rules.monthlyQuota) {
+      const label = rules.quotaLeaveType ? `${rules.quotaLeaveType} leave` : 'leave';
+      violations.push({
+        rule: 'monthlyQuota',
+        message: `Monthly limit reached: at most ${rules.monthlyQuota} ${label}${rules.monthlyQuota === 1 ? '' : 's'} per month (${used} already requested for ${monthStart.toISOString().slice(0, 7)})`,
+      });
+    }
+  }
+
+  return { violations, requiresParentApproval: rules.requiresParentApproval };
+};
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import LoginThrottle from '../models/LoginThrottle.model.js';
+import { hashToken } from './authTokens.js';
+import { sendAccountLockedEmail } from './emailService.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCK_MINUTES = 24 * 60;
+// Quiet records are dropped after this long, which also resets progressive lock lengths
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Throttle settings (read lazily so .env is already loaded)
+ */
+const getSettings = () => ({
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES, 10) || 3,
+  accountLockThreshold: parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD, 10) || 10,
+  ipLockThreshold: parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD, 10) || 50,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+  windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 60,
+});
+
+/**
+ * Seconds a client must wait after `failedCount` consecutive failures
+ * (0 for the first few, then doubling up to MAX_DELAY_SECONDS)
+ */
+const getDelaySeconds = (failedCount, settings) => {
+  if (failedCount < settings.delayAfter) {
+    return 0;
+  }
+  return Math.min(2 ** (failedCount - settings.delayAfter), MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+/**
+ * Check whether a login attempt may proceed for this email and IP
+ * @param {string} email - Normalized email
+ * @param {string} ip - Client IP
+ * @returns {Promise<{allowed: boolean, status?: number, retryAfter?: number, message?: string}>}
+ */
+export const checkLoginAllowed = async (email, ip) => {
+  const now = new Date();
+  const settings = getSettings();
+
+  const records = await LoginThrottle.find({
+    $or: [
+      { type: 'account', identifier: email },
+      { type: 'ip', identifier: ip || 'unknown' },
+    ],
+  });
+
+  for (const record of records) {
+    if (record.lockedUntil && record.lockedUntil > now) {
+      const retryAfter = secondsUntil(record.lockedUntil, now);
+      return {
+        allowed: false,
+        status: record.type === 'account' ? 423 : 429,
+        retryAfter,
+        message: record.type === 'account'
+          ? `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes or use the unlock link sent to your email.`
+          : `Too many failed login attempts from this network. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+      };
+    }
+  }
+
+  for (const record of records) {
+    const delay = getDelaySeconds(record.failedCount, settings);
+    if (delay > 0 && record.lastFailedAt) {
+      const nextAttemptAt = new Date(record.lastFailedAt.getTime() + delay * 1000);
+      if (nextAttemptAt > now) {
+        const retryAfter = secondsUntil(nextAttemptAt, now);
+        return {
+          allowed: false,
+          status: 429,
+          retryAfter,
+          message: `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again.`,
+        };
+      }
+    }
+  }
+
+  return { allowed: true };
+};
+
+const trackFailure = async (type, identifier, ip, now, settings, extra = {}) => {
+  const windowStart = new Date(now.getTime() - settings.windowMinutes * 60 * 1000);
+
+  // Failures older than the window no longer count
+  await LoginThrottle.updateOne(
+    { type, identifier, firstFailedAt: { $lt: windowStart } },
+    { $set: { failedCount: 0, firstFailedAt: now } }
+  );
+
+  return LoginThrottle.findOneAndUpdate(
+    { type, identifier },
+    {
+      $inc: { failedCount: 1 },
+      $set: { lastFailedAt: now, lastIp: ip, expiresAt: new Date(now.getTime() + RETENTION_MS), ...extra },
+      $setOnInsert: { firstFailedAt: now },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+const lockRecord = (record, now, settings) => {
+  const lockMinutes = Math.min(settings.lockMinutes * 2 ** record.lockCount, MAX_LOCK_MINUTES);
+  record.lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+  record.lockCount += 1;
+  record.failedCount = 0;
+  record.firstFailedAt = undefined;
+  record.expiresAt = new Date(record.lockedUntil.getTime() + RETENTION_MS);
+  return lockMinutes;
+};
+
+/**
+ * Record a failed login for the account and the IP, locking either when over threshold.
+ * Locking an existing account emails its owner a one-time unlock link.
+ * @param {string} email - Normalized email
+ * @param {string} ip - Client IP
+ * @param {Object|null} user - User document if the email belongs to an account
+ * @returns {Promise<{accountLocked: boolean, lockMinutes?: number}>}
+ */
+export const recordFailedLogin = async (email, ip, user) => {
+  const now = new Date();
+  const settings = getSettings();
+
+  const ipRecord = await trackFailure('ip', ip || 'unknown', ip, now, settings);
+  if (ipRecord.failedCount >= settings.ipLockThreshold) {
+    lockRecord(ipRecord, now, settings);
+    await ipRecord.save();
+  }
+
+  const accountRecord = await trackFailure(
+    'account',
+    email,
+    ip,
+    now,
+    settings,
+    user ? { userId: user._id } : {}
+  );
+
+  if (accountRecord.failedCount < settings.accountLockThreshold) {
+    return { accountLocked: false };
+  }
+
+  const lockMinutes = lockRecord(accountRecord, now, settings);
+
+  let unlockToken;
+  if (user) {
+    unlockToken = crypto.randomBytes(32).toString('hex');
+    accountRecord.unlockTokenHash = hashToken(unlockToken);
+  }
+  await accountRecord.save();
+
+  if (user) {
+    sendAccountLockedEmail(user.email, user.name, unlockToken, lockMinutes)
+      .catch((err) => console.error('❌ Account locked email error:', err.message || err));
+  }
+
+  return { accountLocked: true, lockMinutes };
+};
+
+/**
+ * Reset the failure counter of an account after a successful login
+ * (lockCount is kept so repeat offenders still get longer locks)
+ * @param {string} email - Normalized email
+ * @returns {Promise<void>}
+ */
+export const clearFailedLogins = async (email) => {
+  await LoginThrottle.updateOne(
+    { type: 'account', identifier: email },
+    { $set: { failedCount: 0 }, $unset: { firstFailedAt: 1 } }
+  );
+};
+
+/**
+ * Lift a lock using the one-time token from the unlock email
+ * @param {string} token - Raw unlock token
+ * @returns {Promise<boolean>} True if an account was unlocked
+ */
+export const unlockWithToken = async (token) => {
+  const result = await LoginThrottle.updateOne(
+    {
+      type: 'account',
+      unlockTokenHash: hashToken(String(token)),
+      lockedUntil: { $gt: new Date() },
+    },
+    {
+      $set: { failedCount: 0 },
+      $unset: { lockedUntil: 1, unlockTokenHash: 1, firstFailedAt: 1 },
+    }
+  );
+  return result.modifiedCount > 0;
+};
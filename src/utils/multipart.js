@@ -0,0 +1,57 @@
+/**
+ * Minimal multipart/form-data parser for bodies already buffered by express.raw()
+ * (uploads are small and size-limited, so no streaming is needed)
+ * @param {Buffer} body - Raw request body
+ * @param {string} [contentType] - Content-Type header (carries the boundary)
+ * @returns {{fields: Object<string, string>, files: Array<{fieldName: string, fileName: string, mimeType: string, data: Buffer}>}|null}
+ *          null when the body is not multipart
+ */
+export const parseMultipart = (body, contentType = '') => {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!match || !Buffer.isBuffer(body)) {
+    return null;
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" right after a delimiter marks the end of the body
+    if (body.subarray(partStart, partStart + 2).toString() === '--') {
+      break;
+    }
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) {
+      break;
+    }
+
+    // Each part sits between the CRLF after its delimiter and the CRLF before the next one
+    const part = body.subarray(partStart + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const data = part.subarray(headerEnd + 4);
+      const disposition = /content-disposition:[^\r\n]*/i.exec(headers)?.[0] || '';
+      const name = /;\s*name="([^"]*)"/i.exec(disposition)?.[1];
+      const fileName = /;\s*filename="([^"]*)"/i.exec(disposition)?.[1];
+      const mimeType = /content-type:\s*([^\r\n;]+)/i.exec(headers)?.[1]?.trim();
+
+      if (name && fileName !== undefined) {
+        files.push({
+          fieldName: name,
+          fileName,
+          mimeType: mimeType || 'application/octet-stream',
+          data,
+        });
+      } else if (name) {
+        fields[name] = data.toString('utf8');
+      }
+    }
+    start = end;
+  }
+
+  return { fields, files };
+};
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import Parent from '../models/Parent.model.js';
+import Student from '../models/Student.model.js';
+
+/**
+ * IDs of the active (not archived) students a parent login is linked to.
+ * Archived children stay linked for staff, but their parents no longer see them.
+ * @param {string} userId - Parent user ID
+ * @returns {Promise<Array>} Student IDs
+ */
+export const getLinkedStudentIds = async (userId) => {
+  const linkedIds = await Parent.distinct('studentId', { userId });
+  if (linkedIds.length === 0) {
+    return [];
+  }
+  return Student.distinct('_id', { _id: { $in: linkedIds }, archivedAt: null });
+};
+
+/**
+ * Whether a parent login is linked to an active student
+ * @param {string} userId - Parent user ID
+ * @param {string} studentId - Student ID
+ * @returns {Promise<boolean>}
+ */
+export const isLinkedToStudent = async (userId, studentId) => {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    return false;
+  }
+  if (!(await Parent.exists({ userId, studentId }))) {
+    return false;
+  }
+  return Boolean(await Student.exists({ _id: studentId, archivedAt: null }));
+};
+
+/**
+ * Pick the child a parent request is about. Parents with a single child may omit
+ * the selector; parents of several children must send `studentId`.
+ * @param {Object} user - Authenticated parent
+ * @param {string} [studentId] - Child selector (query or body)
+ * @returns {Promise<{studentId?: Object, error?: string, status?: number}>}
+ */
+export const resolveParentChild = async (user, studentId) => {
+  if (studentId) {
+    if (!(await isLinkedToStudent(user._id, studentId))) {
+      return { error: 'Child not found', status: 404 };
+    }
+    return { studentId: new mongoose.Types.ObjectId(String(studentId)) };
+  }
+
+  const studentIds = await getLinkedStudentIds(user._id);
+  if (studentIds.length === 0) {
+    return { error: 'No child linked to your account', status: 404 };
+  }
+  if (studentIds.length > 1) {
+    return {
+      error: 'You have more than one child linked. Please choose one with studentId (see GET /api/parent/children)',
+      status: 400,
+    };
+  }
+  return { studentId: studentIds[0] };
+};
+
+/**
+ * Active students that would have no guardian left to approve their outings
+ * if this parent's link to them went away (unlinked or login deactivated).
+ * Only links to logins that are neither archived nor deactivated count.
+ * @param {Array} studentIds - Students the parent is about to lose
+ * @param {string} userId - Parent user ID
+ * @returns {Promise<Array<Object>>} Affected students (with userId.name)
+ */
+export const findStudentsLeftWithoutGuardian = async (studentIds, userId) => {
+  const students = await Student.find({ _id: { $in: studentIds }, archivedAt: null })
+    .select('userId rollNumber')
+    .populate('userId', 'name');
+  if (students.length === 0) {
+    return [];
+  }
+
+  const otherLinks = await Parent.find({
+    studentId: { $in: students.map((s) => s._id) },
+    userId: { $ne: userId },
+  }).populate('userId', 'archivedAt deactivatedAt');
+  const covered = new Set(
+    otherLinks
+      .filter((link) => link.userId && !link.userId.archivedAt && !link.userId.deactivatedAt)
+      .map((link) => link.studentId.toString())
+  );
+
+  return students.filter((student) => !covered.has(student._id.toString()));
+};
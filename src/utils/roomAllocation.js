@@ -0,0 +1,298 @@
+import Room from '../models/Room.model.js';
+import Bed from '../models/Bed.model.js';
+import Student from '../models/Student.model.js';
+import RoomMove from '../models/RoomMove.model.js';
+
+// A hold outlives a crashed move/swap only briefly
+const HOLD_MS = 30 * 1000;
+
+/**
+ * Label for the n-th bed of a room: A, B, ... Z, then 27, 28, ...
+ * @param {number} index - Zero-based bed index
+ * @returns {string}
+ */
+export const getBedLabel = (index) => (index < 26 ? String.fromCharCode(65 + index) : String(index + 1));
+
+/**
+ * Zero-based index of a bed label (inverse of getBedLabel)
+ * @param {string} label - Bed label
+ * @returns {number}
+ */
+export const getBedIndex = (label) => (/^[A-Z]$/.test(label) ? label.charCodeAt(0) - 65 : Number(label) - 1);
+
+/**
+ * Room shown for a student: the allocated room number, or the legacy free-text room
+ * @param {Object} student - Student with roomId populated (number) or not
+ * @returns {string|null}
+ */
+export const getRoomLabel = (student) => {
+  if (!student) return null;
+  if (student.roomId && student.roomId.number) return student.roomId.number;
+  return student.room || null;
+};
+
+/**
+ * Create the beds a room is missing up to its capacity, filling label gaps first
+ * @param {Object} room - Room document
+ * @param {string[]} [existingLabels] - Labels of the beds the room already has
+ * @returns {Promise<Object[]>} Created beds
+ */
+export const createBeds = async (room, existingLabels = []) => {
+  const taken = new Set(existingLabels);
+  const beds = [];
+  for (let i = 0; taken.size + beds.length < room.capacity; i += 1) {
+    const label = getBedLabel(i);
+    if (!taken.has(label)) {
+      beds.push({ roomId: room._id, hostelId: room.hostelId, label });
+    }
+  }
+  return beds.length ? Bed.insertMany(beds) : [];
+};
+
+/**
+ * Filter for a free bed that nobody is holding (allocations, moves and capacity checks)
+ * @param {Date} now - Current time
+ * @returns {Object} Mongo filter on Bed
+ */
+export const availableFilter = (now) => ({
+  studentId: null,
+  $or: [{ heldUntil: null }, { heldUntil: { $lte: now } }],
+});
+
+/**
+ * First free bed in a room (in creation order)
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|null>}
+ */
+export const findFreeBed = (roomId) => {
+  return Bed.findOne({ roomId, ...availableFilter(new Date()) }).sort({ _id: 1 });
+};
+
+/**
+ * A student's room history, newest first
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object[]>}
+ */
+export const getRoomHistory = (studentId) => {
+  return RoomMove.find({ studentId })
+    .populate('fromRoomId', 'number')
+    .populate('toRoomId', 'number')
+    .populate('fromBedId', 'label')
+    .populate('toBedId', 'label')
+    .populate('performedBy', 'name')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Find a room by its number in a hostel and pick its first free bed
+ * @param {string} hostelId - Hostel ID
+ * @param {string} number - Room number
+ * @returns {Promise<{room?: Object, bed?: Object, error?: string, status?: number}>}
+ */
+export const findBedInRoom = async (hostelId, number) => {
+  const room = await Room.findOne({ hostelId, number: String(number).trim() });
+  if (!room) {
+    return { error: `Room ${number} not found in this hostel`, status: 404 };
+  }
+  const bed = await findFreeBed(room._id);
+  if (!bed) {
+    return { error: `Room ${room.number} is full`, status: 409 };
+  }
+  return { room, bed };
+};
+
+const syncStudentAllocation = (studentId, room, bedId) => {
+  if (!room) {
+    return Student.updateOne({ _id: studentId }, { $set: { roomId: null, bedId: null } });
+  }
+  return Student.updateOne(
+    { _id: studentId },
+    {
+      $set: { roomId: room._id, bedId, hostelId: room.hostelId, blockId: room.blockId || null },
+      $unset: { room: 1 },
+    }
+  );
+};
+
+// History is best-effort: a failed write is logged and never undoes the move
+const recordMove = async (move) => {
+  try {
+    await RoomMove.create(move);
+  } catch (error) {
+    console.error('❌ Room history write error:', error.message || error);
+  }
+};
+
+// Release a student's bed but hold it, so the move can be rolled back
+const releaseWithHold = (bedId, studentId, now) => {
+  return Bed.updateOne(
+    { _id: bedId, studentId },
+    { $set: { studentId: null, heldUntil: new Date(now.getTime() + HOLD_MS) } }
+  );
+};
+
+// Put a student (back) into a bed they had on hold
+const claimHeld = (bedId, studentId, now, actor) => {
+  return Bed.updateOne(
+    { _id: bedId, studentId: null },
+    { $set: { studentId, allocatedAt: now, allocatedBy: actor?._id, heldUntil: null } }
+  );
+};
+
+/**
+ * Allocate a bed to a student. A student who already has a bed is moved:
+ * the old bed is held until the new one is claimed and restored on failure.
+ * @param {Object} student - Student document
+ * @param {Object} bed - Target bed
+ * @param {Object} actor - User performing the allocation
+ * @param {Object} [options]
+ * @param {string} [options.type] - History type ('transfer' for approved requests)
+ * @param {string} [options.requestId] - Room change request behind the move
+ * @returns {Promise<{room?: Object, bed?: Object, previousBedId?: string, error?: string, status?: number}>}
+ */
+export const allocateBed = async (student, bed, actor, { type, requestId } = {}) => {
+  const room = await Room.findById(bed.roomId);
+  if (!room || !room.isActive) {
+    return { error: 'Room is not available for allocation', status: 400 };
+  }
+  if (student.hostelId && room.hostelId.toString() !== student.hostelId.toString()) {
+    return { error: 'Bed is in a different hostel than the student', status: 400 };
+  }
+
+  const now = new Date();
+  const currentBed = await Bed.findOne({ studentId: student._id });
+  if (currentBed && currentBed._id.toString() === bed._id.toString()) {
+    return { error: 'Student already has this bed', status: 400 };
+  }
+
+  if (currentBed) {
+    const released = await releaseWithHold(currentBed._id, student._id, now);
+    if (released.modifiedCount === 0) {
+      return { error: 'Allocation changed while processing. Please try again.', status: 409 };
+    }
+  }
+
+  const claimed = await Bed.findOneAndUpdate(
+    { _id: bed._id, ...availableFilter(now) },
+    { $set: { studentId: student._id, allocatedAt: now, allocatedBy: actor?._id, heldUntil: null } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    if (currentBed) {
+      await claimHeld(currentBed._id, student._id, currentBed.allocatedAt || now, { _id: currentBed.allocatedBy });
+    }
+    return { error: 'Bed is already occupied', status: 409 };
+  }
+
+  if (currentBed) {
+    await Bed.updateOne({ _id: currentBed._id, studentId: null }, { $set: { heldUntil: null }, $unset: { allocatedAt: 1, allocatedBy: 1 } });
+  }
+  await syncStudentAllocation(student._id, room, claimed._id);
+
+  await recordMove({
+    studentId: student._id,
+    type: type || (currentBed ? 'move' : 'allocate'),
+    fromRoomId: currentBed?.roomId || null,
+    fromBedId: currentBed?._id || null,
+    toRoomId: room._id,
+    toBedId: claimed._id,
+    requestId,
+    performedBy: actor?._id,
+  });
+
+  return { room, bed: claimed, previousBedId: currentBed?._id };
+};
+
+/**
+ * Vacate a student's bed
+ * @param {Object} student - Student document
+ * @param {Object} [actor] - User vacating the bed
+ * @returns {Promise<Object|null>} The bed that was vacated (null if the student had none)
+ */
+export const vacateBed = async (student, actor) => {
+  const bed = await Bed.findOneAndUpdate(
+    { studentId: student._id },
+    { $set: { studentId: null, heldUntil: null }, $unset: { allocatedAt: 1, allocatedBy: 1 } }
+  );
+  await syncStudentAllocation(student._id, null);
+
+  if (bed) {
+    await recordMove({
+      studentId: student._id,
+      type: 'vacate',
+      fromRoomId: bed.roomId,
+      fromBedId: bed._id,
+      performedBy: actor?._id,
+    });
+  }
+  return bed;
+};
+
+/**
+ * Swap the beds of two students. The first bed is held while the second changes hands,
+ * so no third allocation can slip in between.
+ * @param {Object} studentA - Student document
+ * @param {Object} studentB - Student document
+ * @param {Object} actor - User performing the swap
+ * @returns {Promise<{bedA?: Object, bedB?: Object, error?: string, status?: number}>}
+ */
+export const swapBeds = async (studentA, studentB, actor) => {
+  const [bedA, bedB] = await Promise.all([
+    Bed.findOne({ studentId: studentA._id }),
+    Bed.findOne({ studentId: studentB._id }),
+  ]);
+  if (!bedA || !bedB) {
+    return { error: 'Both students must have a bed to swap', status: 400 };
+  }
+
+  const now = new Date();
+
+  // 1. A leaves their bed (held)
+  const releasedA = await releaseWithHold(bedA._id, studentA._id, now);
+  if (releasedA.modifiedCount === 0) {
+    return { error: 'Allocation changed while processing. Please try again.', status: 409 };
+  }
+
+  // 2. A takes B's bed
+  const movedA = await Bed.updateOne(
+    { _id: bedB._id, studentId: studentB._id },
+    { $set: { studentId: studentA._id, allocatedAt: now, allocatedBy: actor?._id } }
+  );
+  if (movedA.modifiedCount === 0) {
+    await claimHeld(bedA._id, studentA._id, bedA.allocatedAt || now, { _id: bedA.allocatedBy });
+    return { error: 'Allocation changed while processing. Please try again.', status: 409 };
+  }
+
+  // 3. B takes A's held bed
+  await claimHeld(bedA._id, studentB._id, now, actor);
+
+  const [roomA, roomB] = await Promise.all([Room.findById(bedA.roomId), Room.findById(bedB.roomId)]);
+  await Promise.all([
+    syncStudentAllocation(studentA._id, roomB, bedB._id),
+    syncStudentAllocation(studentB._id, roomA, bedA._id),
+  ]);
+
+  await Promise.all([
+    recordMove({
+      studentId: studentA._id,
+      type: 'swap',
+      fromRoomId: bedA.roomId,
+      fromBedId: bedA._id,
+      toRoomId: bedB.roomId,
+      toBedId: bedB._id,
+      performedBy: actor?._id,
+    }),
+    recordMove({
+      studentId: studentB._id,
+      type: 'swap',
+      fromRoomId: bedB.roomId,
+      fromBedId: bedB._id,
+      toRoomId: bedA.roomId,
+      toBedId: bedA._id,
+      performedBy: actor?._id,
+    }),
+  ]);
+
+  return { bedA, bedB, roomA, roomB };
+};
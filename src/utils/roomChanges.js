@@ -0,0 +1,103 @@
+import Bed from '../models/Bed.model.js';
+import Student from '../models/Student.model.js';
+import RoomChangeRequest from '../models/RoomChangeRequest.model.js';
+import { allocateBed, findFreeBed, availableFilter } from './roomAllocation.js';
+
+// Statuses that still hold a claim on a bed or block a new request
+export const OPEN_ROOM_CHANGE_STATUSES = ['Pending', 'Approved'];
+
+/**
+ * Beds of a room promised to approved requests that have not moved in yet
+ * @param {string} roomId - Room ID
+ * @param {string} [excludeRequestId] - Request being reviewed
+ * @returns {Promise<number>}
+ */
+export const countReservedBeds = (roomId, excludeRequestId) => {
+  return RoomChangeRequest.countDocuments({
+    targetRoomId: roomId,
+    status: 'Approved',
+    ...(excludeRequestId && { _id: { $ne: excludeRequestId } }),
+  });
+};
+
+/**
+ * Carry out an approved request: move the student to the chosen bed, or to any
+ * free bed of the chosen room if that bed has been taken in the meantime.
+ * @param {Object} request - Approved RoomChangeRequest
+ * @returns {Promise<Object>} The request, now Completed or Failed
+ */
+export const applyRoomChange = async (request) => {
+  // Claim the request so a scheduled run and an approval never move the student twice
+  const claimed = await RoomChangeRequest.findOneAndUpdate(
+    { _id: request._id, status: 'Approved', completedAt: null },
+    { $set: { completedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return RoomChangeRequest.findById(request._id);
+  }
+
+  const actor = { _id: claimed.reviewedBy };
+  const fail = (failureReason) => RoomChangeRequest.findByIdAndUpdate(
+    claimed._id,
+    {
+      $set: { status: 'Failed', failureReason },
+      $unset: { completedAt: 1 },
+      $push: { statusHistory: { status: 'Failed', role: 'system', reason: failureReason } },
+    },
+    { new: true }
+  );
+
+  // An unexpected error must not leave the request claimed but never moved: mark it Failed
+  let result;
+  try {
+    const student = await Student.findOne({ _id: claimed.studentId, archivedAt: null });
+    if (!student) {
+      return fail('Student is no longer active');
+    }
+
+    let bed = claimed.targetBedId
+      ? await Bed.findOne({ _id: claimed.targetBedId, ...availableFilter(new Date()) })
+      : null;
+    if (!bed) {
+      bed = await findFreeBed(claimed.targetRoomId);
+    }
+    if (!bed) {
+      return fail('Target room is full');
+    }
+
+    result = await allocateBed(student, bed, actor, { type: 'transfer', requestId: claimed._id });
+  } catch (error) {
+    console.error('❌ Room change error:', error.message || error);
+    return fail(error.message || 'Room change could not be carried out');
+  }
+  if (result.error) {
+    return fail(result.error);
+  }
+
+  return RoomChangeRequest.findByIdAndUpdate(
+    claimed._id,
+    {
+      $set: { status: 'Completed', targetBedId: result.bed._id },
+      $push: { statusHistory: { status: 'Completed', role: 'system' } },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Apply every approved request whose effective date has arrived
+ * @returns {Promise<number>} Number of requests processed
+ */
+export const applyDueRoomChanges = async () => {
+  const due = await RoomChangeRequest.find({
+    status: 'Approved',
+    completedAt: null,
+    effectiveDate: { $lte: new Date() },
+  }).sort({ effectiveDate: 1 });
+
+  for (const request of due) {
+    await applyRoomChange(request);
+  }
+  return due.length;
+};
@@ -1,3 +1,9 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.model.js';
+import { isSessionActive } from './authTokens.js';
+import { hasPermission } from '../config/permissions.js';
+import { canAccessHostel } from './tenancy.js';
+
 let io = null;
 
 export const setIO = (socketIo) => {
@@ -5,3 +11,47 @@ export const setIO = (socketIo) => {
 };
 
 export const getIO = () => io;
+
+// Staff alerts for one hostel ('unassigned' for students not placed yet), and for campus-wide staff
+const HOSTEL_STAFF_ROOM = /^hostel:([^:]+):staff$/;
+export const ALL_HOSTELS_STAFF_ROOM = 'hostels:all:staff';
+
+/**
+ * Room that receives staff alerts about students of a hostel
+ * @param {string|null} hostelId - Student's hostel
+ * @returns {string}
+ */
+export const getHostelStaffRoom = (hostelId) => `hostel:${hostelId || 'unassigned'}:staff`;
+
+/**
+ * Whether a socket may join a room. Staff rooms need a valid access token of a user who
+ * can read gate logs for that hostel; other rooms are open.
+ * @param {string} room - Requested room
+ * @param {string} [token] - Access token sent with the join
+ * @returns {Promise<boolean>}
+ */
+export const canJoinRoom = async (room, token) => {
+  const match = HOSTEL_STAFF_ROOM.exec(room);
+  if (!match && room !== ALL_HOSTELS_STAFF_ROOM) {
+    return true;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return false;
+  }
+  if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+    return false;
+  }
+  const user = await User.findById(decoded.userId).select('role hostels archivedAt deactivatedAt');
+  if (!user || user.archivedAt || user.deactivatedAt || !hasPermission(user.role, 'entryExit:read')) {
+    return false;
+  }
+
+  if (!match) {
+    return hasPermission(user.role, 'hostels:all');
+  }
+  return match[1] === 'unassigned' || canAccessHostel(user, match[1]);
+};
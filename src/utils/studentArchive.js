@@ -0,0 +1,191 @@
+import User from '../models/User.model.js';
+import Student from '../models/Student.model.js';
+import Parent from '../models/Parent.model.js';
+import Fee from '../models/Fee.model.js';
+import Payment from '../models/Payment.model.js';
+import Leave from '../models/Leave.model.js';
+import EntryExit from '../models/EntryExit.model.js';
+import Complaint from '../models/Complaint.model.js';
+import Chat from '../models/Chat.model.js';
+import StudentLocation from '../models/StudentLocation.model.js';
+import StudentLocationHistory from '../models/StudentLocationHistory.model.js';
+import Session from '../models/Session.model.js';
+import Bed from '../models/Bed.model.js';
+import RoomMove from '../models/RoomMove.model.js';
+import RoomChangeRequest from '../models/RoomChangeRequest.model.js';
+import ProfileChangeRequest from '../models/ProfileChangeRequest.model.js';
+import StudentDocument from '../models/StudentDocument.model.js';
+import MedicalRecord from '../models/MedicalRecord.model.js';
+import { revokeAllSessions } from './authTokens.js';
+import { vacateBed } from './roomAllocation.js';
+import { getStorageBackend } from './documentStorage.js';
+import { removePhoto } from './studentPhotos.js';
+
+/**
+ * Query filter for student lists: active students by default,
+ * `archived=true` for archived only, `includeArchived=true` for both
+ * @param {Object} query - Express req.query
+ * @returns {Object} Mongo filter on archivedAt
+ */
+export const getArchiveFilter = (query = {}) => {
+  if (query.archived === 'true') {
+    return { archivedAt: { $ne: null } };
+  }
+  if (query.includeArchived === 'true') {
+    return {};
+  }
+  return { archivedAt: null };
+};
+
+export const GRADUATED_READ_ONLY_MESSAGE = 'Records of graduated students are read-only';
+
+/**
+ * Whether a student has graduated (alumni records cannot be changed)
+ * @param {string} studentId - Student ID
+ * @returns {Promise<boolean>}
+ */
+export const isGraduated = async (studentId) => {
+  return Boolean(await Student.exists({ _id: studentId, graduatedAt: { $ne: null } }));
+};
+
+/**
+ * Archive a student: hide from lists, free their bed, block login for the student and
+ * their parent accounts (unless a parent has another active child), and sign them out
+ * everywhere. Nothing is deleted.
+ * @param {Object} student - Student document
+ * @param {Object} actor - User performing the archive
+ * @param {string} [reason] - Why the student was archived
+ * @returns {Promise<Object>} Updated student
+ */
+export const archiveStudent = async (student, actor, reason) => {
+  const now = new Date();
+  const parentLinks = await Parent.find({ studentId: student._id }).select('userId');
+  const parentUserIds = parentLinks.map((p) => p.userId);
+
+  // Parents who still have another active child in the hostel keep their login
+  const siblingLinks = await Parent.find({ userId: { $in: parentUserIds }, studentId: { $ne: student._id } })
+    .populate('studentId', 'archivedAt');
+  const stillActive = new Set(
+    siblingLinks.filter((link) => link.studentId && !link.studentId.archivedAt).map((link) => link.userId.toString())
+  );
+  const userIds = [
+    student.userId,
+    ...parentUserIds.filter((id) => !stillActive.has(id.toString())),
+  ].filter(Boolean);
+
+  student.archivedAt = now;
+  student.archivedBy = actor._id;
+  student.archiveReason = reason?.trim() || undefined;
+  await student.save();
+  await vacateBed(student, actor);
+  await RoomChangeRequest.updateMany(
+    { studentId: student._id, status: { $in: ['Pending', 'Approved'] } },
+    {
+      $set: { status: 'Cancelled' },
+      $push: { statusHistory: { status: 'Cancelled', updatedBy: actor._id, role: actor.role, reason: 'Student archived' } },
+    }
+  );
+  await ProfileChangeRequest.updateMany({ studentId: student._id, status: 'Pending' }, { $set: { status: 'Cancelled' } });
+
+  await User.updateMany({ _id: { $in: userIds }, archivedAt: null }, { $set: { archivedAt: now } });
+  await Promise.all(userIds.map((userId) => revokeAllSessions(userId, 'Account archived')));
+
+  return student;
+};
+
+/**
+ * Restore an archived student (also undoes a graduation) and the parent accounts archived with them
+ * @param {Object} student - Archived student document
+ * @returns {Promise<Object>} Updated student
+ */
+export const restoreStudent = async (student) => {
+  const parentLinks = await Parent.find({ studentId: student._id }).select('userId');
+  const userIds = [student.userId, ...parentLinks.map((p) => p.userId)].filter(Boolean);
+
+  student.archivedAt = null;
+  student.archivedBy = undefined;
+  student.archiveReason = undefined;
+  student.graduatedAt = null;
+  student.graduationYearId = undefined;
+  await student.save();
+
+  await User.updateMany({ _id: { $in: userIds } }, { $set: { archivedAt: null } });
+
+  return student;
+};
+
+/**
+ * Permanently delete a student and everything that references them.
+ * Dependents go first and the Student document last, so an interrupted purge
+ * can simply be run again. Audit log entries are kept.
+ * @param {Object} student - Student document (should already be archived)
+ * @returns {Promise<Object>} Number of deleted documents per collection
+ */
+export const purgeStudent = async (student) => {
+  const studentId = student._id;
+  const parentLinks = await Parent.find({ studentId }).select('userId');
+  const parentUserIds = parentLinks.map((p) => p.userId);
+
+  await Bed.updateMany(
+    { studentId },
+    { $set: { studentId: null, heldUntil: null }, $unset: { allocatedAt: 1, allocatedBy: 1 } }
+  );
+
+  const photos = await Student.findById(studentId).select('photo pendingPhoto');
+  await removePhoto(photos?.photo);
+  await removePhoto(photos?.pendingPhoto);
+
+  // Stored files go before their metadata, so a failed removal is retried on the next purge
+  const documentFiles = await StudentDocument.find({ studentId }).select('storage storageKey');
+  for (const file of documentFiles) {
+    await getStorageBackend(file.storage).backend.remove(file.storageKey);
+  }
+
+  const [fees, payments, leaves, entryExits, complaints, chats, locations, locationHistory, roomMoves, roomChanges, profileChanges, documents, medicalRecords] = await Promise.all([
+    Fee.deleteMany({ studentId }),
+    Payment.deleteMany({ studentId }),
+    Leave.deleteMany({ studentId }),
+    EntryExit.deleteMany({ studentId }),
+    Complaint.deleteMany({ studentId }),
+    Chat.deleteMany({ studentId }),
+    StudentLocation.deleteMany({ studentId }),
+    StudentLocationHistory.deleteMany({ studentId }),
+    RoomMove.deleteMany({ studentId }),
+    RoomChangeRequest.deleteMany({ studentId }),
+    ProfileChangeRequest.deleteMany({ studentId }),
+    StudentDocument.deleteMany({ studentId }),
+    MedicalRecord.deleteMany({ studentId }),
+  ]);
+
+  const parents = await Parent.deleteMany({ studentId });
+
+  // Parent logins that no longer link to any student are removed as well
+  const stillLinked = await Parent.distinct('userId', { userId: { $in: parentUserIds } });
+  const orphanedParentUserIds = parentUserIds.filter(
+    (id) => !stillLinked.some((linked) => linked.toString() === id.toString())
+  );
+
+  const userIds = [student.userId, ...orphanedParentUserIds].filter(Boolean);
+  await Session.deleteMany({ userId: { $in: userIds } });
+  const users = await User.deleteMany({ _id: { $in: userIds } });
+
+  await Student.deleteOne({ _id: studentId });
+
+  return {
+    fees: fees.deletedCount,
+    payments: payments.deletedCount,
+    leaves: leaves.deletedCount,
+    entryExits: entryExits.deletedCount,
+    complaints: complaints.deletedCount,
+    chats: chats.deletedCount,
+    locations: locations.deletedCount,
+    locationHistory: locationHistory.deletedCount,
+    roomMoves: roomMoves.deletedCount,
+    roomChanges: roomChanges.deletedCount,
+    profileChanges: profileChanges.deletedCount,
+    documents: documents.deletedCount,
+    medicalRecords: medicalRecords.deletedCount,
+    parentLinks: parents.deletedCount,
+    users: users.deletedCount,
+  };
+};
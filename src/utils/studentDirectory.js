@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import User from '../models/User.model.js';
+import Room from '../models/Room.model.js';
+import Fee from '../models/Fee.model.js';
+import EntryExit from '../models/EntryExit.model.js';
+import { getArchiveFilter } from './studentArchive.js';
+import { getStudentScopeFilter } from './tenancy.js';
+
+/**
+ * Escape user input for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Students whose latest entry/exit log is OUT
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+export const getCurrentlyOutStudentIds = async () => {
+  const latest = await EntryExit.aggregate([
+    { $sort: { studentId: 1, createdAt: -1 } },
+    { $group: { _id: '$studentId', status: { $first: '$status' } } },
+    { $match: { status: 'OUT' } },
+  ]);
+  return latest.map((entry) => entry._id);
+};
+
+// 'true' / 'false' query flags; anything else means "not filtered"
+const parseFlag = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+const inOrNotIn = (flag, ids) => (flag ? { _id: { $in: ids } } : { _id: { $nin: ids } });
+
+/**
+ * Student filter for the directory.
+ * search matches name, email, roll number, class, section, room and guardian phone;
+ * filters: hostelId, blockId, roomId, class, section, trackingEnabled, hasPendingFees, currentlyOut,
+ * alumni (plus archived/includeArchived), always limited to the user's hostels.
+ * @param {Object} query - Express req.query
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Mongo filter on Student
+ */
+export const buildStudentDirectoryFilter = async (query, user) => {
+  const {
+    search,
+    hostelId,
+    blockId,
+    roomId,
+    class: studentClass,
+    section,
+  } = query;
+  // Alumni are archived, so alumni=true looks past the archive filter
+  const alumni = parseFlag(query.alumni);
+  const conditions = [
+    alumni ? { graduatedAt: { $ne: null } } : getArchiveFilter(query),
+    getStudentScopeFilter(user),
+  ];
+  if (alumni === false) {
+    conditions.push({ graduatedAt: null });
+  }
+
+  if (search && String(search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+    const [userIds, roomIds] = await Promise.all([
+      User.distinct('_id', { role: 'student', $or: [{ name: pattern }, { email: pattern }] }),
+      Room.distinct('_id', { number: pattern }),
+    ]);
+    conditions.push({
+      $or: [
+        { userId: { $in: userIds } },
+        { roomId: { $in: roomIds } },
+        { rollNumber: pattern },
+        { class: pattern },
+        { section: pattern },
+        { room: pattern },
+        { guardianPhone: pattern },
+      ],
+    });
+  }
+
+  [['hostelId', hostelId], ['blockId', blockId], ['roomId', roomId]].forEach(([field, value]) => {
+    if (value) {
+      // An invalid ID matches nothing
+      conditions.push(mongoose.Types.ObjectId.isValid(value) ? { [field]: value } : { _id: null });
+    }
+  });
+  if (studentClass) conditions.push({ class: String(studentClass) });
+  if (section) conditions.push({ section: String(section) });
+
+  const trackingEnabled = parseFlag(query.trackingEnabled);
+  if (trackingEnabled !== undefined) {
+    conditions.push({ locationTrackingEnabled: trackingEnabled ? true : { $ne: true } });
+  }
+
+  const hasPendingFees = parseFlag(query.hasPendingFees);
+  if (hasPendingFees !== undefined) {
+    conditions.push(inOrNotIn(hasPendingFees, await Fee.distinct('studentId', { status: 'Pending' })));
+  }
+
+  const currentlyOut = parseFlag(query.currentlyOut);
+  if (currentlyOut !== undefined) {
+    conditions.push(inOrNotIn(currentlyOut, await getCurrentlyOutStudentIds()));
+  }
+
+  const nonEmpty = conditions.filter((condition) => Object.keys(condition).length > 0);
+  return nonEmpty.length ? { $and: nonEmpty } : {};
+};
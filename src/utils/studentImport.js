@@ -0,0 +1,296 @@
+import XLSX from 'xlsx';
+import User from '../models/User.model.js';
+import Student from '../models/Student.model.js';
+import Hostel from '../models/Hostel.model.js';
+import Block from '../models/Block.model.js';
+import Room from '../models/Room.model.js';
+import Bed from '../models/Bed.model.js';
+import { createPendingUser, queueActivationInvites } from './accountActivation.js';
+import { linkGuardian } from './guardians.js';
+import { getHostelScope, canAccessHostel } from './tenancy.js';
+import { findBedInRoom, allocateBed, availableFilter } from './roomAllocation.js';
+
+export const MAX_IMPORT_ROWS = 2000;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted spellings of each column (compared lowercase, without spaces or punctuation)
+const COLUMN_ALIASES = {
+  name: ['name', 'studentname', 'fullname'],
+  email: ['email', 'studentemail', 'emailaddress'],
+  class: ['class', 'course'],
+  section: ['section'],
+  rollNumber: ['rollnumber', 'rollno', 'roll'],
+  phone: ['phone', 'mobile', 'phonenumber', 'studentphone'],
+  hostel: ['hostel', 'hostelcode'],
+  block: ['block', 'blockname'],
+  room: ['room', 'roomnumber', 'roomno'],
+  guardianName: ['guardianname', 'parentname'],
+  guardianEmail: ['guardianemail', 'parentemail'],
+  guardianPhone: ['guardianphone', 'parentphone'],
+};
+
+export const IMPORT_TEMPLATE_HEADERS = [
+  'Name', 'Email', 'Class', 'Section', 'Roll Number', 'Phone', 'Hostel', 'Block', 'Room',
+  'Guardian Name', 'Guardian Email', 'Guardian Phone',
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_HEADER = Object.entries(COLUMN_ALIASES).reduce((map, [field, aliases]) => {
+  aliases.forEach((alias) => map.set(alias, field));
+  return map;
+}, new Map());
+
+/**
+ * Parse an XLSX or CSV roster (first sheet) into row objects keyed by field name
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Array<Object>} Rows with trimmed string values; `row` is the spreadsheet row number
+ */
+export const parseRoster = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return [];
+  }
+
+  const records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+  return records
+    .map((record) => {
+      // __rowNum__ is the zero-based sheet row, so blank rows do not shift the numbering
+      const row = { row: record.__rowNum__ + 1 };
+      Object.entries(record).forEach(([header, value]) => {
+        const field = FIELD_BY_HEADER.get(normalizeHeader(header));
+        if (field) {
+          row[field] = String(value ?? '').trim();
+        }
+      });
+      return row;
+    })
+    .filter((row) => Object.keys(row).some((key) => key !== 'row' && row[key]));
+};
+
+/**
+ * Build a roster template with the expected columns
+ * @returns {Buffer} XLSX file
+ */
+export const buildImportTemplate = () => {
+  const workbook = XLSX.utils.book_new();
+  const worksheet = XLSX.utils.aoa_to_sheet([IMPORT_TEMPLATE_HEADERS]);
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Students');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+const countBy = (values) => values.reduce((map, value) => {
+  if (value) map.set(value, (map.get(value) || 0) + 1);
+  return map;
+}, new Map());
+
+/**
+ * Validate roster rows with the same rules as single student creation, plus
+ * duplicates inside the file and room capacity across the whole batch.
+ * Placement (hostel, block, room) is resolved and attached to valid rows.
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Object} user - Staff user importing
+ * @returns {Promise<Array<Object>>} Rows with `errors` (empty when valid) and resolved placement
+ */
+export const validateRoster = async (rows, user) => {
+  const emails = rows.map((r) => r.email?.toLowerCase()).filter(Boolean);
+  const guardianEmails = rows.map((r) => r.guardianEmail?.toLowerCase()).filter(Boolean);
+  const rollNumbers = rows.map((r) => r.rollNumber).filter(Boolean);
+  const hostelCodes = [...new Set(rows.map((r) => r.hostel?.toUpperCase()).filter(Boolean))];
+
+  const [existingUsers, existingStudents, hostels] = await Promise.all([
+    User.find({ email: { $in: [...emails, ...guardianEmails] } }).select('email role'),
+    Student.find({ rollNumber: { $in: rollNumbers } }).select('rollNumber'),
+    Hostel.find({ code: { $in: hostelCodes } }),
+  ]);
+  const usersByEmail = new Map(existingUsers.map((u) => [u.email, u]));
+  const takenRollNumbers = new Set(existingStudents.map((s) => s.rollNumber));
+  const hostelsByCode = new Map(hostels.map((h) => [h.code, h]));
+
+  const emailCounts = countBy(emails);
+  const rollNumberCounts = countBy(rollNumbers);
+
+  // Staff who manage exactly one hostel import into it by default, like single creation
+  const scope = getHostelScope(user);
+  const defaultHostelId = scope && scope.length === 1 ? scope[0] : null;
+
+  const blockCache = new Map();
+  const roomCache = new Map();
+  const roomDemand = new Map();
+  const validated = [];
+
+  for (const row of rows) {
+    const errors = [];
+    const email = row.email?.toLowerCase();
+    const guardianEmail = row.guardianEmail?.toLowerCase();
+
+    if (!row.name || !email || !row.class || !row.rollNumber) {
+      errors.push('Name, email, class and roll number are required');
+    }
+    if (row.name && row.name.length < 2) {
+      errors.push('Name must be at least 2 characters long');
+    }
+    if (email && !EMAIL_REGEX.test(email)) {
+      errors.push('Invalid email address');
+    } else if (email && usersByEmail.has(email)) {
+      errors.push('User with this email already exists');
+    } else if (email && emailCounts.get(email) > 1) {
+      errors.push('Email appears more than once in the file');
+    }
+    if (row.rollNumber && takenRollNumbers.has(row.rollNumber)) {
+      errors.push('Student with this roll number already exists');
+    } else if (row.rollNumber && rollNumberCounts.get(row.rollNumber) > 1) {
+      errors.push('Roll number appears more than once in the file');
+    }
+
+    if (guardianEmail) {
+      const guardianUser = usersByEmail.get(guardianEmail);
+      if (!EMAIL_REGEX.test(guardianEmail)) {
+        errors.push('Invalid guardian email address');
+      } else if (guardianEmail === email || emailCounts.has(guardianEmail)) {
+        errors.push('Guardian email is a student email');
+      } else if (guardianUser && guardianUser.role !== 'parent') {
+        errors.push('Guardian email belongs to a non-parent account');
+      }
+    }
+
+    // Placement
+    let hostelId = defaultHostelId;
+    let blockId = null;
+    let roomId = null;
+    if (row.hostel) {
+      const hostel = hostelsByCode.get(row.hostel.toUpperCase());
+      if (!hostel) {
+        errors.push(`Hostel ${row.hostel} not found`);
+        hostelId = null;
+      } else if (!canAccessHostel(user, hostel._id)) {
+        errors.push('You can only place students in hostels you manage');
+        hostelId = null;
+      } else {
+        hostelId = hostel._id.toString();
+      }
+    } else if ((row.block || row.room) && !hostelId) {
+      errors.push('Hostel is required to place a student in a block or room');
+    }
+
+    if (hostelId && row.block) {
+      const key = `${hostelId}:${row.block.toLowerCase()}`;
+      if (!blockCache.has(key)) {
+        const block = await Block.findOne({ hostelId, name: row.block }).collation({ locale: 'en', strength: 2 });
+        blockCache.set(key, block);
+      }
+      const block = blockCache.get(key);
+      if (!block) {
+        errors.push(`Block ${row.block} not found in this hostel`);
+      } else {
+        blockId = block._id.toString();
+      }
+    }
+
+    if (hostelId && row.room) {
+      const key = `${hostelId}:${row.room}`;
+      if (!roomCache.has(key)) {
+        const room = await Room.findOne({ hostelId, number: row.room });
+        const freeBeds = room ? await Bed.countDocuments({ roomId: room._id, ...availableFilter(new Date()) }) : 0;
+        roomCache.set(key, { room, freeBeds });
+      }
+      const { room, freeBeds } = roomCache.get(key);
+      if (!room) {
+        errors.push(`Room ${row.room} not found in this hostel`);
+      } else if (!room.isActive) {
+        errors.push(`Room ${row.room} is not available for allocation`);
+      } else {
+        const demand = (roomDemand.get(key) || 0) + 1;
+        roomDemand.set(key, demand);
+        if (demand > freeBeds) {
+          errors.push(`Room ${row.room} has no free bed left for this row`);
+        } else {
+          roomId = room._id.toString();
+        }
+      }
+    }
+
+    validated.push({ ...row, hostelId, blockId, roomId, errors });
+  }
+
+  return validated;
+};
+
+/**
+ * Create accounts for validated rows. Each row is created on its own: a row that
+ * fails (e.g. someone took the email in the meantime) is reported and the rest continue.
+ * Activation links for students and new guardian accounts are queued, not awaited.
+ * @param {Array<Object>} rows - Valid rows from validateRoster
+ * @param {Object} actor - Staff user importing
+ * @returns {Promise<{created: Array<Object>, failed: Array<Object>, queuedEmails: number}>}
+ */
+export const commitRoster = async (rows, actor) => {
+  const created = [];
+  const failed = [];
+  const invites = [];
+
+  for (const row of rows) {
+    let user;
+    try {
+      user = await createPendingUser({
+        name: row.name,
+        email: row.email.toLowerCase(),
+        role: 'student',
+      });
+
+      let student;
+      try {
+        student = await Student.create({
+          userId: user._id,
+          class: row.class,
+          section: row.section || undefined,
+          rollNumber: row.rollNumber,
+          phone: row.phone || undefined,
+          hostelId: row.hostelId,
+          blockId: row.blockId || undefined,
+          guardianName: row.guardianName || undefined,
+          guardianEmail: row.guardianEmail?.toLowerCase() || undefined,
+          guardianPhone: row.guardianPhone || undefined,
+          locationTrackingEnabled: true,
+        });
+      } catch (error) {
+        await User.deleteOne({ _id: user._id });
+        throw error;
+      }
+
+      const warnings = [];
+      if (row.roomId) {
+        const room = await Room.findById(row.roomId).select('number');
+        const target = await findBedInRoom(row.hostelId, room.number);
+        const result = target.error ? target : await allocateBed(student, target.bed, actor);
+        if (result.error) {
+          warnings.push(`Room not allocated: ${result.error}`);
+        }
+      }
+
+      invites.push({ user });
+      if (row.guardianEmail) {
+        try {
+          const { guardianUser, created: newGuardian } = await linkGuardian(student, row);
+          if (newGuardian) {
+            invites.push({ user: guardianUser, studentName: row.name });
+          }
+        } catch (error) {
+          warnings.push(`Guardian not linked: ${error.message}`);
+        }
+      }
+
+      created.push({ row: row.row, studentId: student._id, rollNumber: student.rollNumber, warnings });
+    } catch (error) {
+      failed.push({
+        row: row.row,
+        rollNumber: row.rollNumber,
+        errors: [error.code === 11000 ? `${Object.keys(error.keyPattern || {})[0] || 'Record'} already exists` : error.message],
+      });
+    }
+  }
+
+  return { created, failed, queuedEmails: queueActivationInvites(invites) };
+};
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorageBackend, signResource } from './documentStorage.js';
+
+// Square renditions kept for every photo (pixels)
+export const PHOTO_SIZES = {
+  thumb: 96,
+  medium: 320,
+};
+
+/**
+ * Resize an uploaded image into the stored renditions and save them
+ * @param {string} studentId - Owner of the photo
+ * @param {Buffer} buffer - Uploaded image (JPEG, PNG or WebP)
+ * @param {Object} actor - User uploading
+ * @returns {Promise<{photo?: Object, error?: string}>} Photo subdocument, or an error for unreadable images
+ */
+export const storePhoto = async (studentId, buffer, actor) => {
+  let renditions;
+  try {
+    renditions = await Promise.all(
+      Object.values(PHOTO_SIZES).map((size) => sharp(buffer)
+        .rotate()
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .jpeg({ quality: 82 })
+        .toBuffer())
+    );
+  } catch (error) {
+    return { error: 'Could not read the image. Please upload a JPEG, PNG or WebP photo' };
+  }
+
+  const { name: storage, backend } = getStorageBackend();
+  const base = `photos/${studentId}/${crypto.randomUUID()}`;
+  const thumbKey = `${base}-thumb.jpg`;
+  const mediumKey = `${base}-medium.jpg`;
+  await backend.save(thumbKey, renditions[0], { mimeType: 'image/jpeg' });
+  await backend.save(mediumKey, renditions[1], { mimeType: 'image/jpeg' });
+
+  return {
+    photo: {
+      storage,
+      thumbKey,
+      mediumKey,
+      uploadedBy: actor._id,
+      uploadedAt: new Date(),
+    },
+  };
+};
+
+/**
+ * Delete a stored photo's files (missing files are ignored; failures are only logged)
+ * @param {Object|null} photo - Photo subdocument
+ */
+export const removePhoto = async (photo) => {
+  if (!photo?.storage) {
+    return;
+  }
+  try {
+    const { backend } = getStorageBackend(photo.storage);
+    await backend.remove(photo.thumbKey);
+    await backend.remove(photo.mediumKey);
+  } catch (error) {
+    console.error('❌ Failed to remove photo files:', error.message || error);
+  }
+};
+
+/**
+ * Stored file of a photo rendition
+ * @param {Object} photo - Photo subdocument
+ * @param {string} size - Key of PHOTO_SIZES
+ * @returns {string}
+ */
+export const getPhotoKey = (photo, size) => (size === 'thumb' ? photo.thumbKey : photo.mediumKey);
+
+/**
+ * What a photo URL signs: the student, version and size, and the stored file itself,
+ * so a link stops working once that photo is replaced or rejected
+ */
+export const getPhotoResource = (studentId, version, size, photo) => (
+  `photo:${studentId}:${version}:${size}:${getPhotoKey(photo, size)}`
+);
+
+/**
+ * Signed, short-lived URLs of a student's approved photo
+ * @param {Object} student - Student with `photo` selected
+ * @param {string} baseUrl - API base URL (see getBaseUrl)
+ * @param {string} [which] - 'photo' or 'pendingPhoto'
+ * @returns {{thumb: string, medium: string, uploadedAt: Date}|null}
+ */
+export const getPhotoUrls = (student, baseUrl, which = 'photo') => {
+  const photo = student?.[which];
+  if (!photo?.storage) {
+    return null;
+  }
+  const version = which === 'photo' ? 'current' : 'pending';
+  const urls = Object.fromEntries(Object.keys(PHOTO_SIZES).map((size) => {
+    const { query } = signResource(getPhotoResource(student._id, version, size, photo));
+    return [size, `${baseUrl}/api/students/${student._id}/photo/${version}/${size}?${query}`];
+  }));
+  return { ...urls, uploadedAt: photo.uploadedAt };
+};
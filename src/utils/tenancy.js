@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import Student from '../models/Student.model.js';
+import Hostel from '../models/Hostel.model.js';
+import Block from '../models/Block.model.js';
+import User from '../models/User.model.js';
+import { hasPermission } from '../config/permissions.js';
+
+/**
+ * Hostels a staff user is limited to
+ * @param {Object} user - Authenticated user
+ * @returns {string[]|null} Hostel IDs, or null when the user sees every hostel
+ */
+export const getHostelScope = (user) => {
+  if (hasPermission(user.role, 'hostels:all')) {
+    return null;
+  }
+  return (user.hostels || []).map((id) => id.toString());
+};
+
+/**
+ * Student filter for the user's hostels. Students not yet placed in a hostel
+ * stay visible to every warden so they can be assigned.
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Mongo filter on Student.hostelId
+ */
+export const getStudentScopeFilter = (user) => {
+  const scope = getHostelScope(user);
+  if (!scope) {
+    return {};
+  }
+  return { hostelId: { $in: [...scope, null] } };
+};
+
+/**
+ * Filter for collections that reference a student (Leave, Complaint, Fee, EntryExit, ...)
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Mongo filter on studentId ({} when unrestricted)
+ */
+export const getScopedStudentFilter = async (user) => {
+  const scope = getHostelScope(user);
+  if (!scope) {
+    return {};
+  }
+  const studentIds = await Student.distinct('_id', getStudentScopeFilter(user));
+  return { studentId: { $in: studentIds } };
+};
+
+/**
+ * Whether a staff user may act on a student
+ * @param {Object} user - Authenticated user
+ * @param {Object} student - Student document (hostelId needed)
+ * @returns {boolean}
+ */
+export const canAccessStudent = (user, student) => {
+  const scope = getHostelScope(user);
+  if (!scope || !student.hostelId) {
+    return true;
+  }
+  return scope.includes(student.hostelId.toString());
+};
+
+/**
+ * Whether a staff user may assign things to a hostel
+ * @param {Object} user - Authenticated user
+ * @param {string} hostelId - Hostel ID
+ * @returns {boolean}
+ */
+export const canAccessHostel = (user, hostelId) => {
+  const scope = getHostelScope(user);
+  return !scope || scope.includes(String(hostelId));
+};
+
+/**
+ * Whether a staff user may manage another staff member: every hostel the target is
+ * assigned to must be within the user's scope (unassigned staff are visible to all)
+ * @param {Object} user - Authenticated user
+ * @param {Object} target - Staff user (hostels needed)
+ * @returns {boolean}
+ */
+export const canManageStaffMember = (user, target) => {
+  return (target.hostels || []).every((hostelId) => canAccessHostel(user, hostelId));
+};
+
+/**
+ * Validate a hostel/block placement requested by a staff user.
+ * Without a hostelId, staff who manage exactly one hostel place students there.
+ * @param {Object} user - Authenticated user
+ * @param {string} [hostelId] - Requested hostel
+ * @param {string} [blockId] - Requested block (must belong to the hostel)
+ * @returns {Promise<{hostelId?: string|null, blockId?: string|null, error?: string, status?: number}>}
+ */
+export const resolveHostelPlacement = async (user, hostelId, blockId) => {
+  if (!hostelId) {
+    const scope = getHostelScope(user);
+    if (blockId) {
+      return { error: 'Please provide hostelId together with blockId', status: 400 };
+    }
+    return { hostelId: scope && scope.length === 1 ? scope[0] : null, blockId: null };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(hostelId) || !(await Hostel.exists({ _id: hostelId }))) {
+    return { error: 'Hostel not found', status: 404 };
+  }
+  if (!canAccessHostel(user, hostelId)) {
+    return { error: 'You can only place students in hostels you manage', status: 403 };
+  }
+
+  if (blockId) {
+    const block = mongoose.Types.ObjectId.isValid(blockId)
+      ? await Block.findOne({ _id: blockId, hostelId })
+      : null;
+    if (!block) {
+      return { error: 'Block not found in this hostel', status: 404 };
+    }
+  }
+
+  return { hostelId, blockId: blockId || null };
+};
+
+/**
+ * Warden responsible for a student: a warden assigned to the student's hostel,
+ * otherwise (unassigned student or no warden for that hostel) any active warden,
+ * preferring ones without a hostel assignment, then a chief warden
+ * @param {Object} student - Student document
+ * @returns {Promise<Object|null>} Warden user
+ */
+export const findResponsibleWarden = async (student) => {
+  const active = { archivedAt: null };
+
+  if (student.hostelId) {
+    const hostelWarden = await User.findOne({ ...active, role: 'warden', hostels: student.hostelId })
+      .sort({ createdAt: 1 });
+    if (hostelWarden) {
+      return hostelWarden;
+    }
+  }
+
+  return (await User.findOne({ ...active, role: 'warden', hostels: { $size: 0 } }).sort({ createdAt: 1 }))
+    || (await User.findOne({ ...active, role: 'warden' }).sort({ createdAt: 1 }))
+    || User.findOne({ ...active, role: 'chief_warden' }).sort({ createdAt: 1 });
+};
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+import User from '../models/User.model.js';
+import { hashToken } from './authTokens.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+const ISSUER = 'HostelEase';
+const STEP_SECONDS = 30;
+const BACKUP_CODE_COUNT = 10;
+
+// Accept the previous/next 30s step to tolerate phone clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+/**
+ * Whether every staff account must have 2FA (per-deployment setting)
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = () => process.env.REQUIRE_WARDEN_2FA === 'true';
+
+const getEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext (hex)
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate a new TOTP secret with its provisioning URI and QR code
+ * @param {string} email - Account label shown in the authenticator app
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCodeDataUrl: string}>}
+ */
+export const generateTwoFactorSetup = async (email) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCodeDataUrl };
+};
+
+/**
+ * Check a TOTP code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - 6-digit code
+ * @returns {number|null} Time-step counter the code belongs to, or null if invalid
+ */
+export const checkTotp = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const delta = authenticator.checkDelta(normalized, secret);
+  if (delta === null) {
+    return null;
+  }
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+};
+
+/**
+ * Generate one-time backup codes
+ * @returns {{codes: string[], hashes: string[]}} Plain codes (shown once) and their hashes
+ */
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashToken(c)) };
+};
+
+/**
+ * Verify a second factor (TOTP code or backup code) for a user with 2FA enabled.
+ * TOTP codes cannot be replayed within their window; backup codes are consumed.
+ * @param {Object} user - User with +twoFactorSecret +twoFactorBackupCodes +twoFactorLastCounter selected
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<{ok: boolean, method?: string, backupCodesRemaining?: number}>}
+ */
+export const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+    return { ok: false };
+  }
+
+  const counter = checkTotp(decryptSecret(user.twoFactorSecret), code);
+  if (counter !== null) {
+    // Only accept a step newer than the last one used (atomic, so parallel replays fail too)
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastCounter: { $exists: false } },
+          { twoFactorLastCounter: { $lt: counter } },
+        ],
+      },
+      { $set: { twoFactorLastCounter: counter } }
+    );
+    return result.modifiedCount > 0 ? { ok: true, method: 'totp' } : { ok: false };
+  }
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorBackupCodes: codeHash },
+    { $pull: { twoFactorBackupCodes: codeHash } },
+    { new: true }
+  ).select('+twoFactorBackupCodes');
+
+  if (!updated) {
+    return { ok: false };
+  }
+  return {
+    ok: true,
+    method: 'backup',
+    backupCodesRemaining: updated.twoFactorBackupCodes.length,
+  };
+};
+
+/**
+ * Short-lived token proving the password step succeeded
+ * @param {Object} user - User document
+ * @returns {string} JWT
+ */
+export const createTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge token from login
+ * @returns {string|null} User ID or null if invalid/expired
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === '2fa-challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import WardenInvite from '../models/WardenInvite.model.js';
+import { hashToken } from './authTokens.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+/**
+ * Invite lifetime in hours (read lazily so .env is already loaded)
+ * @returns {number}
+ */
+export const getWardenInviteExpireHours = () => parseInt(process.env.WARDEN_INVITE_EXPIRE_HOURS, 10) || 72;
+
+/**
+ * Issue a staff invite. Any earlier pending invite for the same email is revoked,
+ * so only the newest link works.
+ * @param {Object} params
+ * @param {string} params.email - Invitee email (normalized)
+ * @param {string} [params.name] - Invitee name
+ * @param {string} [params.role] - Staff role to create (default 'warden')
+ * @param {string[]} [params.hostels] - Hostels to assign the account to
+ * @param {string} [params.invitedBy] - Warden user ID (omit for CLI bootstrap)
+ * @returns {Promise<{invite: Object, token: string}>} Invite document and raw token
+ */
+export const issueWardenInvite = async ({ email, name, role, hostels, invitedBy }) => {
+  await WardenInvite.updateMany(
+    { email, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invite = await WardenInvite.create({
+    email,
+    name: name || undefined,
+    role: role || 'warden',
+    hostels: hostels || [],
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + getWardenInviteExpireHours() * 60 * 60 * 1000),
+    invitedBy: invitedBy || undefined,
+  });
+
+  return { invite, token };
+};
+
+/**
+ * Build the frontend link an invitee opens to set their password
+ * @param {string} token - Raw invite token
+ * @returns {string}
+ */
+export const buildWardenInviteUrl = (token) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/#/warden/accept-invite?token=${token}`;
+};
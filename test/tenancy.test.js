@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canManageStaffMember } from '../src/utils/tenancy.js';
+
+const HOSTEL_A = '64b000000000000000000001';
+const HOSTEL_B = '64b000000000000000000002';
+
+test('a warden cannot manage a warden of another hostel', () => {
+  const warden = { role: 'warden', hostels: [HOSTEL_A] };
+  assert.equal(canManageStaffMember(warden, { role: 'warden', hostels: [HOSTEL_B] }), false);
+});
+
+test('a warden cannot manage staff assigned to their hostel and another one', () => {
+  const warden = { role: 'warden', hostels: [HOSTEL_A] };
+  assert.equal(canManageStaffMember(warden, { role: 'warden', hostels: [HOSTEL_A, HOSTEL_B] }), false);
+});
+
+test('a warden can manage staff of their own hostel and unassigned staff', () => {
+  const warden = { role: 'warden', hostels: [HOSTEL_A] };
+  assert.equal(canManageStaffMember(warden, { role: 'security_guard', hostels: [HOSTEL_A] }), true);
+  assert.equal(canManageStaffMember(warden, { role: 'security_guard', hostels: [] }), true);
+});
+
+test('a chief warden can manage staff of any hostel', () => {
+  const chief = { role: 'chief_warden', hostels: [] };
+  assert.equal(canManageStaffMember(chief, { role: 'warden', hostels: [HOSTEL_B] }), true);
+});